@@ -4,10 +4,23 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 require('dotenv').config();
 
-const HouseCallProAPI = require('./housecall');
-const AirtableAPI = require('./airtable');
-const QuickBooksAPI = require('./quickbooks');
-const Utils = require('./utils');
+const HouseCallProAPI = require('./src/lib/housecall');
+const AirtableAPI = require('./src/lib/airtable');
+const QuickBooksAPI = require('./src/lib/quickbooks');
+const LeadMatcher = require('./src/lib/matcher');
+const WebhookEventStore = require('./src/lib/events');
+const LeadSourceExtractor = require('./src/lib/leadsource');
+const TouchpointAttribution = require('./src/lib/attribution');
+const AdSpendSync = require('./src/lib/adspend');
+const SummaryBackfill = require('./src/lib/backfill');
+const SpendSchedules = require('./src/lib/schedules');
+const PipelineTracker = require('./src/lib/pipeline');
+const GoHighLevelAPI = require('./src/lib/gohighlevel');
+const OfflineConversions = require('./src/lib/conversions');
+const PaymentApplier = require('./src/lib/payments');
+const WebhookProcessor = require('./src/lib/processor');
+const AdminAPI = require('./src/lib/adminapi');
+const WebhookAuth = require('./src/lib/webhookauth');
 
 class LeadToRevenueTracker {
   constructor() {
@@ -18,6 +31,38 @@ class LeadToRevenueTracker {
     this.hcp = new HouseCallProAPI();
     this.airtable = new AirtableAPI();
     this.qbo = new QuickBooksAPI();
+    this.matcher = new LeadMatcher(this.airtable);
+    this.eventStore = new WebhookEventStore(this.airtable);
+    this.leadSourceExtractor = new LeadSourceExtractor();
+    this.touchpoints = new TouchpointAttribution(this.airtable);
+    this.schedules = new SpendSchedules(this.airtable, this.qbo);
+    this.adSpend = new AdSpendSync(this.airtable, this.qbo, { schedules: this.schedules });
+    this.backfill = new SummaryBackfill(this.airtable, this.adSpend);
+    this.pipeline = new PipelineTracker(this.airtable, this.hcp);
+    this.ghl = new GoHighLevelAPI(this.leadSourceExtractor);
+    this.conversions = new OfflineConversions(this.airtable);
+    this.payments = new PaymentApplier(this.airtable, { ghl: this.ghl, conversions: this.conversions });
+    this.webhookAuth = new WebhookAuth();
+    this.processor = new WebhookProcessor(this.airtable, {
+      qbo: this.qbo,
+      hcp: this.hcp,
+      ghl: this.ghl,
+      matcher: this.matcher,
+      touchpoints: this.touchpoints,
+      pipeline: this.pipeline,
+      payments: this.payments
+    });
+    this.adminApi = new AdminAPI(this.airtable, {
+      webhookAuth: this.webhookAuth,
+      processor: this.processor,
+      matcher: this.matcher,
+      payments: this.payments,
+      leadSourceExtractor: this.leadSourceExtractor,
+      conversions: this.conversions,
+      backfill: this.backfill,
+      schedules: this.schedules,
+      pipeline: this.pipeline
+    });
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -34,12 +79,12 @@ class LeadToRevenueTracker {
     // Logging
     this.app.use(morgan('combined'));
     
-    // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true }));
-    
-    // Raw body for webhook signature verification
-    this.app.use('/webhooks', express.raw({ type: 'application/json' }));
+    // Body parsing, keeping the raw body for webhook signature verification
+    const keepRawBody = (req, res, buf) => {
+      req.rawBody = buf;
+    };
+    this.app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+    this.app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
   }
 
   /**
@@ -95,10 +140,18 @@ class LeadToRevenueTracker {
     this.app.post('/webhooks/housecall', this.handleHouseCallWebhook.bind(this));
     this.app.post('/webhooks/quickbooks', this.handleQuickBooksWebhook.bind(this));
 
+    // Admin API shared with the Netlify function (the offline conversion stub stays open)
+    this.app.use('/api', this.adminApi.router());
+
+    // Every other API endpoint needs ADMIN_API_KEY too
+    this.app.use('/api', this.adminApi.requireAdminKey.bind(this.adminApi));
+
     // API endpoints
     this.app.get('/api/leads', this.getLeads.bind(this));
     this.app.get('/api/summary/:year/:month', this.getMonthlySummary.bind(this));
     this.app.post('/api/summary/generate', this.generateMonthlySummary.bind(this));
+    this.app.get('/api/summary/:year/:month/metrics', this.getSourceMetrics.bind(this));
+    this.app.post('/api/update-ad-spend', this.updateAdSpend.bind(this));
     this.app.get('/api/revenue-by-source', this.getRevenueBySource.bind(this));
 
     // Error handling middleware
@@ -121,50 +174,38 @@ class LeadToRevenueTracker {
    */
   async handleHouseCallWebhook(req, res) {
     try {
-      const signature = req.headers['x-housecall-signature'];
       const payload = req.body;
 
       // Convert Buffer to string for signature verification
       const payloadString = Buffer.isBuffer(payload) ? payload.toString() : payload;
 
+      // Accept only requests signed by HCP or carrying the GHL workflow secret (WEBHOOK_AUTH_HCP_WEBHOOK)
+      const verification = this.webhookAuth.verify('hcp-webhook', req.rawBody || '', req.headers);
+      if (!verification.valid) {
+        console.warn(`Rejected unverified HCP/GHL webhook: ${verification.reason}`);
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+      console.log(`Webhook verified (${verification.scheme})`);
+      
       // DEBUG: Log the raw payload from GHL
       console.log('=== RAW WEBHOOK PAYLOAD DEBUG ===');
-      console.log('Headers:', JSON.stringify(req.headers, null, 2));
+      console.log('Headers:', JSON.stringify(this.webhookAuth.redactHeaders(req.headers), null, 2));
       console.log('Raw payload:', payloadString);
       console.log('Payload type:', typeof payload);
       console.log('=====================================');
 
-      // Skip signature verification for GHL (since it won't have HCP signature)
-      // if (process.env.HOUSECALL_PRO_WEBHOOK_SECRET && signature) {
-      //   const isValid = this.hcp.verifyWebhookSignature(payloadString, signature);
-      //   if (!isValid) {
-      //     console.warn('Invalid HouseCall Pro webhook signature');
-      //     return res.status(401).json({ error: 'Invalid signature' });
-      //   }
-      // }
-
       const webhookData = typeof payloadString === 'string' ? JSON.parse(payloadString) : payloadString;
       console.log('Parsed webhook data:', JSON.stringify(webhookData, null, 2));
       console.log('Event type:', webhookData.event_type);
 
-      // Handle customer.created event (HCP format)
-      if (webhookData.event_type === 'customer.created') {
-        console.log('Processing HCP customer.created webhook');
-        await this.processNewCustomer(webhookData);
-      }
-      // Handle GHL format (no event_type, but has contact_id and contact_type)
-      else if (webhookData.contact_id && webhookData.contact_type === 'lead') {
-        console.log('Processing GHL lead webhook');
-        await this.processGHLLead(webhookData);
-      }
-      // Handle GHL format (contact_id exists, regardless of contact_type)
-      else if (webhookData.contact_id) {
-        console.log('Processing GHL webhook (contact_id detected)');
-        await this.processGHLLead(webhookData);
-      }
-      else {
-        console.log('Unrecognized webhook format - neither HCP nor GHL format detected');
-        console.log('Available fields:', Object.keys(webhookData));
+      const event = webhookData.event_type
+        ? this.eventStore.getHCPEvent(webhookData)
+        : this.eventStore.getGHLEvent(webhookData);
+
+      const result = await this.eventStore.runOnce(event, () => this.processor.processHCPPayload(webhookData));
+
+      if (result && result.reason === 'duplicate') {
+        return res.json({ message: 'Duplicate webhook skipped' });
       }
 
       res.json({ message: 'Webhook processed successfully' });
@@ -180,7 +221,7 @@ class LeadToRevenueTracker {
   async handleQuickBooksWebhook(req, res) {
     try {
       const signature = req.headers['intuit-signature'];
-      const payload = req.body;
+      const payload = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
 
       // Verify webhook signature
       if (process.env.QBO_WEBHOOK_VERIFIER_TOKEN) {
@@ -194,11 +235,12 @@ class LeadToRevenueTracker {
       const webhookData = JSON.parse(payload);
       console.log('QuickBooks webhook received');
 
-      // Handle payment events
-      const paymentData = await this.qbo.handlePaymentReceived(webhookData);
-      
-      for (const payment of paymentData) {
-        await this.processPaymentReceived(payment);
+      // Record and process each entity change (payments, refund receipts, credit memos) once
+      for (const notification of webhookData.eventNotifications || []) {
+        for (const entity of notification.dataChangeEvent.entities) {
+          const event = this.eventStore.getQBOEvent(entity.name, entity, webhookData);
+          await this.eventStore.runOnce(event, () => this.processor.processQBOEntity(notification, entity));
+        }
       }
 
       res.json({ message: 'Webhook processed successfully' });
@@ -208,233 +250,61 @@ class LeadToRevenueTracker {
     }
   }
 
-  /**
-   * Process new customer from HouseCall Pro
-   */
-  async processNewCustomer(webhookData) {
-    try {
-      console.log('Processing new customer from HouseCall Pro');
-      
-      // Extract customer data from webhook
-      const customerData = await this.hcp.handleCustomerCreated(webhookData);
-      
-      // Create lead record in Airtable
-      const leadRecord = await this.airtable.createLead(customerData);
-      
-      console.log(`✅ New lead created in Airtable: ${customerData.name} (ID: ${leadRecord.id})`);
-      
-      return leadRecord;
-    } catch (error) {
-      console.error('Error processing new customer:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Process new lead from Go High Level
-   */
-  async processGHLLead(webhookData) {
-    try {
-      console.log('Processing new lead from Go High Level');
-      
-      // Extract lead source from various possible locations
-      let leadSource = 'Go High Level'; // default fallback
-      
-      // Check multiple possible locations for lead source
-      const possibleSources = [
-        webhookData['Housecall Pro Lead Source'], // GHL mapped field
-        webhookData['Lead Source'], // Direct field
-        webhookData['HCP Lead Source'], // Custom field  
-        webhookData['lead_source'], // Snake case version
-        webhookData.leadSource, // Direct property
-        webhookData.source, // Alternative property
-        webhookData.customData?.leadSource, // In custom data
-        webhookData.customData?.source, // In custom data alternative
-        webhookData.customData?.lead_source, // In custom data snake case
-        webhookData.contact?.source, // In contact object
-        webhookData.triggerData?.source, // In trigger data
-        webhookData.contact?.attributionSource?.source, // Attribution source
-        webhookData.contact?.attributionSource?.medium, // Attribution medium
-        webhookData.attributionSource?.source, // Direct attribution
-        webhookData.attributionSource?.medium // Direct attribution medium
-      ];
-      
-      // Find the first non-empty, non-"Manual" source
-      for (const source of possibleSources) {
-        if (source && source !== 'Manual' && source !== 'CRM Workflows') {
-          leadSource = source;
-          break;
-        }
-      }
-      
-      // Enhanced debugging for lead source
-      console.log('Lead source extraction debug:');
-      console.log('- Available fields containing "Lead" or "Source":', Object.keys(webhookData).filter(key => 
-        key.toLowerCase().includes('lead') || key.toLowerCase().includes('source')
-      ));
-      console.log('- All HCP-related fields:', Object.keys(webhookData).filter(key => 
-        key.includes('HCP') || key.includes('hcp')
-      ));
-      console.log('- Custom data keys:', Object.keys(webhookData.customData || {}));
-      console.log('- Trigger data keys:', Object.keys(webhookData.triggerData || {}));
-      console.log('- Key field values:');
-      console.log('  * Housecall Pro Lead Source:', webhookData['Housecall Pro Lead Source']);
-      console.log('  * customData.lead_source:', webhookData.customData?.lead_source);
-      console.log('  * HCP Tags:', webhookData['HCP Tags']);
-      console.log('- Selected lead source:', leadSource);
-      
-      // Build complete address including apartment number
-      let fullAddress = webhookData.full_address;
-      if (!fullAddress) {
-        const addressParts = [
-          webhookData.address1,
-          webhookData.address2, // apartment number
-          webhookData.city,
-          webhookData.state,
-          webhookData.postal_code
-        ].filter(Boolean);
-        
-        fullAddress = addressParts.join(', ');
-      }
-      
-      // Extract tags from multiple possible locations
-      const tagSources = [
-        webhookData.tags,
-        webhookData['HCP Tags'],
-        webhookData.hcp_tags,
-        webhookData.customData?.tags,
-        webhookData.contact?.tags
-      ].filter(Boolean).filter(tag => tag !== '');
-      
-      const allTags = tagSources.length > 0 ? tagSources : [];
-      
-      console.log('Address debug:');
-      console.log('- address1:', webhookData.address1);
-      console.log('- address2:', webhookData.address2);
-      console.log('- full_address:', webhookData.full_address);
-      console.log('- Final address:', fullAddress);
-      
-      console.log('Tags debug:');
-      console.log('- tags field:', webhookData.tags);
-      console.log('- HCP Tags field:', webhookData['HCP Tags']);
-      console.log('- Final tags:', allTags);
-      
-      // Transform GHL data to our expected format
-      const customerData = {
-        id: webhookData.contact_id,
-        name: webhookData.full_name || `${webhookData.first_name || ''} ${webhookData.last_name || ''}`.trim(),
-        firstName: webhookData.first_name,
-        lastName: webhookData.last_name,
-        email: webhookData.email,
-        phone: webhookData.phone,
-        address: fullAddress,
-        leadSource: leadSource,
-        dateCreated: webhookData.date_created,
-        tags: allTags,
-        notes: webhookData['HCP Notes'] || ''
-      };
-      
-      console.log(`Transformed GHL lead: ${customerData.name} (${customerData.email})`);
-      
-      // Create lead record in Airtable using the same method
-      const leadRecord = await this.airtable.createLead(customerData);
-      
-      console.log(`✅ New GHL lead created in Airtable: ${customerData.name} (ID: ${leadRecord.id})`);
-      
-      return leadRecord;
-    } catch (error) {
-      console.error('Error processing GHL lead:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Process payment received from QuickBooks
-   */
-  async processPaymentReceived(paymentData) {
-    try {
-      console.log(`Processing payment: ${paymentData.customerName} - ${Utils.formatCurrency(paymentData.amount)}`);
-      
-      // Find matching lead in Airtable using fuzzy matching
-      const matchingLead = await this.airtable.findLeadByName(
-        paymentData.customerName,
-        parseFloat(process.env.FUZZY_MATCH_THRESHOLD) || 0.8
-      );
-      
-      if (matchingLead) {
-        // Update lead with payment information
-        const updatedLead = await this.airtable.updateLeadPayment(
-          matchingLead.id,
-          paymentData
-        );
-        
-        console.log(`✅ Payment updated for lead: ${paymentData.customerName} (ID: ${matchingLead.id})`);
-        return updatedLead;
-      } else {
-        console.warn(`⚠️  No matching lead found for customer: ${paymentData.customerName}`);
-        
-        // Log for manual review
-        console.log('Payment data for manual review:', {
-          customerName: paymentData.customerName,
-          amount: paymentData.amount,
-          paymentDate: paymentData.paymentDate,
-          invoiceNumber: paymentData.invoiceNumber
-        });
-        
-        return null;
-      }
-    } catch (error) {
-      console.error('Error processing payment:', error);
-      throw error;
-    }
-  }
-
   /**
    * Generate monthly summary report
    */
   async generateMonthlySummary(req, res) {
     try {
-      const { month, year } = req.body;
+      const { month, year, attributionModel } = req.body;
       
       if (!month || !year) {
         return res.status(400).json({ error: 'Month and year are required' });
       }
       
+      if (attributionModel && !TouchpointAttribution.MODELS.includes(attributionModel)) {
+        return res.status(400).json({ error: `attributionModel must be one of ${TouchpointAttribution.MODELS.join(', ')}` });
+      }
+      
       console.log(`Generating monthly summary for ${month}/${year}`);
       
-      // Get leads with payments for the month
-      const leads = await this.airtable.getLeadsByMonth(parseInt(month), parseInt(year));
+      // Recompute revenue from the payment and refund ledgers
+      const revenue = await this.airtable.computeMonthlyRevenue(parseInt(month), parseInt(year));
       
       // Get expense data from QuickBooks
       const expenses = await this.qbo.getMonthlyExpenses(parseInt(month), parseInt(year));
       
-      // Aggregate revenue by lead source
-      const revenueBySource = this.airtable.aggregateRevenueBySource(leads);
-      
-      // Calculate totals
-      const totalRevenue = leads.reduce((sum, lead) => {
-        return sum + (parseFloat(lead.fields['Payment Amount']) || 0);
-      }, 0);
-      
       const summaryData = {
         month: parseInt(month),
         year: parseInt(year),
-        totalRevenue,
+        grossRevenue: revenue.grossRevenue,
+        totalRefunds: revenue.totalRefunds,
+        totalRevenue: revenue.totalRevenue,
         totalAdSpend: expenses.adSpend,
         totalPromoSpend: expenses.promoSpend,
-        customerCount: leads.length,
-        averageRevenuePerCustomer: leads.length > 0 ? totalRevenue / leads.length : 0,
-        revenueBySource
+        customerCount: revenue.customerCount,
+        averageRevenuePerCustomer: revenue.averageRevenuePerCustomer,
+        revenueBySource: revenue.revenueBySource
       };
       
+      // Optionally store multi-touch credit by source alongside the lead-source breakdown
+      if (attributionModel) {
+        summaryData.attributionModel = attributionModel;
+        summaryData.attributedRevenueBySource = await this.touchpoints.attributeRevenue(revenue.payments, revenue.refunds, attributionModel);
+      }
+      
       // Store summary in Airtable
       const summaryRecord = await this.airtable.createMonthlySummary(summaryData);
       
+      // Per-source spend, leads, CPL, CAC, ROAS and ROI
+      const sourceMetrics = await this.airtable.refreshSourceMetrics(parseInt(month), parseInt(year));
+      
       console.log(`✅ Monthly summary generated for ${month}/${year}`);
       
       res.json({
         message: 'Monthly summary generated successfully',
         data: summaryData,
+        expenses,
+        sourceMetrics,
         recordId: summaryRecord.id
       });
     } catch (error) {
@@ -497,22 +367,130 @@ class LeadToRevenueTracker {
     }
   }
 
+  /**
+   * Get per-source metrics for a month, sorted by a metric (highest first)
+   */
+  async getSourceMetrics(req, res) {
+    try {
+      const { year, month } = req.params;
+      const { sort = 'netRevenue' } = req.query;
+      
+      const sortFields = {
+        adSpend: 'Ad Spend',
+        leads: 'Leads',
+        payingCustomers: 'Paying Customers',
+        conversionRate: 'Conversion Rate',
+        costPerLead: 'Cost Per Lead',
+        customerAcquisitionCost: 'CAC',
+        netRevenue: 'Net Revenue',
+        roas: 'ROAS',
+        roi: 'ROI',
+        amortizedAdSpend: 'Amortized Ad Spend',
+        amortizedCustomerAcquisitionCost: 'Amortized CAC',
+        amortizedRoas: 'Amortized ROAS',
+        amortizedRoi: 'Amortized ROI'
+      };
+      
+      if (!sortFields[sort]) {
+        return res.status(400).json({ error: `sort must be one of ${Object.keys(sortFields).join(', ')}` });
+      }
+      
+      const metrics = await this.airtable.getSourceMetrics(parseInt(month), parseInt(year), sortFields[sort]);
+      
+      res.json({
+        period: `${year}-${String(month).padStart(2, '0')}`,
+        sort,
+        count: metrics.length,
+        metrics
+      });
+    } catch (error) {
+      console.error('Error fetching source metrics:', error);
+      res.status(500).json({ error: 'Failed to fetch source metrics' });
+    }
+  }
+
+  /**
+   * Sync a month's ad spend from QuickBooks (body: { month: 'YYYY-MM' or month + year, sources, dryRun, groupBy })
+   */
+  async updateAdSpend(req, res) {
+    try {
+      const { month, year, sources, dryRun = false, groupBy } = req.body || {};
+      
+      let period = null;
+      if (month) {
+        const match = String(month).match(/^(\d{4})-(\d{1,2})$/);
+        period = match
+          ? { month: Number(match[2]), year: Number(match[1]) }
+          : { month: Number(month), year: Number(year) };
+      } else {
+        const previousMonth = new Date(new Date().getFullYear(), new Date().getMonth() - 1, 1);
+        period = { month: previousMonth.getMonth() + 1, year: previousMonth.getFullYear() };
+      }
+      
+      if (!Number.isInteger(period.month) || period.month < 1 || period.month > 12 || !Number.isInteger(period.year)) {
+        return res.status(400).json({ error: 'month must be YYYY-MM, or a month number (1-12) with year' });
+      }
+      
+      if (groupBy && !AdSpendSync.GROUP_BY.includes(groupBy)) {
+        return res.status(400).json({ error: `groupBy must be one of ${AdSpendSync.GROUP_BY.join(', ')}` });
+      }
+      
+      const sourceList = sources
+        ? (Array.isArray(sources) ? sources : String(sources).split(',')).map(source => String(source).trim()).filter(Boolean)
+        : [];
+      
+      const result = await this.adSpend.sync({
+        ...period,
+        sources: sourceList.length > 0 ? sourceList : null,
+        dryRun: dryRun === true || dryRun === 'true',
+        ...(groupBy ? { groupBy } : {})
+      });
+      
+      res.json(result);
+    } catch (error) {
+      console.error('Error updating ad spend:', error);
+      res.status(500).json({ error: 'Failed to update ad spend' });
+    }
+  }
+
   /**
    * Get revenue aggregated by lead source
    */
   async getRevenueBySource(req, res) {
     try {
-      const { startDate, endDate } = req.query;
+      const { startDate, endDate, groupBy = 'source', touch = 'first', model = 'lead-source' } = req.query;
       
-      const leads = await this.airtable.getLeadsWithPayments(startDate, endDate);
-      const revenueBySource = this.airtable.aggregateRevenueBySource(leads);
+      if (!TouchpointAttribution.MODELS.includes(model)) {
+        return res.status(400).json({ error: `model must be one of ${TouchpointAttribution.MODELS.join(', ')}` });
+      }
+      
+      // groupBy=campaign|keyword|medium|content reports on the lead's UTM attribution instead of its lead source
+      let revenueBySource;
+      if (groupBy === 'source') {
+        const payments = await this.airtable.getPaymentsInRange(startDate, endDate);
+        const refunds = await this.airtable.getRefundsInRange(startDate, endDate);
+        revenueBySource = await this.touchpoints.attributeRevenue(payments, refunds, model);
+      } else {
+        if (!['medium', 'campaign', 'keyword', 'term', 'content'].includes(groupBy)) {
+          return res.status(400).json({ error: 'groupBy must be source, medium, campaign, keyword or content' });
+        }
+        revenueBySource = await this.airtable.getRevenueByAttribution(startDate, endDate, groupBy, touch === 'last' ? 'last' : 'first');
+      }
+      const sources = Object.values(revenueBySource);
       
       res.json({
+        groupBy,
+        model: groupBy === 'source' ? model : null,
         revenueBySource,
-        totalRevenue: Object.values(revenueBySource).reduce((sum, source) => sum + source.totalRevenue, 0),
+        grossRevenue: sources.reduce((sum, source) => sum + source.grossRevenue, 0),
+        totalRefunds: sources.reduce((sum, source) => sum + source.refunds, 0),
+        totalRevenue: sources.reduce((sum, source) => sum + source.totalRevenue, 0),
         period: { startDate, endDate }
       });
     } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error fetching revenue by source:', error);
       res.status(500).json({ error: 'Failed to fetch revenue by source' });
     }
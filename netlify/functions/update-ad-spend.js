@@ -1,8 +1,15 @@
+const AdSpendSync = require('../../src/lib/adspend');
 require('dotenv').config();
 
 /**
- * Scheduled function to update ad spend on the 3rd of each month
- * This function should be triggered via Netlify Scheduled Functions or external cron
+ * Ad spend sync from QuickBooks into the Monthly Summary (see src/lib/adspend.js for the summary schema)
+ * Runs on the 3rd of each month via Netlify Scheduled Functions, syncing the previous month.
+ * Also called manually through /api/update-ad-spend with optional parameters (query string or JSON body):
+ * - month: YYYY-MM, or a month number together with year (defaults to the previous month)
+ * - sources: comma-separated lead sources to update, keeping stored spend for the rest
+ * - dryRun: return the Airtable writes instead of applying them
+ * - force: run on a day other than the 3rd without specifying a month
+ * - groupBy: attribute expense lines by 'account', 'class' or 'location' (defaults to AD_SPEND_GROUP_BY)
  */
 exports.handler = async (event, context) => {
   console.log('Update ad spend function triggered');
@@ -16,185 +23,120 @@ exports.handler = async (event, context) => {
   }
   
   try {
-    // Lazy load dependencies to avoid initialization errors
-    const AirtableAPI = require('../../src/lib/airtable');
-    const QuickBooksAPI = require('../../src/lib/quickbooks');
-    
-    console.log('Initializing APIs...');
-    const airtable = new AirtableAPI();
-    const qbo = new QuickBooksAPI();
-    
-    console.log('Starting monthly ad spend update...');
-    
-    // Get current date
+    const params = parseParams(event);
     const now = new Date();
-    const currentDay = now.getDate();
     
-    // Only run on the 3rd of the month (unless forced)
-    if (currentDay !== 3 && !event.queryStringParameters?.force) {
+    // Scheduled runs only do work on the 3rd of the month (unless forced or given a month)
+    if (!params.period && !params.force && now.getDate() !== 3) {
       return {
         statusCode: 200,
-        body: JSON.stringify({ 
+        body: JSON.stringify({
           message: 'Ad spend update only runs on the 3rd of each month',
           nextRun: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-03`
         })
       };
     }
     
-    // Calculate previous month
-    const previousMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-    const month = previousMonth.getMonth() + 1;
-    const year = previousMonth.getFullYear();
-    const period = `${year}-${String(month).padStart(2, '0')}`;
-    
-    console.log(`Fetching ad spend for ${month}/${year}`);
+    let month;
+    let year;
+    if (params.period) {
+      ({ month, year } = params.period);
+    } else {
+      const previousMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+      month = previousMonth.getMonth() + 1;
+      year = previousMonth.getFullYear();
+    }
     
-    // Fetch ad spend from QuickBooks
-    const adSpendData = await fetchAdSpendFromQuickBooks(month, year, qbo);
+    // Lazy load dependencies to avoid initialization errors
+    const AirtableAPI = require('../../src/lib/airtable');
+    const QuickBooksAPI = require('../../src/lib/quickbooks');
     
-    // Update Monthly Summary with ad spend
-    const updatedSummary = await updateMonthlySummaryAdSpend(period, adSpendData, airtable);
+    console.log('Initializing APIs...');
+    const sync = new AdSpendSync(new AirtableAPI(), new QuickBooksAPI());
+    
+    const result = await sync.sync({
+      month,
+      year,
+      sources: params.sources,
+      dryRun: params.dryRun,
+      ...(params.groupBy ? { groupBy: params.groupBy } : {})
+    });
     
     return {
       statusCode: 200,
       body: JSON.stringify({
-        message: 'Ad spend updated successfully',
-        period: period,
-        adSpend: adSpendData.totalAdSpend,
-        summary: updatedSummary
+        message: params.dryRun ? 'Ad spend dry run complete - no changes written' : 'Ad spend updated successfully',
+        ...result
       })
     };
   } catch (error) {
     console.error('Error updating ad spend:', error);
     return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to update ad spend' })
+      statusCode: error.statusCode || 500,
+      body: JSON.stringify({ error: error.statusCode ? error.message : 'Failed to update ad spend' })
     };
   }
 };
 
 /**
- * Fetch ad spend from QuickBooks for a specific month
+ * Read sync parameters from the query string and JSON body
+ * @returns {Object} { period, sources, groupBy, dryRun, force }
  */
-async function fetchAdSpendFromQuickBooks(month, year, qbo) {
-  try {
-    // Get start and end dates for the month
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0);
-    
-    // Fetch expenses from QuickBooks
-    // This assumes you have specific expense categories for ad spend
-    const expenses = await qbo.getExpensesByCategory({
-      startDate: startDate.toISOString().split('T')[0],
-      endDate: endDate.toISOString().split('T')[0],
-      categories: [
-        'Marketing',
-        'Advertising',
-        'Google Ads',
-        'Facebook Ads',
-        'Social Media Advertising',
-        'Online Advertising'
-      ]
-    });
-    
-    // Calculate total ad spend
-    let totalAdSpend = 0;
-    const adSpendByCategory = {};
-    
-    expenses.forEach(expense => {
-      const amount = parseFloat(expense.TotalAmt) || 0;
-      totalAdSpend += amount;
-      
-      const category = expense.AccountRef?.name || 'Uncategorized';
-      if (!adSpendByCategory[category]) {
-        adSpendByCategory[category] = 0;
-      }
-      adSpendByCategory[category] += amount;
-    });
-    
-    console.log(`Total ad spend for ${month}/${year}: $${totalAdSpend.toFixed(2)}`);
-    console.log('Ad spend by category:', adSpendByCategory);
-    
-    return {
-      totalAdSpend,
-      adSpendByCategory,
-      expenseCount: expenses.length
-    };
-  } catch (error) {
-    console.error('Error fetching ad spend from QuickBooks:', error);
-    throw error;
+function parseParams(event) {
+  let body = {};
+  if (event.body) {
+    try {
+      body = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body);
+    } catch (error) {
+      throw badRequest('Request body must be valid JSON');
+    }
+  }
+  const params = { ...body, ...(event.queryStringParameters || {}) };
+  
+  let period = null;
+  if (params.month) {
+    const match = String(params.month).match(/^(\d{4})-(\d{1,2})$/);
+    const month = match ? Number(match[2]) : Number(params.month);
+    const year = match ? Number(match[1]) : Number(params.year);
+    
+    if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(year)) {
+      throw badRequest('month must be YYYY-MM, or a month number (1-12) with year');
+    }
+    period = { month, year };
+  }
+  
+  let sources = null;
+  if (params.sources) {
+    sources = (Array.isArray(params.sources) ? params.sources : String(params.sources).split(','))
+      .map(source => String(source).trim())
+      .filter(Boolean);
   }
+  
+  if (params.groupBy && !AdSpendSync.GROUP_BY.includes(params.groupBy)) {
+    throw badRequest(`groupBy must be one of ${AdSpendSync.GROUP_BY.join(', ')}`);
+  }
+  
+  return {
+    period,
+    sources: sources && sources.length > 0 ? sources : null,
+    groupBy: params.groupBy || null,
+    dryRun: isTrue(params.dryRun),
+    force: isTrue(params.force)
+  };
 }
 
 /**
- * Update Monthly Summary with ad spend data
+ * Query string flags arrive as strings
  */
-async function updateMonthlySummaryAdSpend(period, adSpendData, airtable) {
-  try {
-    // Find existing monthly summary record
-    const existingRecords = await airtable.summaryTable.select({
-      filterByFormula: `{Period} = '${period}'`,
-      maxRecords: 1
-    }).firstPage();
-    
-    if (existingRecords.length === 0) {
-      console.log(`No monthly summary found for ${period}, creating new record`);
-      
-      // Extract month and year from period
-      const [year, month] = period.split('-').map(Number);
-      
-      // Create new record with ad spend
-      const recordData = {
-        'Month': month,
-        'Year': year,
-        'Period': period,
-        'Total Revenue': 0,
-        'Total Ad Spend': adSpendData.totalAdSpend,
-        'Total Promo Spend': 0,
-        'Net Revenue': -adSpendData.totalAdSpend,
-        'Customer Count': 0,
-        'Average Revenue Per Customer': 0,
-        'Revenue by Source': JSON.stringify({}),
-        'Ad Spend by Category': JSON.stringify(adSpendData.adSpendByCategory),
-        'ROI': 'N/A',
-        'Created At': new Date().toISOString(),
-        'Last Updated': new Date().toISOString(),
-        'Ad Spend Updated': new Date().toISOString()
-      };
-      
-      const record = await airtable.summaryTable.create(recordData);
-      return {
-        id: record.getId(),
-        fields: record.fields
-      };
-    }
-    
-    // Update existing record
-    const existingRecord = existingRecords[0];
-    const currentFields = existingRecord.fields;
-    const totalRevenue = currentFields['Total Revenue'] || 0;
-    const totalPromoSpend = currentFields['Total Promo Spend'] || 0;
-    
-    const updateData = {
-      'Total Ad Spend': adSpendData.totalAdSpend,
-      'Ad Spend by Category': JSON.stringify(adSpendData.adSpendByCategory),
-      'Net Revenue': totalRevenue - adSpendData.totalAdSpend - totalPromoSpend,
-      'ROI': adSpendData.totalAdSpend > 0 
-        ? ((totalRevenue - adSpendData.totalAdSpend) / adSpendData.totalAdSpend * 100).toFixed(2) + '%' 
-        : 'N/A',
-      'Last Updated': new Date().toISOString(),
-      'Ad Spend Updated': new Date().toISOString()
-    };
-    
-    const record = await airtable.summaryTable.update(existingRecord.getId(), updateData);
-    console.log(`Monthly summary updated with ad spend for ${period}`);
-    
-    return {
-      id: record.getId(),
-      fields: record.fields
-    };
-  } catch (error) {
-    console.error('Error updating monthly summary with ad spend:', error);
-    throw error;
-  }
-}
\ No newline at end of file
+function isTrue(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Error returned to the caller as a 400
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
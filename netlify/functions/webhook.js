@@ -6,18 +6,38 @@ require('dotenv').config();
 const HouseCallProAPI = require('../../src/lib/housecall');
 const AirtableAPI = require('../../src/lib/airtable');
 const QuickBooksAPI = require('../../src/lib/quickbooks');
-const Utils = require('../../src/lib/utils');
+const LeadMatcher = require('../../src/lib/matcher');
+const WebhookEventStore = require('../../src/lib/events');
+const LeadSourceExtractor = require('../../src/lib/leadsource');
+const TouchpointAttribution = require('../../src/lib/attribution');
+const AdSpendSync = require('../../src/lib/adspend');
+const SummaryBackfill = require('../../src/lib/backfill');
+const SpendSchedules = require('../../src/lib/schedules');
+const PipelineTracker = require('../../src/lib/pipeline');
+const GoHighLevelAPI = require('../../src/lib/gohighlevel');
+const OfflineConversions = require('../../src/lib/conversions');
+const PaymentApplier = require('../../src/lib/payments');
+const WebhookProcessor = require('../../src/lib/processor');
+const AdminAPI = require('../../src/lib/adminapi');
+const WebhookAuth = require('../../src/lib/webhookauth');
 
 const app = express();
 
+// Signature checks for the HCP/GHL lead webhook
+const webhookAuth = new WebhookAuth();
+
 // Middleware
+// Keep the raw body for signature verification; re-serialized JSON wouldn't match what was signed
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Debug middleware - log all requests
 app.use((req, res, next) => {
-  console.log(`[WEBHOOK DEBUG] ${req.method} ${req.path} - Headers:`, req.headers);
+  console.log(`[WEBHOOK DEBUG] ${req.method} ${req.path} - Headers:`, webhookAuth.redactHeaders(req.headers));
   console.log(`[WEBHOOK DEBUG] Full URL: ${req.url}`);
   console.log(`[WEBHOOK DEBUG] Base URL: ${req.baseUrl}`);
   console.log(`[WEBHOOK DEBUG] Original URL: ${req.originalUrl}`);
@@ -33,291 +53,57 @@ if (process.env.HOUSECALL_PRO_API_KEY) {
 
 const airtable = new AirtableAPI();
 const qbo = new QuickBooksAPI();
-
-// Simple in-memory cache to prevent duplicate processing
-const recentlyProcessed = new Map();
-const DUPLICATE_WINDOW_MS = 5000; // 5 seconds
-
-/**
- * Process new lead from Go High Level
- */
-async function processGHLLead(webhookData) {
-  try {
-    console.log('Processing new lead from Go High Level');
-    
-    // Create a unique key for this webhook based on contact ID or email
-    const uniqueKey = webhookData.contact_id || webhookData.email || webhookData.full_name;
-    const now = Date.now();
-    
-    // Check if we've recently processed this exact webhook
-    if (recentlyProcessed.has(uniqueKey)) {
-      const lastProcessed = recentlyProcessed.get(uniqueKey);
-      if (now - lastProcessed < DUPLICATE_WINDOW_MS) {
-        console.log(`Skipping duplicate webhook for ${uniqueKey} (processed ${now - lastProcessed}ms ago)`);
-        return { skipped: true, reason: 'duplicate' };
-      }
-    }
-    
-    // Mark as processed
-    recentlyProcessed.set(uniqueKey, now);
-    
-    // Clean up old entries
-    for (const [key, timestamp] of recentlyProcessed.entries()) {
-      if (now - timestamp > DUPLICATE_WINDOW_MS * 2) {
-        recentlyProcessed.delete(key);
-      }
-    }
-    
-    // Extract lead source from various possible locations
-    let leadSource = 'Go High Level'; // default fallback
-    
-    // Check multiple possible locations for lead source
-    const possibleSources = [
-      webhookData['Housecall Pro Lead Source'], // GHL mapped field
-      webhookData['Lead Source'], // Direct field
-      webhookData['HCP Lead Source'], // Custom field  
-      webhookData['lead_source'], // Snake case version
-      webhookData['hcp_lead_source'], // Snake case HCP version
-      webhookData['housecall_pro_lead_source'], // Full snake case
-      webhookData.leadSource, // Direct property
-      webhookData.source, // Alternative property
-      webhookData.customData?.leadSource, // In custom data
-      webhookData.customData?.['Lead Source'], // In custom data with spaces
-      webhookData.customData?.['HCP Lead Source'], // In custom data HCP
-      webhookData.customData?.['Housecall Pro Lead Source'], // In custom data full
-      webhookData.customData?.source, // In custom data alternative
-      webhookData.customData?.lead_source, // In custom data snake case
-      webhookData.customFields?.leadSource, // In custom fields
-      webhookData.customFields?.['Lead Source'], // In custom fields with spaces
-      webhookData.contact?.source, // In contact object
-      webhookData.contact?.leadSource, // In contact object
-      webhookData.contact?.['Lead Source'], // In contact object with spaces
-      webhookData.triggerData?.source, // In trigger data
-      webhookData.contact?.attributionSource?.source, // Attribution source
-      webhookData.contact?.attributionSource?.medium, // Attribution medium
-      webhookData.attributionSource?.source, // Direct attribution
-      webhookData.attributionSource?.medium // Direct attribution medium
-    ];
-    
-    // Find the first non-empty, non-"Manual" source
-    for (const source of possibleSources) {
-      if (source && source !== 'Manual' && source !== 'CRM Workflows') {
-        leadSource = source;
-        break;
-      }
-    }
-    
-    // Enhanced debugging for lead source
-    console.log('Lead source extraction debug:');
-    console.log('- Available fields containing "Lead" or "Source":', Object.keys(webhookData).filter(key => 
-      key.toLowerCase().includes('lead') || key.toLowerCase().includes('source')
-    ));
-    console.log('- All HCP-related fields:', Object.keys(webhookData).filter(key => 
-      key.toLowerCase().includes('hcp') || key.toLowerCase().includes('housecall')
-    ));
-    console.log('- All webhook data keys:', Object.keys(webhookData));
-    console.log('- Custom data:', webhookData.customData);
-    console.log('- Custom fields:', webhookData.customFields);
-    console.log('- Contact object:', webhookData.contact);
-    console.log('- Trigger data:', webhookData.triggerData);
-    console.log('- Key field values:');
-    console.log('  * Housecall Pro Lead Source:', webhookData['Housecall Pro Lead Source']);
-    console.log('  * Lead Source:', webhookData['Lead Source']);
-    console.log('  * lead_source:', webhookData['lead_source']);
-    console.log('  * customData?.lead_source:', webhookData.customData?.lead_source);
-    console.log('  * customFields?.["Lead Source"]:', webhookData.customFields?.['Lead Source']);
-    console.log('  * HCP Tags:', webhookData['HCP Tags']);
-    console.log('- Selected lead source:', leadSource);
-    
-    // Build complete address including apartment number
-    let fullAddress = webhookData.full_address;
-    if (!fullAddress) {
-      const addressParts = [
-        webhookData.address1,
-        webhookData.address2, // apartment number
-        webhookData.city,
-        webhookData.state,
-        webhookData.postal_code
-      ].filter(Boolean);
-      
-      fullAddress = addressParts.join(', ');
-    }
-    
-    // Extract tags from multiple possible locations
-    const tagSources = [
-      webhookData.tags,
-      webhookData['HCP Tags'],
-      webhookData.hcp_tags,
-      webhookData.customData?.tags,
-      webhookData.contact?.tags
-    ].filter(Boolean).filter(tag => tag !== '');
-    
-    const allTags = tagSources.length > 0 ? tagSources : [];
-    
-    console.log('Address debug:');
-    console.log('- address1:', webhookData.address1);
-    console.log('- address2:', webhookData.address2);
-    console.log('- full_address:', webhookData.full_address);
-    console.log('- Final address:', fullAddress);
-    
-    console.log('Tags debug:');
-    console.log('- tags field:', webhookData.tags);
-    console.log('- HCP Tags field:', webhookData['HCP Tags']);
-    console.log('- Final tags:', allTags);
-    
-    // Transform GHL data to our expected format
-    const customerData = {
-      id: webhookData.contact_id,
-      name: webhookData.full_name || `${webhookData.first_name || ''} ${webhookData.last_name || ''}`.trim(),
-      firstName: webhookData.first_name,
-      lastName: webhookData.last_name,
-      email: webhookData.email,
-      phone: webhookData.phone,
-      address: fullAddress,
-      leadSource: leadSource,
-      dateCreated: webhookData.date_created,
-      tags: allTags,
-      notes: webhookData['HCP Notes'] || ''
-    };
-    
-    console.log(`Transformed GHL lead: ${customerData.name} (${customerData.email})`);
-    
-    // Upsert lead record in Airtable (create or update based on Customer Name)
-    const leadRecord = await airtable.upsertLead(customerData);
-    
-    if (leadRecord.wasUpdated) {
-      console.log(`✅ Existing GHL lead updated in Airtable: ${customerData.name} (ID: ${leadRecord.id})`);
-    } else {
-      console.log(`✅ New GHL lead created in Airtable: ${customerData.name} (ID: ${leadRecord.id})`);
-    }
-    
-    return leadRecord;
-  } catch (error) {
-    console.error('Error processing GHL lead:', error);
-    throw error;
-  }
-}
-
-/**
- * Process new customer from HouseCall Pro (direct format)
- */
-async function processNewCustomer(webhookData) {
-  try {
-    console.log('Processing new customer from HouseCall Pro');
-    
-    if (!hcp) {
-      throw new Error('HouseCall Pro API not configured. Use GHL integration path instead.');
-    }
-    
-    // Extract customer data from webhook
-    const customerData = await hcp.handleCustomerCreated(webhookData);
-    
-    // Upsert lead record in Airtable (create or update based on Customer Name)
-    const leadRecord = await airtable.upsertLead(customerData);
-    
-    if (leadRecord.wasUpdated) {
-      console.log(`✅ Existing lead updated in Airtable: ${customerData.name} (ID: ${leadRecord.id})`);
-    } else {
-      console.log(`✅ New lead created in Airtable: ${customerData.name} (ID: ${leadRecord.id})`);
-    }
-    
-    return leadRecord;
-  } catch (error) {
-    console.error('Error processing new customer:', error);
-    throw error;
-  }
-}
-
-/**
- * Process payment received from QuickBooks
- */
-async function processPaymentReceived(paymentData) {
-  try {
-    console.log(`Processing payment: ${paymentData.customerName} - ${Utils.formatCurrency(paymentData.amount)}`);
-    
-    // Find matching lead in Airtable using fuzzy matching
-    const matchingLead = await airtable.findLeadByName(
-      paymentData.customerName,
-      parseFloat(process.env.FUZZY_MATCH_THRESHOLD) || 0.8
-    );
-    
-    if (matchingLead) {
-      // Update lead with payment information
-      const updatedLead = await airtable.updateLeadPayment(
-        matchingLead.id,
-        paymentData
-      );
-      
-      console.log(`✅ Payment updated for lead: ${paymentData.customerName} (ID: ${matchingLead.id})`);
-      
-      // Automatically update Monthly Summary table
-      await updateMonthlySummaryForPayment(updatedLead, paymentData);
-      
-      return updatedLead;
-    } else {
-      console.warn(`⚠️  No matching lead found for customer: ${paymentData.customerName}`);
-      
-      // Log for manual review
-      console.log('Payment data for manual review:', {
-        customerName: paymentData.customerName,
-        amount: paymentData.amount,
-        paymentDate: paymentData.paymentDate,
-        invoiceNumber: paymentData.invoiceNumber
-      });
-      
-      return null;
-    }
-  } catch (error) {
-    console.error('Error processing payment:', error);
-    throw error;
-  }
-}
-
-/**
- * Update Monthly Summary table when a payment is received
- */
-async function updateMonthlySummaryForPayment(leadRecord, paymentData) {
-  try {
-    // Extract month and year from payment date
-    const paymentDate = new Date(paymentData.paymentDate || new Date());
-    const month = paymentDate.getMonth() + 1; // JavaScript months are 0-indexed
-    const year = paymentDate.getFullYear();
-    
-    console.log(`Updating Monthly Summary for ${month}/${year}`);
-    
-    // Get the lead source from the updated lead record
-    const leadSource = leadRecord.fields['Lead Source'] || 'Unknown';
-    const paymentAmount = parseFloat(paymentData.amount) || 0;
-    
-    // Update or create the monthly summary
-    await airtable.updateMonthlySummaryWithPayment({
-      month,
-      year,
-      leadSource,
-      paymentAmount,
-      customerName: paymentData.customerName
-    });
-    
-    console.log(`✅ Monthly Summary updated for ${month}/${year} - ${leadSource}: +${Utils.formatCurrency(paymentAmount)}`);
-  } catch (error) {
-    console.error('Error updating monthly summary:', error);
-    // Don't throw - we don't want to fail the payment processing if summary update fails
-  }
-}
+const matcher = new LeadMatcher(airtable);
+const leadSourceExtractor = new LeadSourceExtractor();
+const touchpoints = new TouchpointAttribution(airtable);
+const schedules = new SpendSchedules(airtable, qbo);
+const adSpend = new AdSpendSync(airtable, qbo, { schedules });
+const backfill = new SummaryBackfill(airtable, adSpend);
+const pipeline = new PipelineTracker(airtable, hcp);
+// GHL API is optional; without GHL_API_KEY webhooks are normalized but not enriched or written back
+const ghl = new GoHighLevelAPI(leadSourceExtractor);
+const conversions = new OfflineConversions(airtable);
+const payments = new PaymentApplier(airtable, { ghl, conversions });
+
+// Persistent event log so retried and replayed webhooks are only processed once
+const eventStore = new WebhookEventStore(airtable);
+
+// Lead, payment and refund processing shared with the local server
+const processor = new WebhookProcessor(airtable, { qbo, hcp, ghl, matcher, touchpoints, pipeline, payments });
+
+// Admin API routes shared with the local server, behind ADMIN_API_KEY
+const adminApi = new AdminAPI(airtable, {
+  webhookAuth,
+  processor,
+  matcher,
+  payments,
+  leadSourceExtractor,
+  conversions,
+  backfill,
+  schedules,
+  pipeline
+});
 
 // HouseCall Pro webhook handler (via GHL)
 // Handle both direct route and sub-path route
 const handleHCPWebhook = async (req, res) => {
   try {
-    const signature = req.headers['x-housecall-signature'];
     const payload = req.body;
 
     // Convert Buffer to string for signature verification
     const payloadString = Buffer.isBuffer(payload) ? payload.toString() : JSON.stringify(payload);
 
+    // Accept only requests signed by HCP or carrying the GHL workflow secret (WEBHOOK_AUTH_HCP_WEBHOOK)
+    const verification = webhookAuth.verify('hcp-webhook', req.rawBody || payloadString, req.headers);
+    if (!verification.valid) {
+      console.warn(`Rejected unverified HCP/GHL webhook: ${verification.reason}`);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    console.log(`Webhook verified (${verification.scheme})`);
+    
     // DEBUG: Log the raw payload from GHL
     console.log('=== RAW WEBHOOK PAYLOAD DEBUG ===');
-    console.log('Headers:', JSON.stringify(req.headers, null, 2));
+    console.log('Headers:', JSON.stringify(webhookAuth.redactHeaders(req.headers), null, 2));
     console.log('Raw payload:', payload);
     console.log('Payload type:', typeof payload);
     console.log('=====================================');
@@ -326,24 +112,14 @@ const handleHCPWebhook = async (req, res) => {
     console.log('Parsed webhook data:', JSON.stringify(webhookData, null, 2));
     console.log('Event type:', webhookData.event_type);
 
-    // Handle customer.created event (HCP format)
-    if (webhookData.event_type === 'customer.created') {
-      console.log('Processing HCP customer.created webhook');
-      await processNewCustomer(webhookData);
-    }
-    // Handle GHL format (no event_type, but has contact_id and contact_type)
-    else if (webhookData.contact_id && webhookData.contact_type === 'lead') {
-      console.log('Processing GHL lead webhook');
-      await processGHLLead(webhookData);
-    }
-    // Handle GHL format (contact_id exists, regardless of contact_type)
-    else if (webhookData.contact_id) {
-      console.log('Processing GHL webhook (contact_id detected)');
-      await processGHLLead(webhookData);
-    }
-    else {
-      console.log('Unrecognized webhook format - neither HCP nor GHL format detected');
-      console.log('Available fields:', Object.keys(webhookData));
+    const event = webhookData.event_type
+      ? eventStore.getHCPEvent(webhookData)
+      : eventStore.getGHLEvent(webhookData);
+
+    const result = await eventStore.runOnce(event, () => processor.processHCPPayload(webhookData));
+
+    if (result && result.reason === 'duplicate') {
+      return res.json({ message: 'Duplicate webhook skipped' });
     }
 
     res.json({ message: 'Webhook processed successfully' });
@@ -353,6 +129,9 @@ const handleHCPWebhook = async (req, res) => {
   }
 };
 
+// Admin API (the offline conversion stub stays open; everything else needs ADMIN_API_KEY)
+app.use(['/.netlify/functions/webhook', '/webhooks', '/api', '/'], adminApi.router());
+
 // Handle all POST requests - route based on path
 app.post('*', async (req, res) => {
   const path = req.path || req.url;
@@ -387,7 +166,7 @@ const handleQBOWebhook = async (req, res) => {
 
     // Verify webhook signature
     if (process.env.QBO_WEBHOOK_VERIFIER_TOKEN) {
-      const payloadString = typeof payload === 'string' ? payload : JSON.stringify(payload);
+      const payloadString = req.rawBody ? req.rawBody.toString('utf8') : (typeof payload === 'string' ? payload : JSON.stringify(payload));
       const isValid = qbo.verifyWebhookSignature(payloadString, signature);
       if (!isValid) {
         console.warn('Invalid QuickBooks webhook signature');
@@ -398,11 +177,12 @@ const handleQBOWebhook = async (req, res) => {
     const webhookData = typeof payload === 'object' ? payload : JSON.parse(payload);
     console.log('QuickBooks webhook received');
 
-    // Handle payment events
-    const paymentData = await qbo.handlePaymentReceived(webhookData);
-    
-    for (const payment of paymentData) {
-      await processPaymentReceived(payment);
+    // Record and process each entity change (payments, refund receipts, credit memos) once
+    for (const notification of webhookData.eventNotifications || []) {
+      for (const entity of notification.dataChangeEvent.entities) {
+        const event = eventStore.getQBOEvent(entity.name, entity, webhookData);
+        await eventStore.runOnce(event, () => processor.processQBOEntity(notification, entity));
+      }
     }
 
     res.json({ message: 'Webhook processed successfully' });
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const defaultMappings = require('../config/account-mappings.json');
+require('dotenv').config();
+
+// Lead source for ad spend lines no rule or catalog name accounts for
+const UNMAPPED = 'Unmapped';
+
+/**
+ * Maps QBO expense lines to lead sources with explicit account rules, then vendor and memo rules
+ * Rules come from the Account Mappings and Vendor Rules tables (ACCOUNT_MAPPING_SOURCE=airtable) or a JSON file
+ * (ACCOUNT_MAPPINGS_PATH, defaulting to src/config/account-mappings.json). Accounts are matched
+ * by ID or full name, never by substring.
+ */
+class AccountMapper {
+  /**
+   * @param {AirtableAPI} airtable - Airtable client, for the Account Mappings table and the lead source catalog
+   * @param {Object} options - Mapper options
+   * @param {string} options.source - 'json' or 'airtable' (defaults to ACCOUNT_MAPPING_SOURCE or 'json')
+   */
+  constructor(airtable, options = {}) {
+    this.airtable = airtable;
+    this.source = options.source || process.env.ACCOUNT_MAPPING_SOURCE || 'json';
+    this.rules = [];
+    this.vendorRules = [];
+  }
+
+  /**
+   * Load the account and vendor rules from their source, dropping invalid ones
+   * @returns {Object} { rules, vendorRules } - normalized rules
+   */
+  async load() {
+    let definition;
+    if (this.source === 'airtable') {
+      definition = {
+        mappings: await this.airtable.getAccountMappings(),
+        vendorRules: await this.airtable.getVendorRules()
+      };
+    } else {
+      definition = this.loadFile();
+    }
+    
+    this.rules = (definition.mappings || [])
+      .map((rule, index) => this.normalizeRule(rule, index))
+      .filter(Boolean);
+    this.vendorRules = (definition.vendorRules || [])
+      .map((rule, index) => this.normalizeVendorRule(rule, index))
+      .filter(Boolean);
+    
+    console.log(`Loaded ${this.rules.length} account mapping rule(s) and ${this.vendorRules.length} vendor rule(s) from ${this.source}`);
+    return { rules: this.rules, vendorRules: this.vendorRules };
+  }
+
+  /**
+   * Read rules from ACCOUNT_MAPPINGS_PATH, falling back to the bundled file
+   * @returns {Object} Raw { mappings, vendorRules }
+   */
+  loadFile() {
+    const mappingsPath = process.env.ACCOUNT_MAPPINGS_PATH;
+    if (!mappingsPath) {
+      return defaultMappings;
+    }
+    
+    try {
+      return JSON.parse(fs.readFileSync(mappingsPath, 'utf8'));
+    } catch (error) {
+      console.error(`Error loading account mappings from ${mappingsPath}, using defaults:`, error);
+      return defaultMappings;
+    }
+  }
+
+  /**
+   * Validate a rule and prepare it for matching
+   * @param {Object} rule - Raw rule { accountId, account, class, vendor, memo, leadSource, note }
+   * @param {number} index - Position in the rule list
+   * @returns {Object|null} Normalized rule, or null if it can't be used
+   */
+  normalizeRule(rule, index) {
+    if (!rule.accountId && !rule.account) {
+      console.log(`Skipping account mapping ${index}: it needs an accountId or account`);
+      return null;
+    }
+    if (!rule.leadSource) {
+      console.log(`Skipping account mapping ${index}: it has no leadSource`);
+      return null;
+    }
+    
+    let memo = null;
+    if (rule.memo) {
+      try {
+        memo = new RegExp(rule.memo, 'i');
+      } catch (error) {
+        console.error(`Skipping account mapping ${index}: invalid memo pattern "${rule.memo}"`);
+        return null;
+      }
+    }
+    
+    return {
+      index,
+      id: rule.id || null,
+      accountId: rule.accountId ? String(rule.accountId) : null,
+      account: this.toName(rule.account),
+      className: this.toName(rule.class),
+      vendor: this.toName(rule.vendor),
+      memo,
+      leadSource: this.airtable.leadSources.resolve(rule.leadSource),
+      note: rule.note || null
+    };
+  }
+
+  /**
+   * Validate a vendor rule and compile its patterns
+   * @param {Object} rule - Raw rule { vendor, memo, account, leadSource, note } - vendor and memo are regexes
+   * @param {number} index - Position in the vendor rule list
+   * @returns {Object|null} Normalized rule, or null if it can't be used
+   */
+  normalizeVendorRule(rule, index) {
+    if (!rule.vendor && !rule.memo) {
+      console.log(`Skipping vendor rule ${index}: it needs a vendor or memo pattern`);
+      return null;
+    }
+    if (!rule.leadSource) {
+      console.log(`Skipping vendor rule ${index}: it has no leadSource`);
+      return null;
+    }
+    
+    try {
+      return {
+        index,
+        id: rule.id || null,
+        vendor: rule.vendor ? new RegExp(rule.vendor, 'i') : null,
+        memo: rule.memo ? new RegExp(rule.memo, 'i') : null,
+        account: this.toName(rule.account),
+        leadSource: this.airtable.leadSources.resolve(rule.leadSource),
+        note: rule.note || null
+      };
+    } catch (error) {
+      console.error(`Skipping vendor rule ${index}: invalid pattern (${error.message})`);
+      return null;
+    }
+  }
+
+  /**
+   * Map an expense line to a lead source
+   * The account stage runs first: the first matching account rule, or else the account's own name (last segment
+   * for sub-accounts) if it is exactly a catalog name or alias. The first matching vendor rule then overrides it,
+   * so charges in a generic account can be split by who was paid.
+   * @param {Object} line - Expense line from QuickBooksAPI.getExpenseLines
+   * @returns {Object} { leadSource, mappedBy, rule, accountMapping } - mappedBy is account-rule, catalog, vendor-rule or null when unmapped
+   */
+  map(line) {
+    const accountMapping = this.mapAccount(line);
+    
+    const vendorRule = this.vendorRules.find(candidate => this.vendorRuleMatches(candidate, line));
+    if (vendorRule) {
+      return {
+        leadSource: vendorRule.leadSource,
+        mappedBy: 'vendor-rule',
+        rule: {
+          stage: 'vendor',
+          index: vendorRule.index,
+          id: vendorRule.id,
+          vendor: vendorRule.vendor ? vendorRule.vendor.source : null,
+          memo: vendorRule.memo ? vendorRule.memo.source : null,
+          note: vendorRule.note
+        },
+        accountMapping: { leadSource: accountMapping.leadSource, mappedBy: accountMapping.mappedBy }
+      };
+    }
+    
+    return { ...accountMapping, accountMapping: null };
+  }
+
+  /**
+   * Map a line by its account alone
+   * @param {Object} line - Expense line
+   * @returns {Object} { leadSource, mappedBy, rule } - mappedBy is account-rule, catalog or null when unmapped
+   */
+  mapAccount(line) {
+    const rule = this.rules.find(candidate => this.ruleMatches(candidate, line));
+    if (rule) {
+      return {
+        leadSource: rule.leadSource,
+        mappedBy: 'account-rule',
+        rule: { stage: 'account', index: rule.index, id: rule.id, note: rule.note }
+      };
+    }
+    
+    const leafName = (line.accountName || '').split(':').pop();
+    const catalogMatch = this.airtable.leadSources.normalize(leafName);
+    if (catalogMatch.matchedBy === 'exact' || catalogMatch.matchedBy === 'alias') {
+      return { leadSource: catalogMatch.leadSource, mappedBy: 'catalog', rule: null };
+    }
+    
+    return { leadSource: UNMAPPED, mappedBy: null, rule: null };
+  }
+
+  /**
+   * Whether any rule names the line's account, i.e. the account is known to carry ad spend
+   * @param {Object} line - Expense line
+   * @returns {boolean} Whether a rule covers the account
+   */
+  hasAccountRule(line) {
+    return this.rules.some(rule => this.accountMatches(rule, line));
+  }
+
+  /**
+   * Check every condition of a rule against a line
+   */
+  ruleMatches(rule, line) {
+    if (!this.accountMatches(rule, line)) return false;
+    if (rule.className && rule.className !== this.toName(line.className)) return false;
+    if (rule.vendor && rule.vendor !== this.toName(line.vendor)) return false;
+    if (rule.memo && !rule.memo.test([line.memo, line.description].filter(Boolean).join(' '))) return false;
+    
+    return true;
+  }
+
+  /**
+   * Check a vendor rule's patterns (and optional account) against a line
+   * The vendor pattern is tested against the payee, the memo pattern against the memo and line description.
+   */
+  vendorRuleMatches(rule, line) {
+    if (rule.account && rule.account !== this.toName(line.accountName)) return false;
+    if (rule.vendor && !rule.vendor.test(line.vendor || '')) return false;
+    if (rule.memo && !rule.memo.test([line.memo, line.description].filter(Boolean).join(' '))) return false;
+    
+    return true;
+  }
+
+  /**
+   * Check a rule's account ID and account name against a line
+   */
+  accountMatches(rule, line) {
+    if (rule.accountId && rule.accountId !== String(line.accountId)) return false;
+    if (rule.account && rule.account !== this.toName(line.accountName)) return false;
+    
+    return true;
+  }
+
+  /**
+   * Comparison form of a name: trimmed and lowercased, null when empty
+   */
+  toName(value) {
+    const name = String(value || '').trim().toLowerCase();
+    return name || null;
+  }
+}
+
+AccountMapper.UNMAPPED = UNMAPPED;
+
+module.exports = AccountMapper;
@@ -0,0 +1,693 @@
+const express = require('express');
+const SummaryBackfill = require('./backfill');
+require('dotenv').config();
+
+// Admin API prefixes; every route under them needs ADMIN_API_KEY
+const ADMIN_API_PATHS = ['/unmatched-payments', '/identity-links', '/lead-source', '/webhook-events', '/offline-conversions', '/pipeline', '/summary', '/spend-schedules'];
+
+/**
+ * Admin API routes shared by the Netlify webhook function and the local server
+ * Unmatched payments, identity links, lead source tools, webhook events, offline conversions,
+ * the Monthly Summary backfill, spend schedules and the pipeline, all behind ADMIN_API_KEY.
+ */
+class AdminAPI {
+  /**
+   * @param {AirtableAPI} airtable - Airtable client
+   * @param {Object} options - Collaborators
+   * @param {WebhookAuth} options.webhookAuth - Checks the admin key
+   * @param {WebhookProcessor} options.processor - Replays stored webhook events
+   * @param {LeadMatcher} options.matcher - Ranks candidate leads for unmatched payments
+   * @param {PaymentApplier} options.payments - Applies replayed unmatched payments
+   * @param {LeadSourceExtractor} options.leadSourceExtractor - Lead source rules
+   * @param {OfflineConversions} options.conversions - Offline conversion queue
+   * @param {SummaryBackfill} options.backfill - Monthly Summary backfill
+   * @param {SpendSchedules} options.schedules - Marketing spend schedules
+   * @param {PipelineTracker} options.pipeline - Lead pipeline stages
+   */
+  constructor(airtable, options = {}) {
+    this.airtable = airtable;
+    this.webhookAuth = options.webhookAuth;
+    this.processor = options.processor;
+    this.matcher = options.matcher;
+    this.payments = options.payments;
+    this.leadSourceExtractor = options.leadSourceExtractor;
+    this.conversions = options.conversions;
+    this.backfill = options.backfill;
+    this.schedules = options.schedules;
+    this.pipeline = options.pipeline;
+  }
+
+  /**
+   * Build the admin API router, to be mounted under /api
+   * The offline conversion stub is registered ahead of the admin key check: delivery posts to it without one, and it holds no data.
+   * @returns {express.Router}
+   */
+  router() {
+    const router = express.Router();
+    
+    router.post('/offline-conversions/stub/:platform', express.text({ type: 'text/csv' }), this.stubConversionUpload.bind(this));
+    
+    router.use(ADMIN_API_PATHS, this.requireAdminKey.bind(this));
+    
+    // Unmatched payments (dead-letter queue for payments with no matching lead)
+    router.get('/unmatched-payments', this.getUnmatchedPayments.bind(this));
+    router.get('/unmatched-payments/:id/candidates', this.getUnmatchedPaymentCandidates.bind(this));
+    router.post('/unmatched-payments/:id/link', this.linkUnmatchedPayment.bind(this));
+    router.post('/unmatched-payments/:id/replay', this.replayUnmatchedPayment.bind(this));
+    
+    // Identity links (lead <-> HCP/GHL contact <-> QBO customer)
+    router.get('/identity-links', this.getIdentityLinks.bind(this));
+    router.post('/identity-links', this.createIdentityLink.bind(this));
+    router.delete('/identity-links/:id', this.breakIdentityLink.bind(this));
+    
+    // Lead source rules and catalog
+    router.post('/lead-source/explain', this.explainLeadSource.bind(this));
+    router.get('/lead-source/catalog', this.getLeadSourceCatalog.bind(this));
+    router.post('/lead-source/normalize', this.normalizeLeadSource.bind(this));
+    router.post('/lead-source/renormalize', this.renormalizeLeadSources.bind(this));
+    
+    // Webhook event log (inspect and replay stored webhooks)
+    router.get('/webhook-events', this.getWebhookEvents.bind(this));
+    router.get('/webhook-events/:id', this.getWebhookEvent.bind(this));
+    router.post('/webhook-events/replay-failed', this.replayFailedWebhookEvents.bind(this));
+    router.post('/webhook-events/:id/replay', this.replayWebhookEventById.bind(this));
+    
+    // Offline conversions (revenue reported back to Google Ads and Meta)
+    router.get('/offline-conversions', this.getOfflineConversions.bind(this));
+    router.get('/offline-conversions/google.csv', this.exportGoogleConversions.bind(this));
+    router.post('/offline-conversions/flush', this.flushOfflineConversions.bind(this));
+    
+    // Monthly Summary backfill (recompute a range of months from the ledgers and QuickBooks)
+    router.post('/summary/backfill', this.backfillMonthlySummaries.bind(this));
+    
+    // Marketing spend schedules (amortize upfront costs across a date range)
+    router.get('/spend-schedules', this.getSpendSchedules.bind(this));
+    router.post('/spend-schedules', this.createSpendSchedule.bind(this));
+    router.post('/spend-schedules/:id/cancel', this.cancelSpendSchedule.bind(this));
+    
+    // Pipeline (per-source funnel and stage sync from HouseCall Pro)
+    router.get('/pipeline/funnel', this.getPipelineFunnel.bind(this));
+    router.post('/pipeline/sync', this.syncPipeline.bind(this));
+    
+    return router;
+  }
+
+  /**
+   * Reject API requests without a valid ADMIN_API_KEY (X-Admin-Key header, Bearer token or Basic auth password)
+   */
+  requireAdminKey(req, res, next) {
+    const verification = this.webhookAuth.verifyAdminKey(req.headers);
+    if (!verification.valid) {
+      console.warn(`Rejected API request ${req.method} ${req.originalUrl}: ${verification.reason}`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    next();
+  }
+
+  /**
+   * List payments that could not be matched to a lead
+   */
+  async getUnmatchedPayments(req, res) {
+    try {
+      const unmatchedPayments = await this.airtable.getUnmatchedPayments(req.query.status);
+      
+      res.json({
+        unmatchedPayments,
+        total: unmatchedPayments.length
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error fetching unmatched payments:', error);
+      res.status(500).json({ error: 'Failed to fetch unmatched payments' });
+    }
+  }
+
+  /**
+   * Re-run the lead matcher for an unmatched payment and return ranked candidates
+   */
+  async getUnmatchedPaymentCandidates(req, res) {
+    try {
+      const unmatched = await this.airtable.getUnmatchedPayment(req.params.id);
+      if (!unmatched) {
+        return res.status(404).json({ error: 'Unmatched payment not found' });
+      }
+      
+      if (!unmatched.paymentData) {
+        return res.status(422).json({ error: 'Unmatched payment has no stored payment data' });
+      }
+      
+      const matchResult = await this.matcher.match(unmatched.paymentData);
+      
+      res.json({
+        unmatchedPaymentId: unmatched.id,
+        ...matchResult
+      });
+    } catch (error) {
+      console.error('Error matching unmatched payment:', error);
+      res.status(500).json({ error: 'Failed to match unmatched payment' });
+    }
+  }
+
+  /**
+   * Manually link an unmatched payment to a lead record
+   */
+  async linkUnmatchedPayment(req, res) {
+    try {
+      const { leadId } = req.body || {};
+      
+      if (!leadId) {
+        return res.status(400).json({ error: 'leadId is required' });
+      }
+      
+      const unmatched = await this.airtable.getUnmatchedPayment(req.params.id);
+      if (!unmatched) {
+        return res.status(404).json({ error: 'Unmatched payment not found' });
+      }
+      
+      const lead = await this.airtable.getLeadById(leadId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      
+      const linked = await this.airtable.updateUnmatchedPaymentStatus(unmatched.id, 'Linked', lead.id);
+      
+      res.json({
+        message: 'Unmatched payment linked to lead',
+        unmatchedPayment: linked
+      });
+    } catch (error) {
+      console.error('Error linking unmatched payment:', error);
+      res.status(500).json({ error: 'Failed to link unmatched payment' });
+    }
+  }
+
+  /**
+   * Replay an unmatched payment against its linked lead and the Monthly Summary
+   */
+  async replayUnmatchedPayment(req, res) {
+    try {
+      const unmatched = await this.airtable.getUnmatchedPayment(req.params.id);
+      if (!unmatched) {
+        return res.status(404).json({ error: 'Unmatched payment not found' });
+      }
+      
+      if (unmatched.status === 'Replayed') {
+        return res.status(409).json({ error: 'Unmatched payment has already been replayed' });
+      }
+      
+      if (unmatched.status === 'Voided' || unmatched.status === 'Deleted') {
+        return res.status(409).json({ error: `Payment was ${unmatched.status.toLowerCase()} in QuickBooks` });
+      }
+      
+      if (!unmatched.paymentData) {
+        return res.status(422).json({ error: 'Unmatched payment has no stored payment data' });
+      }
+      
+      const leadId = (req.body && req.body.leadId) || unmatched.linkedLeadId;
+      if (!leadId) {
+        return res.status(400).json({ error: 'Link the payment to a lead or pass leadId before replaying' });
+      }
+      
+      const lead = await this.airtable.getLeadById(leadId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      
+      const updatedLead = await this.payments.apply(lead.id, unmatched.paymentData, 'Manual');
+      const replayed = await this.airtable.updateUnmatchedPaymentStatus(unmatched.id, 'Replayed', lead.id);
+      
+      res.json({
+        message: 'Unmatched payment replayed',
+        unmatchedPayment: replayed,
+        lead: updatedLead
+      });
+    } catch (error) {
+      console.error('Error replaying unmatched payment:', error);
+      res.status(500).json({ error: 'Failed to replay unmatched payment' });
+    }
+  }
+
+  /**
+   * List identity links, optionally filtered by lead, QBO customer, contact or status
+   */
+  async getIdentityLinks(req, res) {
+    try {
+      const { leadId, qboCustomerId, contactId, status } = req.query;
+      const identityLinks = await this.airtable.getIdentityLinks({ leadId, qboCustomerId, contactId, status });
+      
+      res.json({
+        identityLinks,
+        total: identityLinks.length
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error fetching identity links:', error);
+      res.status(500).json({ error: 'Failed to fetch identity links' });
+    }
+  }
+
+  /**
+   * Manually link a lead to a QBO customer and/or HCP/GHL contact
+   */
+  async createIdentityLink(req, res) {
+    try {
+      const { leadId, qboCustomerId, contactId } = req.body || {};
+      
+      if (!leadId || (!qboCustomerId && !contactId)) {
+        return res.status(400).json({ error: 'leadId and a qboCustomerId or contactId are required' });
+      }
+      
+      const lead = await this.airtable.getLeadById(leadId);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      
+      const existing = qboCustomerId
+        ? await this.airtable.findIdentityLink({ qboCustomerId })
+        : await this.airtable.findIdentityLink({ contactId });
+      if (existing && existing.leadId !== lead.id) {
+        return res.status(409).json({
+          error: 'Customer is already linked to another lead; break that link first',
+          identityLink: existing
+        });
+      }
+      
+      const identityLink = await this.airtable.saveIdentityLink({
+        leadId: lead.id,
+        qboCustomerId,
+        contactId: contactId || lead.fields['HCP Customer ID'],
+        linkSource: 'Manual'
+      });
+      
+      res.json({
+        message: 'Identity link saved',
+        identityLink
+      });
+    } catch (error) {
+      console.error('Error creating identity link:', error);
+      res.status(500).json({ error: 'Failed to create identity link' });
+    }
+  }
+
+  /**
+   * Break an identity link so the customer goes through matching again
+   */
+  async breakIdentityLink(req, res) {
+    try {
+      const identityLink = await this.airtable.breakIdentityLink(req.params.id);
+      if (!identityLink) {
+        return res.status(404).json({ error: 'Identity link not found' });
+      }
+      
+      res.json({
+        message: 'Identity link broken',
+        identityLink
+      });
+    } catch (error) {
+      console.error('Error breaking identity link:', error);
+      res.status(500).json({ error: 'Failed to break identity link' });
+    }
+  }
+
+  /**
+   * Show which lead source rule fires for a sample GHL payload, and why
+   */
+  explainLeadSource(req, res) {
+    const payload = req.body;
+    
+    if (!payload || typeof payload !== 'object' || Object.keys(payload).length === 0) {
+      return res.status(400).json({ error: 'Send a sample GHL webhook payload as the JSON body' });
+    }
+    
+    const result = this.leadSourceExtractor.explain(payload);
+    res.json({
+      ...result,
+      normalized: this.airtable.leadSources.normalize(result.leadSource),
+      attribution: this.leadSourceExtractor.extractAttribution(payload)
+    });
+  }
+
+  /**
+   * List the canonical lead sources and their aliases
+   */
+  getLeadSourceCatalog(req, res) {
+    res.json({ sources: this.airtable.leadSources.list() });
+  }
+
+  /**
+   * Show how a raw lead source or account name maps to the catalog
+   */
+  normalizeLeadSource(req, res) {
+    const { value } = req.body || {};
+    
+    if (value === undefined) {
+      return res.status(400).json({ error: 'value is required' });
+    }
+    
+    res.json(this.airtable.leadSources.normalize(value));
+  }
+
+  /**
+   * Re-map existing leads, payments and refunds to canonical lead sources
+   */
+  async renormalizeLeadSources(req, res) {
+    try {
+      const { dryRun = false } = req.body || {};
+      
+      const summary = dryRun
+        ? (await this.airtable.dryRun(() => this.airtable.renormalizeLeadSources())).result
+        : await this.airtable.renormalizeLeadSources();
+      
+      res.json({
+        message: dryRun ? 'Dry run complete, no changes applied' : 'Lead sources re-normalized',
+        dryRun,
+        ...summary
+      });
+    } catch (error) {
+      console.error('Error re-normalizing lead sources:', error);
+      res.status(500).json({ error: 'Failed to re-normalize lead sources' });
+    }
+  }
+
+  /**
+   * List stored webhook events, optionally filtered by status, source and date range
+   */
+  async getWebhookEvents(req, res) {
+    try {
+      const { status, source, startDate, endDate } = req.query;
+      const webhookEvents = await this.airtable.getWebhookEvents({ status, source, startDate, endDate });
+      
+      res.json({
+        webhookEvents: webhookEvents.map(({ payload, ...event }) => event),
+        total: webhookEvents.length
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error fetching webhook events:', error);
+      res.status(500).json({ error: 'Failed to fetch webhook events' });
+    }
+  }
+
+  /**
+   * Get a stored webhook event, including its raw payload
+   */
+  async getWebhookEvent(req, res) {
+    try {
+      const webhookEvent = await this.airtable.getWebhookEvent(req.params.id);
+      if (!webhookEvent) {
+        return res.status(404).json({ error: 'Webhook event not found' });
+      }
+      
+      res.json({ webhookEvent });
+    } catch (error) {
+      console.error('Error fetching webhook event:', error);
+      res.status(500).json({ error: 'Failed to fetch webhook event' });
+    }
+  }
+
+  /**
+   * Replay every failed webhook event received in a date range
+   */
+  async replayFailedWebhookEvents(req, res) {
+    try {
+      const { startDate, endDate, source, dryRun = false } = req.body || {};
+      
+      if (!startDate || !endDate) {
+        return res.status(400).json({ error: 'startDate and endDate are required' });
+      }
+      
+      const failedEvents = await this.airtable.getWebhookEvents({ status: 'Failed', source, startDate, endDate, includePayload: true });
+      
+      // Replay oldest first so later changes to the same entity win
+      const results = [];
+      for (const event of failedEvents.reverse()) {
+        results.push(await this.processor.replayWebhookEvent(event, dryRun));
+      }
+      
+      res.json({
+        message: dryRun ? 'Dry run complete, no changes applied' : 'Failed webhook events replayed',
+        dryRun,
+        total: results.length,
+        failed: results.filter(result => result.error).length,
+        results
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error replaying failed webhook events:', error);
+      res.status(500).json({ error: 'Failed to replay webhook events' });
+    }
+  }
+
+  /**
+   * Replay a single stored webhook event
+   */
+  async replayWebhookEventById(req, res) {
+    try {
+      const { dryRun = false } = req.body || {};
+      
+      const webhookEvent = await this.airtable.getWebhookEvent(req.params.id);
+      if (!webhookEvent) {
+        return res.status(404).json({ error: 'Webhook event not found' });
+      }
+      
+      if (!webhookEvent.payload) {
+        return res.status(422).json({ error: 'Webhook event has no stored payload' });
+      }
+      
+      const result = await this.processor.replayWebhookEvent(webhookEvent, dryRun);
+      
+      res.status(result.error && !dryRun ? 500 : 200).json({
+        message: dryRun ? 'Dry run complete, no changes applied' : 'Webhook event replayed',
+        ...result
+      });
+    } catch (error) {
+      console.error('Error replaying webhook event:', error);
+      res.status(500).json({ error: 'Failed to replay webhook event' });
+    }
+  }
+
+  /**
+   * List offline conversions, optionally filtered by status and platform
+   */
+  async getOfflineConversions(req, res) {
+    try {
+      const { status, platform } = req.query;
+      const offlineConversions = await this.airtable.getOfflineConversions({ status, platform });
+      
+      res.json({
+        offlineConversions,
+        total: offlineConversions.length
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error fetching offline conversions:', error);
+      res.status(500).json({ error: 'Failed to fetch offline conversions' });
+    }
+  }
+
+  /**
+   * Google Ads conversions as an offline conversion import CSV (?days=90)
+   */
+  async exportGoogleConversions(req, res) {
+    try {
+      const csv = await this.conversions.exportGoogleCsv(parseInt(req.query.days) || undefined);
+      
+      res.type('text/csv').send(csv);
+    } catch (error) {
+      console.error('Error exporting Google Ads conversions:', error);
+      res.status(500).json({ error: 'Failed to export Google Ads conversions' });
+    }
+  }
+
+  /**
+   * Deliver queued and retryable failed offline conversions
+   */
+  async flushOfflineConversions(req, res) {
+    try {
+      const { platform } = req.body || {};
+      const result = await this.conversions.flush({ platform });
+      
+      res.json({
+        message: 'Offline conversions flushed',
+        ...result
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error flushing offline conversions:', error);
+      res.status(500).json({ error: 'Failed to flush offline conversions' });
+    }
+  }
+
+  /**
+   * Stand-in for the Google Ads and Meta endpoints when testing delivery (not available in production)
+   */
+  stubConversionUpload(req, res) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ error: 'Stub endpoint is disabled in production' });
+    }
+    
+    const result = this.conversions.validateUpload(req.params.platform, req.body);
+    console.log(`[CONVERSIONS STUB] ${req.params.platform}: ${result.received} conversion(s), ${result.valid ? 'valid' : result.errors.join('; ')}`);
+    
+    if (!result.valid) {
+      return res.status(400).json({ error: { message: 'Invalid upload', errors: result.errors } });
+    }
+    res.json({ events_received: result.received, stub: true });
+  }
+
+  /**
+   * Recompute Monthly Summaries over a range of months (body: { start: 'YYYY-MM', end: 'YYYY-MM', dryRun, includeAdSpend })
+   */
+  async backfillMonthlySummaries(req, res) {
+    try {
+      const { start, end, dryRun = false, includeAdSpend = true } = req.body || {};
+      
+      if (!start || !end) {
+        return res.status(400).json({ error: 'start and end are required (YYYY-MM)' });
+      }
+      
+      try {
+        SummaryBackfill.listPeriods(start, end);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      const result = await this.backfill.run({
+        start,
+        end,
+        dryRun: dryRun === true || dryRun === 'true',
+        includeAdSpend: includeAdSpend !== false && includeAdSpend !== 'false'
+      });
+      
+      res.json(result);
+    } catch (error) {
+      console.error('Error backfilling monthly summaries:', error);
+      res.status(500).json({ error: 'Failed to backfill monthly summaries' });
+    }
+  }
+
+  /**
+   * List marketing spend schedules with their monthly breakdown (query: status)
+   */
+  async getSpendSchedules(req, res) {
+    try {
+      const schedules = await this.schedules.list({ status: req.query.status });
+      
+      res.json({
+        schedules,
+        total: schedules.length
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error fetching spend schedules:', error);
+      res.status(500).json({ error: 'Failed to fetch spend schedules' });
+    }
+  }
+
+  /**
+   * Create a spend schedule that amortizes a cost across a date range
+   * (body: { name, leadSource, amount, startDate, endDate, qboTransactionType, qboTransactionId, qboLineId, notes })
+   */
+  async createSpendSchedule(req, res) {
+    try {
+      const schedule = await this.schedules.create(req.body || {});
+      
+      res.json({
+        message: 'Spend schedule saved',
+        schedule
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error creating spend schedule:', error);
+      res.status(500).json({ error: 'Failed to create spend schedule' });
+    }
+  }
+
+  /**
+   * Cancel a spend schedule so it no longer contributes amortized spend
+   */
+  async cancelSpendSchedule(req, res) {
+    try {
+      const schedule = await this.schedules.cancel(req.params.id);
+      
+      res.json({
+        message: 'Spend schedule cancelled',
+        schedule
+      });
+    } catch (error) {
+      console.error('Error cancelling spend schedule:', error);
+      res.status(500).json({ error: 'Failed to cancel spend schedule' });
+    }
+  }
+
+  /**
+   * Get the lead-to-paid conversion funnel per lead source (query: startDate, endDate on the lead's Date Created)
+   */
+  async getPipelineFunnel(req, res) {
+    try {
+      const { startDate, endDate } = req.query;
+      const funnel = await this.pipeline.buildFunnel({ startDate, endDate });
+      
+      res.json(funnel);
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error building pipeline funnel:', error);
+      res.status(500).json({ error: 'Failed to build pipeline funnel' });
+    }
+  }
+
+  /**
+   * Pull estimates, jobs and invoices from HouseCall Pro and update lead stage timestamps
+   * (body: { startDate, endDate } on the lead's Date Created, or { leadIds })
+   */
+  async syncPipeline(req, res) {
+    try {
+      const { startDate, endDate, leadIds } = req.body || {};
+      
+      if (!leadIds && !startDate) {
+        return res.status(400).json({ error: 'startDate (YYYY-MM-DD) or leadIds is required' });
+      }
+      
+      if (!this.pipeline.hcp) {
+        return res.status(503).json({ error: 'HouseCall Pro API not configured (HOUSECALL_PRO_API_KEY)' });
+      }
+      
+      const result = await this.pipeline.sync({
+        startDate,
+        endDate,
+        leadIds: leadIds ? (Array.isArray(leadIds) ? leadIds : String(leadIds).split(',')).map(id => String(id).trim()) : null
+      });
+      
+      res.json(result);
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error syncing pipeline:', error);
+      res.status(500).json({ error: 'Failed to sync pipeline' });
+    }
+  }
+}
+
+AdminAPI.ADMIN_API_PATHS = ADMIN_API_PATHS;
+
+module.exports = AdminAPI;
@@ -0,0 +1,303 @@
+const AccountMapper = require('./accountmap');
+const SpendSchedules = require('./schedules');
+require('dotenv').config();
+
+/**
+ * Ways an expense line can be attributed to a lead source: its expense account, QBO Class or QBO Location
+ */
+const GROUP_BY_OPTIONS = ['account', 'class', 'location'];
+
+/**
+ * Monthly ad spend sync from QuickBooks into the Monthly Summary
+ *
+ * Summary schema: one Monthly Summary row per month, keyed on `Period` (YYYY-MM). The sync writes
+ * - `Ad Spend by Category`: JSON map of canonical lead source (see LeadSourceCatalog) to spend
+ * - `Total Ad Spend`: sum of `Ad Spend by Category`
+ * - `Net Revenue`, `ROI`, `ROI %`, `ROAS`: recalculated from `Total Revenue`
+ * - `Amortized Ad Spend by Category`, `Total Amortized Ad Spend`, `Amortized ROI %`, `Amortized ROAS`: the same
+ *   spend with scheduled costs spread over their date ranges (see SpendSchedules)
+ * - `Ad Spend Updated` / `Last Updated`: timestamps
+ * and then refreshes the per-source rows in the Source Metrics table.
+ */
+class AdSpendSync {
+  /**
+   * @param {AirtableAPI} airtable - Airtable client
+   * @param {QuickBooksAPI} qbo - QuickBooks client; connected from stored tokens on first use
+   * @param {Object} options - Sync options
+   * @param {Array} options.accounts - Expense account names counted as ad spend (defaults to the client's AD_SPEND_ACCOUNTS)
+   * @param {string} options.groupBy - Attribute lines by 'account', 'class' or 'location' (defaults to AD_SPEND_GROUP_BY or 'account')
+   * @param {AccountMapper} options.accountMapper - Account to lead source rules (defaults to ACCOUNT_MAPPING_SOURCE)
+   * @param {SpendSchedules} options.schedules - Spend schedules used for amortized spend
+   */
+  constructor(airtable, qbo, options = {}) {
+    this.airtable = airtable;
+    this.qbo = qbo;
+    this.accounts = options.accounts || qbo.adSpendAccounts;
+    this.groupBy = options.groupBy || process.env.AD_SPEND_GROUP_BY || 'account';
+    this.accountMapper = options.accountMapper || new AccountMapper(airtable);
+    this.schedules = options.schedules || new SpendSchedules(airtable, qbo);
+    
+    if (!AdSpendSync.GROUP_BY.includes(this.groupBy)) {
+      throw new Error(`Ad spend groupBy must be one of ${AdSpendSync.GROUP_BY.join(', ')}`);
+    }
+  }
+
+  /**
+   * Sync one month's ad spend
+   * @param {Object} params - Sync parameters
+   * @param {number} params.month - Month (1-12)
+   * @param {number} params.year - Year
+   * @param {Array} params.sources - Only update these lead sources, keeping stored spend for the rest (optional)
+   * @param {boolean} params.dryRun - Return the Airtable writes instead of applying them
+   * @param {string} params.groupBy - Override the line attribution ('account', 'class' or 'location')
+   * @returns {Object} { period, groupBy, totalAdSpend, adSpendBySource, totalAmortizedAdSpend, amortizedBySource, scheduleAllocations,
+   *   deferredLines, expenseCount, unmappedAccounts, lines, summary, sourceMetrics, dryRun, writes }
+   */
+  async sync({ month, year, sources = null, dryRun = false, groupBy = this.groupBy }) {
+    const period = `${year}-${String(month).padStart(2, '0')}`;
+    console.log(`Syncing ad spend for ${period}${sources ? ` (sources: ${sources.join(', ')})` : ''}${dryRun ? ' [dry run]' : ''}`);
+    
+    // Connect before any dry run starts, so a token refresh is saved rather than captured
+    await this.ensureConnected();
+    
+    const adSpend = await this.fetchAdSpend(month, year, groupBy);
+    const amortized = await this.schedules.getAmortizedSpend(month, year, adSpend.lines, adSpend.adSpendBySource);
+    const sourceFilter = sources ? sources.map(source => this.airtable.leadSources.resolve(source)) : null;
+    
+    const apply = async () => {
+      const summary = await this.writeMonthlySummary(month, year, adSpend.adSpendBySource, sourceFilter, amortized.amortizedBySource);
+      const sourceMetrics = await this.airtable.refreshSourceMetrics(month, year);
+      return { summary, sourceMetrics };
+    };
+    
+    let outcome;
+    let writes = null;
+    if (dryRun) {
+      const preview = await this.airtable.dryRun(apply);
+      outcome = preview.result;
+      writes = preview.writes;
+    } else {
+      outcome = await apply();
+    }
+    
+    return {
+      period,
+      groupBy,
+      totalAdSpend: outcome.summary.fields['Total Ad Spend'],
+      adSpendBySource: outcome.summary.adSpendBySource,
+      totalAmortizedAdSpend: outcome.summary.fields['Total Amortized Ad Spend'],
+      amortizedBySource: outcome.summary.amortizedBySource,
+      scheduleAllocations: amortized.allocations,
+      deferredLines: amortized.deferred,
+      expenseCount: adSpend.expenseCount,
+      unmappedAccounts: adSpend.unmappedAccounts,
+      lines: adSpend.lines,
+      sourceFilter,
+      summary: { id: outcome.summary.id, fields: outcome.summary.fields },
+      sourceMetrics: outcome.sourceMetrics,
+      dryRun,
+      writes
+    };
+  }
+
+  /**
+   * Connect the QuickBooks client from stored tokens, refreshing them if expired
+   */
+  async ensureConnected() {
+    if (this.qbo.qbo) {
+      return;
+    }
+    
+    const connected = await this.qbo.initializeFromStoredTokens();
+    if (!connected) {
+      throw new Error('QuickBooks is not connected - authorize it via /auth/quickbooks');
+    }
+  }
+
+  /**
+   * Fetch a month's ad spend from QuickBooks line by line, grouped by canonical lead source
+   * Lines count when their account is an ad spend account or has a mapping rule, so a split charge contributes
+   * just its ad spend lines. Each line is mapped through the account and vendor rules (see AccountMapper); with groupBy
+   * 'class' or 'location', its QBO Class or Location takes precedence when set, and must be a catalog name or alias.
+   * Lines nothing maps are totalled under "Unmapped" and listed in unmappedAccounts.
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @param {string} groupBy - 'account', 'class' or 'location'
+   * @returns {Object} { adSpendBySource, expenseCount, unmappedAccounts, lines }
+   */
+  async fetchAdSpend(month, year, groupBy = this.groupBy) {
+    try {
+      const period = `${year}-${String(month).padStart(2, '0')}`;
+      
+      await this.accountMapper.load();
+      const expenseLines = await this.qbo.getExpenseLines({
+        startDate: `${period}-01`,
+        endDate: `${period}-${new Date(year, month, 0).getDate()}`
+      });
+      
+      const adSpendBySource = {};
+      const unmappedByAccount = {};
+      const lines = expenseLines
+        .filter(line => this.qbo.matchesAccount(line.accountName, this.accounts) || this.accountMapper.hasAccountRule(line))
+        .map(line => {
+          // Classes and locations count only when they are exactly a catalog name or alias, like account names
+          const groupName = groupBy === 'class' ? line.className : groupBy === 'location' ? line.locationName : null;
+          let attribution;
+          if (groupName) {
+            const catalogMatch = this.airtable.leadSources.normalize(groupName);
+            const mapped = catalogMatch.matchedBy === 'exact' || catalogMatch.matchedBy === 'alias';
+            attribution = {
+              source: mapped ? catalogMatch.leadSource : AccountMapper.UNMAPPED,
+              attributedBy: mapped ? groupBy : 'unmapped',
+              rule: null,
+              accountMapping: null
+            };
+          } else {
+            const mapping = this.accountMapper.map(line);
+            attribution = {
+              source: mapping.leadSource,
+              attributedBy: mapping.mappedBy || 'unmapped',
+              rule: mapping.rule,
+              accountMapping: mapping.accountMapping
+            };
+          }
+          
+          adSpendBySource[attribution.source] = (adSpendBySource[attribution.source] || 0) + line.amount;
+          
+          if (attribution.attributedBy === 'unmapped') {
+            const key = groupName ? `${groupBy}:${groupName}` : line.accountId || line.accountName;
+            if (!unmappedByAccount[key]) {
+              unmappedByAccount[key] = { accountId: line.accountId, accountName: line.accountName, amount: 0, lineCount: 0 };
+              if (groupName) {
+                unmappedByAccount[key][groupBy === 'class' ? 'className' : 'locationName'] = groupName;
+              }
+            }
+            unmappedByAccount[key].amount += line.amount;
+            unmappedByAccount[key].lineCount++;
+          }
+          
+          return { ...line, ...attribution };
+        });
+      
+      const unmappedAccounts = Object.values(unmappedByAccount);
+      if (unmappedAccounts.length > 0) {
+        console.log(`Unmapped ad spend accounts for ${period}:`, unmappedAccounts.map(account => account.className || account.locationName || account.accountName).join(', '));
+      }
+      console.log(`Ad spend for ${period} by ${groupBy}:`, adSpendBySource);
+      
+      return {
+        adSpendBySource,
+        expenseCount: lines.length,
+        unmappedAccounts,
+        lines
+      };
+    } catch (error) {
+      console.error('Error fetching ad spend from QuickBooks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write ad spend to the month's Monthly Summary row, creating it if needed
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @param {Object} adSpendBySource - Spend per canonical lead source
+   * @param {Array} sourceFilter - Only replace spend for these sources (null for all)
+   * @param {Object} amortizedBySource - Amortized spend per canonical lead source (null leaves it untouched)
+   * @returns {Object} { id, fields, adSpendBySource, amortizedBySource } - the summary record and the spend maps it now holds
+   */
+  async writeMonthlySummary(month, year, adSpendBySource, sourceFilter = null, amortizedBySource = null) {
+    const period = `${year}-${String(month).padStart(2, '0')}`;
+    
+    const existingRecords = await this.airtable.summaryTable.select({
+      filterByFormula: `{Period} = '${period}'`,
+      maxRecords: 1
+    }).firstPage();
+    const existing = existingRecords[0] || null;
+    const currentFields = existing ? existing.fields : {};
+    
+    const mergedSpend = this.mergeSpend(currentFields, 'Ad Spend by Category', adSpendBySource, sourceFilter);
+    const mergedAmortized = amortizedBySource
+      ? this.mergeSpend(currentFields, 'Amortized Ad Spend by Category', amortizedBySource, sourceFilter)
+      : null;
+    
+    const totalAdSpend = Object.values(mergedSpend).reduce((sum, amount) => sum + (parseFloat(amount) || 0), 0);
+    const totalRevenue = currentFields['Total Revenue'] || 0;
+    
+    const recordData = {
+      'Total Ad Spend': totalAdSpend,
+      'Ad Spend by Category': JSON.stringify(mergedSpend),
+      'Net Revenue': totalRevenue - totalAdSpend - (currentFields['Total Promo Spend'] || 0),
+      ...this.airtable.formatROIFields(totalRevenue, totalAdSpend),
+      ...(mergedAmortized ? this.airtable.formatAmortizedFields(totalRevenue, mergedAmortized) : {}),
+      'Last Updated': new Date().toISOString(),
+      'Ad Spend Updated': new Date().toISOString()
+    };
+    
+    let record;
+    if (existing) {
+      record = await this.airtable.summaryTable.update(existing.getId(), recordData);
+      console.log(`Monthly summary ${period} updated with ad spend: $${totalAdSpend.toFixed(2)}`);
+    } else {
+      record = await this.airtable.summaryTable.create({
+        'Month': month,
+        'Year': year,
+        'Period': period,
+        'Gross Revenue': 0,
+        'Total Refunds': 0,
+        'Total Revenue': 0,
+        'Total Promo Spend': 0,
+        'Customer Count': 0,
+        'Average Revenue Per Customer': 0,
+        'Revenue by Source': JSON.stringify({}),
+        'Created At': new Date().toISOString(),
+        ...recordData
+      });
+      console.log(`Monthly summary ${period} created with ad spend: $${totalAdSpend.toFixed(2)}`);
+    }
+    
+    return {
+      id: record.getId(),
+      fields: record.fields,
+      adSpendBySource: mergedSpend,
+      amortizedBySource: mergedAmortized
+    };
+  }
+
+  /**
+   * Merge freshly computed spend into a stored spend field
+   * With a source filter, the stored spend is kept for every other source; without one it is replaced.
+   * @param {Object} currentFields - Stored Monthly Summary fields
+   * @param {string} field - 'Ad Spend by Category' or 'Amortized Ad Spend by Category'
+   * @param {Object} spendBySource - Spend per canonical lead source
+   * @param {Array} sourceFilter - Only replace spend for these sources (null for all)
+   * @returns {Object} Merged spend per source
+   */
+  mergeSpend(currentFields, field, spendBySource, sourceFilter) {
+    if (!sourceFilter) {
+      return spendBySource;
+    }
+    
+    let storedSpend = {};
+    try {
+      storedSpend = JSON.parse(currentFields[field] || '{}');
+    } catch (error) {
+      console.log(`Could not parse stored ${field}, replacing it`);
+    }
+    
+    const mergedSpend = { ...storedSpend };
+    sourceFilter.forEach(source => {
+      if (spendBySource[source]) {
+        mergedSpend[source] = spendBySource[source];
+      } else {
+        delete mergedSpend[source];
+      }
+    });
+    
+    return mergedSpend;
+  }
+}
+
+AdSpendSync.GROUP_BY = GROUP_BY_OPTIONS;
+
+module.exports = AdSpendSync;
@@ -1,6 +1,82 @@
 const Airtable = require('airtable');
+const { AsyncLocalStorage } = require('async_hooks');
+const LeadSourceCatalog = require('./catalog');
+const Utils = require('./utils');
 require('dotenv').config();
 
+/**
+ * Tracks the dry-run context of the current async call chain (see AirtableAPI.dryRun)
+ */
+const dryRunStorage = new AsyncLocalStorage();
+
+/**
+ * Most records Airtable accepts in one create or update call
+ */
+const AIRTABLE_BATCH_SIZE = 10;
+
+/**
+ * Excludes voided and deleted payments and refunds from ledger queries
+ */
+const ACTIVE_PAYMENT_FORMULA = `AND({Status} != 'Voided', {Status} != 'Deleted')`;
+
+/**
+ * Statuses an Unmatched Payments row can have
+ */
+const UNMATCHED_PAYMENT_STATUSES = ['Unmatched', 'Linked', 'Replayed', 'Voided', 'Deleted'];
+
+/**
+ * Statuses an Identity Links row can have
+ */
+const IDENTITY_LINK_STATUSES = ['Active', 'Broken'];
+
+/**
+ * Statuses a Spend Schedules row can have
+ */
+const SPEND_SCHEDULE_STATUSES = ['Active', 'Cancelled'];
+
+/**
+ * Statuses and platforms an Offline Conversions row can have
+ */
+const OFFLINE_CONVERSION_STATUSES = ['Queued', 'Sent', 'Failed', 'Cancelled'];
+const OFFLINE_CONVERSION_PLATFORMS = ['Google Ads', 'Meta'];
+
+/**
+ * Statuses and sources a Webhook Events row can have
+ */
+const WEBHOOK_EVENT_STATUSES = ['Received', 'Processed', 'Failed', 'Skipped'];
+const WEBHOOK_EVENT_SOURCES = ['GHL', 'HCP', 'QBO'];
+
+/**
+ * Webhook Events fields other than the raw payload, for listing events without copying customer data around
+ */
+const WEBHOOK_EVENT_SUMMARY_FIELDS = [
+  'Event Key', 'Source', 'Event Type', 'Entity ID', 'Status', 'Attempts', 'Duplicate Count', 'Error',
+  'Received At', 'Processed At', 'Last Replayed At', 'Last Updated'
+];
+
+/**
+ * Lead fields for first- and last-touch attribution (see LeadSourceExtractor.extractAttribution)
+ */
+const FIRST_TOUCH_FIELDS = {
+  source: 'UTM Source',
+  medium: 'UTM Medium',
+  campaign: 'UTM Campaign',
+  term: 'UTM Term',
+  content: 'UTM Content',
+  gclid: 'GCLID',
+  fbclid: 'FBCLID',
+  msclkid: 'MSCLKID',
+  landingPage: 'Landing Page',
+  referrer: 'Referrer'
+};
+const LAST_TOUCH_FIELDS = {
+  source: 'Last Touch Source',
+  medium: 'Last Touch Medium',
+  campaign: 'Last Touch Campaign',
+  term: 'Last Touch Term',
+  content: 'Last Touch Content'
+};
+
 class AirtableAPI {
   constructor() {
     this.apiKey = process.env.AIRTABLE_API_KEY;
@@ -8,6 +84,18 @@ class AirtableAPI {
     this.leadsTableName = process.env.AIRTABLE_LEADS_TABLE_NAME || 'Leads';
     this.monthlySummaryTableName = process.env.AIRTABLE_MONTHLY_SUMMARY_TABLE_NAME || 'Monthly Summary';
     this.tokensTableName = process.env.AIRTABLE_TOKENS_TABLE_NAME || 'OAuth Tokens';
+    this.unmatchedPaymentsTableName = process.env.AIRTABLE_UNMATCHED_PAYMENTS_TABLE_NAME || 'Unmatched Payments';
+    this.identityLinksTableName = process.env.AIRTABLE_IDENTITY_LINKS_TABLE_NAME || 'Identity Links';
+    this.paymentsTableName = process.env.AIRTABLE_PAYMENTS_TABLE_NAME || 'Payments';
+    this.paymentAdjustmentsTableName = process.env.AIRTABLE_PAYMENT_ADJUSTMENTS_TABLE_NAME || 'Payment Adjustments';
+    this.refundsTableName = process.env.AIRTABLE_REFUNDS_TABLE_NAME || 'Refunds';
+    this.webhookEventsTableName = process.env.AIRTABLE_WEBHOOK_EVENTS_TABLE_NAME || 'Webhook Events';
+    this.touchpointsTableName = process.env.AIRTABLE_TOUCHPOINTS_TABLE_NAME || 'Touchpoints';
+    this.sourceMetricsTableName = process.env.AIRTABLE_SOURCE_METRICS_TABLE_NAME || 'Source Metrics';
+    this.accountMappingsTableName = process.env.AIRTABLE_ACCOUNT_MAPPINGS_TABLE_NAME || 'Account Mappings';
+    this.vendorRulesTableName = process.env.AIRTABLE_VENDOR_RULES_TABLE_NAME || 'Vendor Rules';
+    this.spendSchedulesTableName = process.env.AIRTABLE_SPEND_SCHEDULES_TABLE_NAME || 'Spend Schedules';
+    this.offlineConversionsTableName = process.env.AIRTABLE_OFFLINE_CONVERSIONS_TABLE_NAME || 'Offline Conversions';
     
     if (!this.apiKey || !this.baseId) {
       throw new Error('AIRTABLE_API_KEY and AIRTABLE_BASE_ID are required');
@@ -20,9 +108,103 @@ class AirtableAPI {
     });
     
     this.base = Airtable.base(this.baseId);
-    this.leadsTable = this.base(this.leadsTableName);
-    this.summaryTable = this.base(this.monthlySummaryTableName);
-    this.tokensTable = this.base(this.tokensTableName);
+    this.leadsTable = this.table(this.leadsTableName);
+    this.summaryTable = this.table(this.monthlySummaryTableName);
+    this.tokensTable = this.table(this.tokensTableName);
+    this.unmatchedPaymentsTable = this.table(this.unmatchedPaymentsTableName);
+    this.identityLinksTable = this.table(this.identityLinksTableName);
+    this.paymentsTable = this.table(this.paymentsTableName);
+    this.paymentAdjustmentsTable = this.table(this.paymentAdjustmentsTableName);
+    this.refundsTable = this.table(this.refundsTableName);
+    this.webhookEventsTable = this.table(this.webhookEventsTableName);
+    this.touchpointsTable = this.table(this.touchpointsTableName);
+    this.sourceMetricsTable = this.table(this.sourceMetricsTableName);
+    this.accountMappingsTable = this.table(this.accountMappingsTableName);
+    this.vendorRulesTable = this.table(this.vendorRulesTableName);
+    this.spendSchedulesTable = this.table(this.spendSchedulesTableName);
+    this.offlineConversionsTable = this.table(this.offlineConversionsTableName);
+    
+    this.leadSources = new LeadSourceCatalog();
+  }
+
+  /**
+   * Get a table whose writes are captured instead of applied while a dry run is active
+   * @param {string} tableName - Airtable table name
+   * @returns {Object} Table with select, find, create, update, updateMany (up to AIRTABLE_BATCH_SIZE records) and destroy
+   */
+  table(tableName) {
+    const table = this.base(tableName);
+    
+    return {
+      select: (...args) => table.select(...args),
+      find: (...args) => table.find(...args),
+      create: fields => {
+        const dryRun = dryRunStorage.getStore();
+        return dryRun ? this.captureDryRunWrite(dryRun, tableName, 'create', null, fields) : table.create(fields);
+      },
+      update: (recordId, fields) => {
+        const dryRun = dryRunStorage.getStore();
+        return dryRun ? this.captureDryRunWrite(dryRun, tableName, 'update', recordId, fields, table) : table.update(recordId, fields);
+      },
+      updateMany: updates => {
+        const dryRun = dryRunStorage.getStore();
+        return dryRun
+          ? Promise.all(updates.map(update => this.captureDryRunWrite(dryRun, tableName, 'update', update.id, update.fields, table)))
+          : table.update(updates);
+      },
+      destroy: recordId => {
+        const dryRun = dryRunStorage.getStore();
+        return dryRun ? this.captureDryRunWrite(dryRun, tableName, 'destroy', recordId, {}) : table.destroy(recordId);
+      }
+    };
+  }
+
+  /**
+   * Run a function with all Airtable writes captured instead of applied
+   * Reads still hit Airtable, so they don't see writes made earlier in the same dry run.
+   * @param {Function} fn - Async function to run
+   * @returns {Object} { result, writes } - the function's result and the writes it would have made
+   */
+  async dryRun(fn) {
+    const context = { writes: [], nextId: 1 };
+    const result = await dryRunStorage.run(context, fn);
+    
+    return {
+      result,
+      writes: context.writes
+    };
+  }
+
+  /**
+   * Whether the current call chain is inside dryRun(), so writes to other systems can be skipped too
+   * @returns {boolean}
+   */
+  isDryRun() {
+    return Boolean(dryRunStorage.getStore());
+  }
+
+  /**
+   * Record a write made during a dry run and return a stand-in for the record it would produce
+   */
+  async captureDryRunWrite(context, tableName, action, recordId, fields, table) {
+    const id = recordId || `dryrun${context.nextId++}`;
+    context.writes.push({ table: tableName, action, recordId: id, fields });
+    
+    // Updates return the merged record so callers see the fields they'd get back from Airtable
+    let currentFields = {};
+    if (action === 'update' && table && !id.startsWith('dryrun')) {
+      try {
+        currentFields = (await table.find(id)).fields;
+      } catch (error) {
+        console.log(`Dry run: could not load ${tableName} record ${id}`);
+      }
+    }
+    
+    return {
+      id,
+      fields: { ...currentFields, ...fields },
+      getId: () => id
+    };
   }
 
   /**
@@ -45,14 +227,17 @@ class AirtableAPI {
         'Customer Name': customerData.name,
         'Email': customerData.email,
         'Phone': customerData.phone,
-        'Lead Source': customerData.leadSource,
+        'Lead Source': this.leadSources.resolve(customerData.leadSource),
+        'Original Lead Source': customerData.leadSource || '',
         'Date Created': formattedDate,
         'HCP Customer ID': customerData.id,
+        ...(customerData.ghlContactId ? { 'GHL Contact ID': customerData.ghlContactId } : {}),
         'Payment Status': 'Pending',
         'Payment Amount': 0,
         'Address': customerData.address || '',
         'Notes': customerData.notes || '',
-        'Tags': customerData.tags ? customerData.tags.join(', ') : ''
+        'Tags': customerData.tags ? customerData.tags.join(', ') : '',
+        ...this.formatAttributionFields(customerData.attribution)
       };
       
       const record = await this.leadsTable.create(recordData);
@@ -105,9 +290,11 @@ class AirtableAPI {
         'Customer Name': customerData.name,
         'Email': customerData.email,
         'Phone': customerData.phone,
-        'Lead Source': customerData.leadSource,
+        'Lead Source': this.leadSources.resolve(customerData.leadSource),
+        'Original Lead Source': customerData.leadSource || '',
         'Date Created': formattedDate,
         'HCP Customer ID': customerData.id,
+        ...(customerData.ghlContactId ? { 'GHL Contact ID': customerData.ghlContactId } : {}),
         'Address': customerData.address || '',
         'Notes': customerData.notes || '',
         'Tags': customerData.tags ? customerData.tags.join(', ') : ''
@@ -133,6 +320,9 @@ class AirtableAPI {
           delete updateData['Date Created'];
         }
         
+        // Keep the stored first touch; only the last touch moves
+        Object.assign(updateData, this.formatAttributionFields(customerData.attribution, existingRecord.fields));
+        
         record = await this.leadsTable.update(existingRecord.getId(), updateData);
         console.log(`Lead updated successfully with Airtable ID: ${record.getId()}`);
       } else {
@@ -142,6 +332,7 @@ class AirtableAPI {
         // Add default payment fields for new records
         recordData['Payment Status'] = 'Pending';
         recordData['Payment Amount'] = 0;
+        Object.assign(recordData, this.formatAttributionFields(customerData.attribution));
         
         record = await this.leadsTable.create(recordData);
         console.log(`Lead created successfully with Airtable ID: ${record.getId()}`);
@@ -150,6 +341,7 @@ class AirtableAPI {
       return {
         id: record.getId(),
         fields: record.fields,
+        previousFields: existingRecords.length > 0 ? existingRecords[0].fields : null,
         wasUpdated: existingRecords.length > 0
       };
     } catch (error) {
@@ -158,6 +350,108 @@ class AirtableAPI {
     }
   }
 
+  /**
+   * Build lead fields for first- and last-touch attribution
+   * The first touch is written once; later webhooks only update the last touch.
+   * A lead with a single known touch gets it as both first and last touch.
+   * @param {Object} attribution - { firstTouch, lastTouch } from LeadSourceExtractor.extractAttribution
+   * @param {Object} existingFields - Current lead fields, when updating
+   * @returns {Object} Airtable fields (empty when there is no attribution)
+   */
+  formatAttributionFields(attribution, existingFields = {}) {
+    if (!attribution || (!attribution.firstTouch && !attribution.lastTouch)) {
+      return {};
+    }
+    
+    let stored = {};
+    try {
+      stored = JSON.parse(existingFields['Attribution Data'] || '{}');
+    } catch (error) {
+      console.log('Could not parse stored attribution data, replacing it');
+    }
+    
+    const firstTouch = stored.firstTouch || attribution.firstTouch || attribution.lastTouch;
+    const lastTouch = attribution.lastTouch || attribution.firstTouch;
+    const fields = {};
+    
+    if (!stored.firstTouch) {
+      for (const [key, fieldName] of Object.entries(FIRST_TOUCH_FIELDS)) {
+        fields[fieldName] = firstTouch[key] || '';
+      }
+    }
+    
+    for (const [key, fieldName] of Object.entries(LAST_TOUCH_FIELDS)) {
+      fields[fieldName] = lastTouch[key] || '';
+    }
+    
+    fields['Attribution Data'] = JSON.stringify({ firstTouch, lastTouch });
+    
+    return fields;
+  }
+
+  /**
+   * Re-map the lead source on existing leads, ledger payments and refunds through the lead source catalog
+   * Leads are re-normalized from their Original Lead Source when it was recorded, so catalog changes apply retroactively.
+   * Run inside dryRun() to preview the changes.
+   * @returns {Object} Per-table counts, the changes made and the values the catalog could not map
+   */
+  async renormalizeLeadSources() {
+    try {
+      console.log('Re-normalizing lead sources');
+      
+      const summary = { changes: [], unmapped: {} };
+      const targets = [
+        { name: 'leads', table: this.leadsTable, fields: ['Customer Name', 'Lead Source', 'Original Lead Source'] },
+        { name: 'payments', table: this.paymentsTable, fields: ['Customer Name', 'Lead Source'] },
+        { name: 'refunds', table: this.refundsTable, fields: ['Customer Name', 'Lead Source'] }
+      ];
+      
+      for (const target of targets) {
+        const records = await target.table.select({ fields: target.fields }).all();
+        summary[target.name] = { scanned: records.length, updated: 0 };
+        
+        const updates = [];
+        for (const record of records) {
+          const current = record.fields['Lead Source'] || '';
+          const original = record.fields['Original Lead Source'] || current;
+          const normalized = this.leadSources.normalize(original);
+          
+          if (normalized.matchedBy === 'unmapped') {
+            summary.unmapped[normalized.input] = (summary.unmapped[normalized.input] || 0) + 1;
+          }
+          
+          if (normalized.leadSource === current) continue;
+          
+          const updateData = { 'Lead Source': normalized.leadSource };
+          if (target.name === 'leads' && !record.fields['Original Lead Source']) {
+            updateData['Original Lead Source'] = original;
+          }
+          
+          updates.push({ id: record.id, fields: updateData });
+          summary.changes.push({
+            table: target.name,
+            recordId: record.id,
+            customerName: record.fields['Customer Name'],
+            from: current,
+            to: normalized.leadSource,
+            matchedBy: normalized.matchedBy
+          });
+        }
+        
+        for (let i = 0; i < updates.length; i += AIRTABLE_BATCH_SIZE) {
+          await target.table.updateMany(updates.slice(i, i + AIRTABLE_BATCH_SIZE));
+          summary[target.name].updated += Math.min(AIRTABLE_BATCH_SIZE, updates.length - i);
+        }
+      }
+      
+      console.log(`Lead sources re-normalized: ${summary.changes.length} records changed`);
+      return summary;
+    } catch (error) {
+      console.error('Error re-normalizing lead sources:', error);
+      throw error;
+    }
+  }
+
   /**
    * Find a lead by customer name (supports fuzzy matching)
    * @param {string} customerName - Customer name to search for
@@ -239,55 +533,107 @@ class AirtableAPI {
   }
 
   /**
-   * Update a lead record with payment information
-   * @param {string} recordId - Airtable record ID
-   * @param {Object} paymentData - Payment information from QuickBooks
-   * @returns {Object} Updated record data
+   * Get every lead with the fields used for multi-signal payment matching
+   * All pages are read, so a customer is found however many leads came in after them.
+   * @returns {Array} Array of lead records
    */
-  async updateLeadPayment(recordId, paymentData) {
+  async getLeadsForMatching() {
     try {
-      console.log(`Updating lead payment for record: ${recordId}`);
-      
-      const updateData = {
-        'Payment Amount': paymentData.amount,
-        'Payment Status': 'Paid ✅',
-        'Invoice Number': paymentData.invoiceNumber,
-        'Payment Date': paymentData.paymentDate || new Date().toISOString(),
-        'QBO Customer ID': paymentData.customerId
-      };
-      
-      const record = await this.leadsTable.update(recordId, updateData);
+      const records = await this.leadsTable.select({
+        fields: ['Customer Name', 'Email', 'Phone', 'Address', 'QBO Customer ID', 'Lead Source'],
+        pageSize: 100
+      }).all();
       
-      console.log(`Payment updated for lead: ${record.fields['Customer Name']}`);
+      return records.map(record => ({
+        id: record.getId(),
+        fields: record.fields
+      }));
+    } catch (error) {
+      console.error('Error fetching leads for matching:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a lead record by its Airtable record ID
+   * @param {string} recordId - Airtable record ID
+   * @returns {Object|null} Lead record or null if not found
+   */
+  async getLeadById(recordId) {
+    try {
+      const record = await this.leadsTable.find(recordId);
       return {
         id: record.getId(),
         fields: record.fields
       };
     } catch (error) {
-      console.error('Error updating lead payment in Airtable:', error);
+      if (error.statusCode === 404) {
+        console.log(`Lead not found: ${recordId}`);
+        return null;
+      }
+      console.error('Error fetching lead by ID from Airtable:', error);
       throw error;
     }
   }
 
   /**
-   * Get all leads with payments for revenue aggregation
-   * @param {string} startDate - Start date for filtering (ISO string)
-   * @param {string} endDate - End date for filtering (ISO string)
-   * @returns {Array} Array of lead records with payments
+   * Get several leads by record ID
+   * @param {Array} recordIds - Airtable record IDs
+   * @param {Array} fields - Fields to load
+   * @returns {Object} Map of record ID to lead fields
    */
-  async getLeadsWithPayments(startDate, endDate) {
+  async getLeadsByIds(recordIds, fields) {
     try {
-      console.log(`Fetching leads with payments between ${startDate} and ${endDate}`);
+      const uniqueIds = [...new Set(recordIds.filter(Boolean))];
+      const leads = {};
       
-      let filterFormula = `{Payment Status} = 'Paid ✅'`;
+      // Keep formulas short enough for Airtable's URL limit
+      for (let i = 0; i < uniqueIds.length; i += 50) {
+        const batch = uniqueIds.slice(i, i + 50);
+        const records = await this.leadsTable.select({
+          filterByFormula: `OR(${batch.map(id => `RECORD_ID() = ${formulaString(id)}`).join(', ')})`,
+          fields
+        }).all();
+        
+        records.forEach(record => {
+          leads[record.getId()] = record.fields;
+        });
+      }
       
-      if (startDate && endDate) {
-        filterFormula += ` AND IS_AFTER({Payment Date}, '${startDate}') AND IS_BEFORE({Payment Date}, '${endDate}')`;
+      return leads;
+    } catch (error) {
+      console.error('Error fetching leads by ID from Airtable:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get leads for pipeline tracking, by Date Created range or record ID
+   * @param {Object} filters - { startDate, endDate, leadIds } (all optional)
+   * @param {Array} fields - Fields to load
+   * @returns {Array} Array of lead records
+   */
+  async getLeadsForPipeline(filters = {}, fields) {
+    checkDate('startDate', filters.startDate);
+    checkDate('endDate', filters.endDate);
+    
+    try {
+      if (filters.leadIds && filters.leadIds.length > 0) {
+        const leads = await this.getLeadsByIds(filters.leadIds, fields);
+        return Object.entries(leads).map(([id, leadFields]) => ({ id, fields: leadFields }));
+      }
+      
+      const conditions = [];
+      if (filters.startDate) {
+        conditions.push(`NOT(IS_BEFORE({Date Created}, ${formulaString(filters.startDate)}))`);
+      }
+      if (filters.endDate) {
+        conditions.push(`NOT(IS_AFTER({Date Created}, ${formulaString(filters.endDate)}))`);
       }
       
       const records = await this.leadsTable.select({
-        filterByFormula: filterFormula,
-        fields: ['Customer Name', 'Lead Source', 'Payment Amount', 'Payment Date', 'Payment Status']
+        ...(conditions.length > 0 ? { filterByFormula: `AND(${conditions.join(', ')})` } : {}),
+        fields
       }).all();
       
       return records.map(record => ({
@@ -295,211 +641,2360 @@ class AirtableAPI {
         fields: record.fields
       }));
     } catch (error) {
-      console.error('Error fetching leads with payments:', error);
+      console.error('Error fetching leads for pipeline:', error);
       throw error;
     }
   }
 
   /**
-   * Aggregate revenue by lead source
-   * @param {Array} leads - Array of lead records
-   * @returns {Object} Revenue aggregated by lead source
+   * Find the lead for a HouseCall Pro customer
+   * @param {string} customerId - HCP customer ID
+   * @param {Array} fields - Fields to load
+   * @returns {Object|null} Lead record or null if not found
    */
-  aggregateRevenueBySource(leads) {
-    const aggregation = {};
-    
-    leads.forEach(lead => {
-      const source = lead.fields['Lead Source'] || 'Unknown';
-      const amount = parseFloat(lead.fields['Payment Amount']) || 0;
+  async findLeadByHCPCustomerId(customerId, fields) {
+    try {
+      const records = await this.leadsTable.select({
+        filterByFormula: `{HCP Customer ID} = ${formulaString(customerId)}`,
+        fields,
+        maxRecords: 1
+      }).firstPage();
       
-      if (!aggregation[source]) {
-        aggregation[source] = {
-          totalRevenue: 0,
-          customerCount: 0,
-          averageRevenue: 0
-        };
+      if (records.length === 0) {
+        return null;
       }
       
-      aggregation[source].totalRevenue += amount;
-      aggregation[source].customerCount += 1;
-      aggregation[source].averageRevenue = aggregation[source].totalRevenue / aggregation[source].customerCount;
+      return {
+        id: records[0].getId(),
+        fields: records[0].fields
+      };
+    } catch (error) {
+      console.error('Error finding lead by HCP customer ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a lead's pipeline stage fields
+   * @param {string} recordId - Airtable record ID of the lead
+   * @param {Object} fields - Stage timestamps and Pipeline Stage
+   * @returns {Object} Updated record data
+   */
+  async updateLeadPipeline(recordId, fields) {
+    try {
+      const record = await this.leadsTable.update(recordId, fields);
+      return {
+        id: record.getId(),
+        fields: record.fields
+      };
+    } catch (error) {
+      console.error('Error updating lead pipeline in Airtable:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregate revenue by an attribution dimension of the lead (campaign, keyword, ...)
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {string} dimension - source, medium, campaign, term (keyword) or content
+   * @param {string} touch - 'first' or 'last'
+   * @returns {Object} Same shape as aggregateRevenueBySource, keyed on the dimension's value
+   */
+  async getRevenueByAttribution(startDate, endDate, dimension = 'campaign', touch = 'first') {
+    const key = dimension === 'keyword' ? 'term' : dimension;
+    const fieldName = (touch === 'last' ? LAST_TOUCH_FIELDS : FIRST_TOUCH_FIELDS)[key];
+    
+    if (!fieldName) {
+      throw new Error(`Unknown attribution dimension: ${dimension}`);
+    }
+    
+    const payments = await this.getPaymentsInRange(startDate, endDate);
+    const refunds = await this.getRefundsInRange(startDate, endDate);
+    const leads = await this.getLeadsByIds(
+      [...payments, ...refunds].map(record => record.fields['Lead ID']),
+      [fieldName]
+    );
+    
+    // Re-key each row on the lead's attribution value so the source aggregation can be reused
+    const relabel = record => ({
+      ...record,
+      fields: {
+        ...record.fields,
+        'Lead Source': leads[record.fields['Lead ID']]?.[fieldName] || '(none)'
+      }
     });
     
-    return aggregation;
+    return this.aggregateRevenueBySource(payments.map(relabel), refunds.map(relabel));
   }
 
   /**
-   * Create or update monthly summary record
-   * @param {Object} summaryData - Monthly summary data
-   * @returns {Object} Created/updated record
+   * Record a payment in the Payments ledger and roll all of the lead's payments up onto the lead
+   * @param {string} recordId - Airtable record ID
+   * @param {Object} paymentData - Payment information from QuickBooks
+   * @returns {Object} Updated record data, plus isNewPayment (false when the payment was already in the ledger)
    */
-  async createMonthlySummary(summaryData) {
+  async updateLeadPayment(recordId, paymentData) {
     try {
-      console.log(`Creating monthly summary for ${summaryData.month}/${summaryData.year}`);
+      console.log(`Updating lead payment for record: ${recordId}`);
+      
+      const lead = await this.getLeadById(recordId);
+      if (!lead) {
+        throw new Error(`Lead not found: ${recordId}`);
+      }
+      
+      const ledgerEntry = await this.recordPayment(lead, paymentData);
+      const updatedLead = await this.syncLeadPaymentTotals(recordId, {
+        'QBO Customer ID': paymentData.customerId
+      });
+      
+      return {
+        ...updatedLead,
+        isNewPayment: ledgerEntry.isNew,
+        paymentRecordId: ledgerEntry.id
+      };
+    } catch (error) {
+      console.error('Error updating lead payment in Airtable:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalculate a lead's revenue fields from its active ledger payments and refunds
+   * @param {string} recordId - Airtable record ID of the lead
+   * @param {Object} extraFields - Additional lead fields to write in the same update
+   * @returns {Object} Updated lead record data
+   */
+  async syncLeadPaymentTotals(recordId, extraFields = {}) {
+    try {
+      const payments = await this.getPaymentsForLead(recordId);
+      const refunds = await this.getRefundsForLead(recordId);
+      const rollup = this.rollupLeadPayments(payments);
+      const totalRefunds = refunds.reduce((sum, refund) => sum + (parseFloat(refund.fields['Amount']) || 0), 0);
+      
+      const updateData = {
+        'Payment Amount': rollup.totalRevenue, // Lifetime total, kept for existing reports
+        'Lifetime Revenue': rollup.totalRevenue,
+        'Total Refunds': totalRefunds,
+        'Net Lifetime Revenue': rollup.totalRevenue - totalRefunds,
+        'Payment Count': rollup.paymentCount,
+        'Payment Status': rollup.status,
+        'Invoice Number': rollup.invoiceNumbers.join(', '),
+        'Payment Date': rollup.lastPaymentDate,
+        ...extraFields
+      };
+      
+      const record = await this.leadsTable.update(recordId, updateData);
+      
+      console.log(`Payment totals updated for lead: ${record.fields['Customer Name']} (${rollup.paymentCount} payments, status: ${rollup.status})`);
+      return {
+        id: record.getId(),
+        fields: record.fields
+      };
+    } catch (error) {
+      console.error('Error syncing lead payment totals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update the Payments ledger row for a QBO Payment
+   * @param {Object} lead - Lead record the payment belongs to
+   * @param {Object} paymentData - Payment information from QuickBooks
+   * @returns {Object} Ledger row ID and whether it was newly created
+   */
+  async recordPayment(lead, paymentData) {
+    try {
+      const invoices = paymentData.invoices || [];
+      const knownBalances = invoices.filter(invoice => invoice.balance !== null && invoice.balance !== undefined);
       
       const recordData = {
-        'Month': summaryData.month,
-        'Year': summaryData.year,
-        'Period': `${summaryData.year}-${String(summaryData.month).padStart(2, '0')}`,
-        'Total Revenue': summaryData.totalRevenue,
-        'Total Ad Spend': summaryData.totalAdSpend,
-        'Total Promo Spend': summaryData.totalPromoSpend,
-        'Net Revenue': summaryData.totalRevenue - summaryData.totalAdSpend - summaryData.totalPromoSpend,
-        'Customer Count': summaryData.customerCount,
-        'Average Revenue Per Customer': summaryData.averageRevenuePerCustomer,
-        'Revenue by Source': JSON.stringify(summaryData.revenueBySource),
-        'ROI': summaryData.totalAdSpend > 0 ? ((summaryData.totalRevenue - summaryData.totalAdSpend) / summaryData.totalAdSpend * 100).toFixed(2) + '%' : 'N/A',
-        'Created At': new Date().toISOString()
+        'QBO Payment ID': paymentData.id,
+        'Lead ID': lead.id,
+        'Customer Name': paymentData.customerName,
+        'QBO Customer ID': paymentData.customerId,
+        'Lead Source': lead.fields['Lead Source'] || 'Unknown',
+        'Amount': parseFloat(paymentData.amount) || 0,
+        'Payment Date': paymentData.paymentDate,
+        'Invoice Number': invoices.map(invoice => invoice.docNumber).filter(Boolean).join(', ') || paymentData.invoiceNumber || '',
+        'Invoice IDs': invoices.map(invoice => invoice.id).join(', '),
+        'Invoice Balance': knownBalances.length > 0
+          ? knownBalances.reduce((sum, invoice) => sum + invoice.balance, 0)
+          : null,
+        'Invoice Data': JSON.stringify(invoices),
+        'Payment Method': paymentData.paymentMethod,
+        'Reference Number': paymentData.referenceNumber || '',
+        'Last Updated': new Date().toISOString()
       };
       
-      // Check if record already exists for this month/year
-      const existingRecords = await this.summaryTable.select({
-        filterByFormula: `{Period} = '${recordData.Period}'`,
-        maxRecords: 1
-      }).firstPage();
+      const existing = paymentData.id ? await this.getPaymentByQboId(paymentData.id) : null;
       
       let record;
-      if (existingRecords.length > 0) {
-        // Update existing record
-        record = await this.summaryTable.update(existingRecords[0].getId(), recordData);
-        console.log('Monthly summary updated');
+      if (existing) {
+        record = await this.paymentsTable.update(existing.id, recordData);
+        console.log(`Payment ${paymentData.id} already in ledger, updated ${record.getId()}`);
       } else {
-        // Create new record
-        record = await this.summaryTable.create(recordData);
-        console.log('Monthly summary created');
+        recordData['Status'] = 'Active';
+        recordData['Created At'] = new Date().toISOString();
+        record = await this.paymentsTable.create(recordData);
+        console.log(`Payment ${paymentData.id} added to ledger: ${record.getId()}`);
       }
       
       return {
         id: record.getId(),
-        fields: record.fields
+        isNew: !existing
       };
     } catch (error) {
-      console.error('Error creating monthly summary:', error);
+      console.error('Error recording payment in ledger:', error);
       throw error;
     }
   }
 
   /**
-   * Update monthly summary with a new payment (incremental update)
-   * @param {Object} paymentInfo - Payment information
-   * @returns {Object} Updated record
+   * Find the ledger row for a QBO Payment, including voided and deleted ones
+   * @param {string} paymentId - QuickBooks payment ID
+   * @returns {Object|null} Payment record or null if the payment is not in the ledger
    */
-  async updateMonthlySummaryWithPayment(paymentInfo) {
+  async getPaymentByQboId(paymentId) {
     try {
-      const { month, year, leadSource, paymentAmount } = paymentInfo;
-      const period = `${year}-${String(month).padStart(2, '0')}`;
-      
-      console.log(`Updating monthly summary for ${period} with payment from ${leadSource}`);
-      
-      // Check if record already exists for this month/year
-      const existingRecords = await this.summaryTable.select({
-        filterByFormula: `{Period} = '${period}'`,
+      const records = await this.paymentsTable.select({
+        filterByFormula: `{QBO Payment ID} = ${formulaString(paymentId)}`,
         maxRecords: 1
       }).firstPage();
       
-      let record;
-      if (existingRecords.length > 0) {
-        // Update existing record
-        const existingRecord = existingRecords[0];
-        const currentFields = existingRecord.fields;
-        
-        // Parse existing revenue by source
-        let revenueBySource = {};
-        try {
-          revenueBySource = JSON.parse(currentFields['Revenue by Source'] || '{}');
-        } catch (e) {
-          console.log('Could not parse existing revenue by source, starting fresh');
-        }
-        
-        // Update revenue by source
-        if (!revenueBySource[leadSource]) {
-          revenueBySource[leadSource] = {
-            totalRevenue: 0,
+      if (records.length === 0) {
+        return null;
+      }
+      
+      return {
+        id: records[0].getId(),
+        fields: records[0].fields
+      };
+    } catch (error) {
+      console.error('Error fetching payment from ledger:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the ledger payment applied to a QBO invoice
+   * @param {string} invoiceId - QuickBooks invoice ID
+   * @returns {Object|null} Most recent active payment record for the invoice, or null
+   */
+  async findPaymentByInvoiceId(invoiceId) {
+    try {
+      const records = await this.paymentsTable.select({
+        filterByFormula: `AND(${ACTIVE_PAYMENT_FORMULA}, FIND(${formulaString(`, ${invoiceId},`)}, ", " & {Invoice IDs} & ","))`,
+        sort: [{ field: 'Payment Date', direction: 'desc' }],
+        maxRecords: 1
+      }).firstPage();
+      
+      return records.length > 0 ? { id: records[0].getId(), fields: records[0].fields } : null;
+    } catch (error) {
+      console.error('Error finding payment by invoice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the most recent ledger payment from a QBO customer
+   * @param {string} customerId - QuickBooks customer ID
+   * @returns {Object|null} Most recent active payment record for the customer, or null
+   */
+  async findLatestPaymentForCustomer(customerId) {
+    try {
+      const records = await this.paymentsTable.select({
+        filterByFormula: `AND(${ACTIVE_PAYMENT_FORMULA}, {QBO Customer ID} = ${formulaString(customerId)})`,
+        sort: [{ field: 'Payment Date', direction: 'desc' }],
+        maxRecords: 1
+      }).firstPage();
+      
+      return records.length > 0 ? { id: records[0].getId(), fields: records[0].fields } : null;
+    } catch (error) {
+      console.error('Error finding latest payment for customer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a ledger payment as voided or deleted so it drops out of revenue totals
+   * @param {string} recordId - Airtable record ID of the ledger row
+   * @param {string} status - 'Voided' or 'Deleted'
+   * @returns {Object} Updated payment record
+   */
+  async reversePayment(recordId, status) {
+    try {
+      const record = await this.paymentsTable.update(recordId, {
+        'Status': status,
+        'Reversed At': new Date().toISOString(),
+        'Last Updated': new Date().toISOString()
+      });
+      
+      console.log(`Ledger payment ${recordId} marked as ${status}`);
+      return {
+        id: record.getId(),
+        fields: record.fields
+      };
+    } catch (error) {
+      console.error('Error reversing ledger payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all active ledger payments for a lead
+   * @param {string} leadId - Airtable record ID of the lead
+   * @returns {Array} Array of payment records
+   */
+  async getPaymentsForLead(leadId) {
+    try {
+      const records = await this.paymentsTable.select({
+        filterByFormula: `AND({Lead ID} = ${formulaString(leadId)}, ${ACTIVE_PAYMENT_FORMULA})`,
+        sort: [{ field: 'Payment Date', direction: 'asc' }]
+      }).all();
+      
+      return records.map(record => ({
+        id: record.getId(),
+        fields: record.fields
+      }));
+    } catch (error) {
+      console.error('Error fetching payments for lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active ledger payments within a date range (inclusive)
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array} Array of payment records
+   */
+  async getPaymentsInRange(startDate, endDate) {
+    checkDate('startDate', startDate);
+    checkDate('endDate', endDate);
+    
+    try {
+      const selectOptions = {
+        filterByFormula: ACTIVE_PAYMENT_FORMULA
+      };
+      
+      if (startDate && endDate) {
+        selectOptions.filterByFormula = `AND(${ACTIVE_PAYMENT_FORMULA}, NOT(IS_BEFORE({Payment Date}, ${formulaString(startDate)})), NOT(IS_AFTER({Payment Date}, ${formulaString(endDate)})))`;
+      }
+      
+      const records = await this.paymentsTable.select(selectOptions).all();
+      
+      return records.map(record => ({
+        id: record.getId(),
+        fields: record.fields
+      }));
+    } catch (error) {
+      console.error('Error fetching payments in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get ledger payments for a specific month
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @returns {Array} Array of payment records
+   */
+  async getPaymentsByMonth(month, year) {
+    const period = `${year}-${String(month).padStart(2, '0')}`;
+    const lastDay = new Date(year, month, 0).getDate();
+    
+    return await this.getPaymentsInRange(`${period}-01`, `${period}-${lastDay}`);
+  }
+
+  /**
+   * Roll a lead's ledger payments up into lifetime totals and a payment status
+   * A lead is "Partially Paid" while the latest known balance of any of its invoices is above zero.
+   * @param {Array} payments - Ledger payment records for one lead
+   * @returns {Object} totalRevenue, paymentCount, invoiceNumbers, lastPaymentDate and status
+   */
+  rollupLeadPayments(payments) {
+    const invoiceBalances = {};
+    const invoiceNumbers = new Set();
+    let totalRevenue = 0;
+    let lastPaymentDate = null;
+    
+    payments.forEach(payment => {
+      totalRevenue += parseFloat(payment.fields['Amount']) || 0;
+      
+      const paymentDate = payment.fields['Payment Date'];
+      if (paymentDate && (!lastPaymentDate || paymentDate > lastPaymentDate)) {
+        lastPaymentDate = paymentDate;
+      }
+      
+      let invoices = [];
+      try {
+        invoices = JSON.parse(payment.fields['Invoice Data'] || '[]');
+      } catch (e) {
+        console.log(`Could not parse invoice data for payment ${payment.id}`);
+      }
+      
+      // Payments are sorted by date, so later payments overwrite earlier balances
+      invoices.forEach(invoice => {
+        if (invoice.docNumber) {
+          invoiceNumbers.add(invoice.docNumber);
+        }
+        if (invoice.balance !== null && invoice.balance !== undefined) {
+          invoiceBalances[invoice.id] = invoice.balance;
+        }
+      });
+    });
+    
+    const hasOpenBalance = Object.values(invoiceBalances).some(balance => balance > 0);
+    
+    let status = 'Pending';
+    if (payments.length > 0) {
+      status = hasOpenBalance ? 'Partially Paid' : 'Paid ✅';
+    }
+    
+    return {
+      totalRevenue,
+      paymentCount: payments.length,
+      invoiceNumbers: Array.from(invoiceNumbers),
+      lastPaymentDate,
+      status
+    };
+  }
+
+  /**
+   * Get all leads with payments for revenue aggregation
+   * @param {string} startDate - Start date for filtering (ISO string)
+   * @param {string} endDate - End date for filtering (ISO string)
+   * @returns {Array} Array of lead records with payments
+   */
+  async getLeadsWithPayments(startDate, endDate) {
+    try {
+      console.log(`Fetching leads with payments between ${startDate} and ${endDate}`);
+      
+      let filterFormula = `OR({Payment Status} = 'Paid ✅', {Payment Status} = 'Partially Paid')`;
+      
+      if (startDate && endDate) {
+        filterFormula = `AND(${filterFormula}, IS_AFTER({Payment Date}, '${startDate}'), IS_BEFORE({Payment Date}, '${endDate}'))`;
+      }
+      
+      const records = await this.leadsTable.select({
+        filterByFormula: filterFormula,
+        fields: ['Customer Name', 'Lead Source', 'Payment Amount', 'Payment Date', 'Payment Status', 'Payment Count']
+      }).all();
+      
+      return records.map(record => ({
+        id: record.getId(),
+        fields: record.fields
+      }));
+    } catch (error) {
+      console.error('Error fetching leads with payments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregate revenue by lead source
+   * Accepts lead records or Payments ledger records; customers are counted once per lead.
+   * `totalRevenue` is net of refunds so ROI reflects refunded jobs.
+   * Records may carry a `weight` (0-1) for the share of credit a source gets under multi-touch attribution.
+   * @param {Array} records - Array of lead or ledger payment records
+   * @param {Array} refunds - Refund records for the same period (optional)
+   * @returns {Object} Gross revenue, refunds and net revenue aggregated by lead source
+   */
+  aggregateRevenueBySource(records, refunds = []) {
+    const aggregation = {};
+    const customersBySource = {};
+    
+    const getSourceTotals = source => {
+      if (!aggregation[source]) {
+        aggregation[source] = {
+          grossRevenue: 0,
+          refunds: 0,
+          netRevenue: 0,
+          totalRevenue: 0,
+          customerCount: 0,
+          paymentCount: 0,
+          averageRevenue: 0
+        };
+        customersBySource[source] = new Set();
+      }
+      return aggregation[source];
+    };
+    
+    records.forEach(record => {
+      const source = record.fields['Lead Source'] || 'Unknown';
+      const weight = record.weight ?? 1;
+      const amount = (parseFloat(record.fields['Amount'] ?? record.fields['Payment Amount']) || 0) * weight;
+      const sourceTotals = getSourceTotals(source);
+      
+      customersBySource[source].add(record.fields['Lead ID'] || record.id);
+      
+      sourceTotals.grossRevenue += amount;
+      sourceTotals.paymentCount += (parseInt(record.fields['Payment Count']) || 1) * weight;
+      sourceTotals.customerCount = customersBySource[source].size;
+    });
+    
+    refunds.forEach(refund => {
+      const source = refund.fields['Lead Source'] || 'Unknown';
+      getSourceTotals(source).refunds += (parseFloat(refund.fields['Amount']) || 0) * (refund.weight ?? 1);
+    });
+    
+    Object.values(aggregation).forEach(sourceTotals => {
+      sourceTotals.netRevenue = sourceTotals.grossRevenue - sourceTotals.refunds;
+      sourceTotals.totalRevenue = sourceTotals.netRevenue;
+      sourceTotals.averageRevenue = sourceTotals.customerCount > 0
+        ? sourceTotals.netRevenue / sourceTotals.customerCount
+        : 0;
+    });
+    
+    return aggregation;
+  }
+
+  /**
+   * Recompute a month's revenue totals from the payment and refund ledgers
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @returns {Object} { payments, refunds, grossRevenue, totalRefunds, totalRevenue, customerCount, averageRevenuePerCustomer, revenueBySource }
+   */
+  async computeMonthlyRevenue(month, year) {
+    const payments = await this.getPaymentsByMonth(month, year);
+    const refunds = await this.getRefundsByMonth(month, year);
+    
+    const grossRevenue = payments.reduce((sum, payment) => sum + (parseFloat(payment.fields['Amount']) || 0), 0);
+    const totalRefunds = refunds.reduce((sum, refund) => sum + (parseFloat(refund.fields['Amount']) || 0), 0);
+    const totalRevenue = grossRevenue - totalRefunds;
+    
+    // Count each paying customer once
+    const customerCount = new Set(payments.map(payment => payment.fields['Lead ID'])).size;
+    
+    return {
+      payments,
+      refunds,
+      grossRevenue,
+      totalRefunds,
+      totalRevenue,
+      customerCount,
+      averageRevenuePerCustomer: customerCount > 0 ? totalRevenue / customerCount : 0,
+      revenueBySource: this.aggregateRevenueBySource(payments, refunds)
+    };
+  }
+
+  /**
+   * Create or update monthly summary record
+   * @param {Object} summaryData - Monthly summary data
+   * @returns {Object} Created/updated record
+   */
+  async createMonthlySummary(summaryData) {
+    try {
+      console.log(`Creating monthly summary for ${summaryData.month}/${summaryData.year}`);
+      
+      const recordData = {
+        'Month': summaryData.month,
+        'Year': summaryData.year,
+        'Period': `${summaryData.year}-${String(summaryData.month).padStart(2, '0')}`,
+        'Gross Revenue': summaryData.grossRevenue ?? summaryData.totalRevenue,
+        'Total Refunds': summaryData.totalRefunds || 0,
+        'Total Revenue': summaryData.totalRevenue, // Net of refunds
+        'Total Ad Spend': summaryData.totalAdSpend,
+        'Total Promo Spend': summaryData.totalPromoSpend,
+        'Net Revenue': summaryData.totalRevenue - summaryData.totalAdSpend - summaryData.totalPromoSpend,
+        'Customer Count': summaryData.customerCount,
+        'Average Revenue Per Customer': summaryData.averageRevenuePerCustomer,
+        'Revenue by Source': JSON.stringify(summaryData.revenueBySource),
+        ...this.formatROIFields(summaryData.totalRevenue, summaryData.totalAdSpend),
+        'Created At': new Date().toISOString()
+      };
+      
+      // Multi-touch credit is stored alongside, since incremental payment updates only maintain Revenue by Source
+      if (summaryData.attributionModel) {
+        recordData['Attribution Model'] = summaryData.attributionModel;
+        recordData['Attributed Revenue by Source'] = JSON.stringify(summaryData.attributedRevenueBySource);
+      }
+      
+      // Check if record already exists for this month/year
+      const existingRecords = await this.summaryTable.select({
+        filterByFormula: `{Period} = '${recordData.Period}'`,
+        maxRecords: 1
+      }).firstPage();
+      
+      let record;
+      if (existingRecords.length > 0) {
+        // Update existing record
+        record = await this.summaryTable.update(existingRecords[0].getId(), {
+          ...recordData,
+          ...this.formatAmortizedROIFields(summaryData.totalRevenue, existingRecords[0].fields)
+        });
+        console.log('Monthly summary updated');
+      } else {
+        // Create new record
+        record = await this.summaryTable.create(recordData);
+        console.log('Monthly summary created');
+      }
+      
+      return {
+        id: record.getId(),
+        fields: record.fields
+      };
+    } catch (error) {
+      console.error('Error creating monthly summary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update monthly summary with a new payment (incremental update)
+   * @param {Object} paymentInfo - Payment information
+   * @returns {Object} Updated record
+   */
+  async updateMonthlySummaryWithPayment(paymentInfo) {
+    try {
+      const { month, year, leadSource, paymentAmount, leadId, paymentId } = paymentInfo;
+      const period = `${year}-${String(month).padStart(2, '0')}`;
+      
+      console.log(`Updating monthly summary for ${period} with payment from ${leadSource}`);
+      
+      // Count each customer once per month, however many payments they make
+      const isNewCustomer = leadId
+        ? !(await this.leadHasOtherPaymentsInMonth(leadId, paymentId, month, year))
+        : true;
+      const customerIncrement = isNewCustomer ? 1 : 0;
+      
+      // Check if record already exists for this month/year
+      const existingRecords = await this.summaryTable.select({
+        filterByFormula: `{Period} = '${period}'`,
+        maxRecords: 1
+      }).firstPage();
+      
+      let record;
+      if (existingRecords.length > 0) {
+        // Update existing record
+        record = await this.applySummaryDeltas(existingRecords[0], {
+          leadSource,
+          revenueDelta: paymentAmount,
+          customerDelta: customerIncrement,
+          paymentDelta: 1
+        });
+        console.log('Monthly summary updated with new payment');
+      } else {
+        // Create new record with initial payment
+        const revenueBySource = {
+          [leadSource]: {
+            grossRevenue: paymentAmount,
+            refunds: 0,
+            netRevenue: paymentAmount,
+            totalRevenue: paymentAmount,
+            customerCount: 1,
+            paymentCount: 1,
+            averageRevenue: paymentAmount
+          }
+        };
+        
+        const recordData = {
+          'Month': month,
+          'Year': year,
+          'Period': period,
+          'Gross Revenue': paymentAmount,
+          'Total Refunds': 0,
+          'Total Revenue': paymentAmount,
+          'Total Ad Spend': 0, // Will be updated by scheduled job
+          'Total Promo Spend': 0,
+          'Net Revenue': paymentAmount,
+          'Customer Count': 1,
+          'Average Revenue Per Customer': paymentAmount,
+          'Revenue by Source': JSON.stringify(revenueBySource),
+          ...this.formatROIFields(paymentAmount, 0), // ROI is calculated once ad spend is added
+          'Created At': new Date().toISOString(),
+          'Last Updated': new Date().toISOString()
+        };
+        
+        record = await this.summaryTable.create(recordData);
+        console.log('Monthly summary created with initial payment');
+      }
+      
+      return {
+        id: record.getId(),
+        fields: record.fields
+      };
+    } catch (error) {
+      console.error('Error updating monthly summary with payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adjust an existing monthly summary after a payment is edited, voided or deleted
+   * @param {Object} adjustment - { month, year, leadSource, revenueDelta, customerDelta, paymentDelta }
+   * @returns {Object|null} Updated record, or null if there is no summary for the month
+   */
+  async adjustMonthlySummary(adjustment) {
+    try {
+      const { month, year, leadSource, revenueDelta = 0, customerDelta = 0, paymentDelta = 0 } = adjustment;
+      const period = `${year}-${String(month).padStart(2, '0')}`;
+      
+      console.log(`Adjusting monthly summary for ${period} (${leadSource}): revenue ${revenueDelta}, customers ${customerDelta}, payments ${paymentDelta}`);
+      
+      const existingRecords = await this.summaryTable.select({
+        filterByFormula: `{Period} = '${period}'`,
+        maxRecords: 1
+      }).firstPage();
+      
+      if (existingRecords.length === 0) {
+        console.warn(`No monthly summary for ${period}, nothing to adjust`);
+        return null;
+      }
+      
+      const record = await this.applySummaryDeltas(existingRecords[0], {
+        leadSource,
+        revenueDelta,
+        customerDelta,
+        paymentDelta
+      });
+      console.log('Monthly summary adjusted');
+      
+      return {
+        id: record.getId(),
+        fields: record.fields
+      };
+    } catch (error) {
+      console.error('Error adjusting monthly summary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply revenue, customer and payment count deltas to a Monthly Summary record
+   * Revenue deltas change gross revenue; refunds are left as they are.
+   * @param {Object} summaryRecord - Existing Monthly Summary record
+   * @param {Object} deltas - { leadSource, revenueDelta, customerDelta, paymentDelta }
+   * @returns {Object} Updated Airtable record
+   */
+  async applySummaryDeltas(summaryRecord, deltas) {
+    const { leadSource, revenueDelta, customerDelta, paymentDelta } = deltas;
+    const currentFields = summaryRecord.fields;
+    const revenueBySource = this.parseRevenueBySource(currentFields);
+    
+    // Update revenue by source
+    if (!revenueBySource[leadSource]) {
+      revenueBySource[leadSource] = {
+        grossRevenue: 0,
+        refunds: 0,
+        customerCount: 0,
+        averageRevenue: 0
+      };
+    }
+    
+    const sourceTotals = revenueBySource[leadSource];
+    sourceTotals.grossRevenue += revenueDelta;
+    sourceTotals.customerCount = Math.max(sourceTotals.customerCount + customerDelta, 0);
+    sourceTotals.paymentCount = Math.max((sourceTotals.paymentCount || 0) + paymentDelta, 0);
+    
+    const totalRefunds = currentFields['Total Refunds'] || 0;
+    const grossRevenue = this.getSummaryGrossRevenue(currentFields) + revenueDelta;
+    const customerCount = Math.max((currentFields['Customer Count'] || 0) + customerDelta, 0);
+    
+    return await this.writeSummaryTotals(summaryRecord, {
+      grossRevenue,
+      totalRefunds,
+      customerCount,
+      revenueBySource
+    });
+  }
+
+  /**
+   * Recalculate a month's refund totals from the Refunds table
+   * Creates the summary if a refund lands in a month without payments.
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @returns {Object} Updated record
+   */
+  async refreshMonthlySummaryRefunds(month, year) {
+    try {
+      const period = `${year}-${String(month).padStart(2, '0')}`;
+      console.log(`Refreshing refund totals for ${period}`);
+      
+      const refunds = await this.getRefundsByMonth(month, year);
+      
+      const refundsBySource = {};
+      refunds.forEach(refund => {
+        const source = refund.fields['Lead Source'] || 'Unknown';
+        refundsBySource[source] = (refundsBySource[source] || 0) + (parseFloat(refund.fields['Amount']) || 0);
+      });
+      
+      const existingRecords = await this.summaryTable.select({
+        filterByFormula: `{Period} = '${period}'`,
+        maxRecords: 1
+      }).firstPage();
+      
+      let summaryRecord = existingRecords[0];
+      if (!summaryRecord) {
+        summaryRecord = await this.summaryTable.create({
+          'Month': month,
+          'Year': year,
+          'Period': period,
+          'Gross Revenue': 0,
+          'Total Revenue': 0,
+          'Total Ad Spend': 0, // Will be updated by scheduled job
+          'Total Promo Spend': 0,
+          'Customer Count': 0,
+          'Revenue by Source': JSON.stringify({}),
+          'Created At': new Date().toISOString()
+        });
+      }
+      
+      const revenueBySource = this.parseRevenueBySource(summaryRecord.fields);
+      
+      Object.keys(refundsBySource).forEach(source => {
+        if (!revenueBySource[source]) {
+          revenueBySource[source] = {
+            grossRevenue: 0,
             customerCount: 0,
+            paymentCount: 0,
             averageRevenue: 0
           };
         }
+      });
+      
+      Object.entries(revenueBySource).forEach(([source, sourceTotals]) => {
+        sourceTotals.refunds = refundsBySource[source] || 0;
+      });
+      
+      const totalRefunds = Object.values(refundsBySource).reduce((sum, amount) => sum + amount, 0);
+      
+      const record = await this.writeSummaryTotals(summaryRecord, {
+        grossRevenue: this.getSummaryGrossRevenue(summaryRecord.fields),
+        totalRefunds,
+        customerCount: summaryRecord.fields['Customer Count'] || 0,
+        revenueBySource
+      });
+      console.log(`Monthly summary ${period} refunds: ${totalRefunds}`);
+      
+      return {
+        id: record.getId(),
+        fields: record.fields
+      };
+    } catch (error) {
+      console.error('Error refreshing monthly summary refunds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a summary's Revenue by Source JSON, filling in gross revenue and refunds for older records
+   * @param {Object} fields - Monthly Summary record fields
+   * @returns {Object} Revenue by source
+   */
+  parseRevenueBySource(fields) {
+    let revenueBySource = {};
+    try {
+      revenueBySource = JSON.parse(fields['Revenue by Source'] || '{}');
+    } catch (e) {
+      console.log('Could not parse existing revenue by source, starting fresh');
+    }
+    
+    // Records written before refunds were tracked only have totalRevenue (gross)
+    Object.values(revenueBySource).forEach(sourceTotals => {
+      sourceTotals.refunds = sourceTotals.refunds || 0;
+      sourceTotals.grossRevenue = sourceTotals.grossRevenue ?? ((sourceTotals.totalRevenue || 0) + sourceTotals.refunds);
+    });
+    
+    return revenueBySource;
+  }
+
+  /**
+   * Get a summary's gross revenue, falling back to Total Revenue for records written before refunds were tracked
+   * @param {Object} fields - Monthly Summary record fields
+   * @returns {number} Gross revenue
+   */
+  getSummaryGrossRevenue(fields) {
+    return fields['Gross Revenue'] ?? ((fields['Total Revenue'] || 0) + (fields['Total Refunds'] || 0));
+  }
+
+  /**
+   * Write gross revenue, refunds and the derived net totals to a Monthly Summary record
+   * @param {Object} summaryRecord - Existing Monthly Summary record
+   * @param {Object} totals - { grossRevenue, totalRefunds, customerCount, revenueBySource }
+   * @returns {Object} Updated Airtable record
+   */
+  async writeSummaryTotals(summaryRecord, totals) {
+    const { grossRevenue, totalRefunds, customerCount, revenueBySource } = totals;
+    const currentFields = summaryRecord.fields;
+    
+    Object.values(revenueBySource).forEach(sourceTotals => {
+      sourceTotals.netRevenue = sourceTotals.grossRevenue - sourceTotals.refunds;
+      sourceTotals.totalRevenue = sourceTotals.netRevenue;
+      sourceTotals.averageRevenue = sourceTotals.customerCount > 0
+        ? sourceTotals.netRevenue / sourceTotals.customerCount
+        : 0;
+    });
+    
+    // Total Revenue is net of refunds so Net Revenue and ROI reflect refunded jobs
+    const totalRevenue = grossRevenue - totalRefunds;
+    const totalAdSpend = currentFields['Total Ad Spend'] || 0;
+    
+    const updateData = {
+      'Gross Revenue': grossRevenue,
+      'Total Refunds': totalRefunds,
+      'Total Revenue': totalRevenue,
+      'Customer Count': customerCount,
+      'Average Revenue Per Customer': customerCount > 0 ? totalRevenue / customerCount : 0,
+      'Revenue by Source': JSON.stringify(revenueBySource),
+      'Net Revenue': totalRevenue - totalAdSpend - (currentFields['Total Promo Spend'] || 0),
+      ...this.formatROIFields(totalRevenue, totalAdSpend),
+      ...this.formatAmortizedROIFields(totalRevenue, currentFields),
+      'Last Updated': new Date().toISOString()
+    };
+    
+    return await this.summaryTable.update(summaryRecord.getId(), updateData);
+  }
+
+  /**
+   * Blended ROI fields for a Monthly Summary record
+   * `ROI` keeps the formatted text for existing views; `ROI %` and `ROAS` are numeric for sorting and charts.
+   * @param {number} totalRevenue - Revenue net of refunds
+   * @param {number} totalAdSpend - Ad spend
+   * @returns {Object} Airtable fields
+   */
+  formatROIFields(totalRevenue, totalAdSpend) {
+    const roi = Utils.calculateROI(totalRevenue, totalAdSpend);
+    
+    return {
+      'ROI': Utils.formatROI(roi),
+      'ROI %': roi,
+      'ROAS': Utils.calculateROAS(totalRevenue, totalAdSpend)
+    };
+  }
+
+  /**
+   * Amortized ad spend fields for a Monthly Summary record (see SpendSchedules)
+   * @param {number} totalRevenue - Revenue net of refunds
+   * @param {Object} amortizedBySource - Amortized spend per lead source
+   * @returns {Object} Airtable fields
+   */
+  formatAmortizedFields(totalRevenue, amortizedBySource) {
+    const totalAmortized = Object.values(amortizedBySource).reduce((sum, amount) => sum + (parseFloat(amount) || 0), 0);
+    
+    return {
+      'Amortized Ad Spend by Category': JSON.stringify(amortizedBySource),
+      'Total Amortized Ad Spend': totalAmortized,
+      'Amortized ROI %': Utils.calculateROI(totalRevenue, totalAmortized),
+      'Amortized ROAS': Utils.calculateROAS(totalRevenue, totalAmortized)
+    };
+  }
+
+  /**
+   * Recalculate amortized ROI for a summary whose revenue changed, if it has amortized spend
+   * @param {number} totalRevenue - Revenue net of refunds
+   * @param {Object} fields - Stored Monthly Summary fields
+   * @returns {Object} Airtable fields ({} when the summary has no amortized spend yet)
+   */
+  formatAmortizedROIFields(totalRevenue, fields) {
+    if (fields['Total Amortized Ad Spend'] === undefined) {
+      return {};
+    }
+    
+    return {
+      'Amortized ROI %': Utils.calculateROI(totalRevenue, fields['Total Amortized Ad Spend']),
+      'Amortized ROAS': Utils.calculateROAS(totalRevenue, fields['Total Amortized Ad Spend'])
+    };
+  }
+
+  /**
+   * Count leads created in a month by lead source
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @returns {Object} Map of lead source to lead count
+   */
+  async countLeadsBySource(month, year) {
+    try {
+      const period = `${year}-${String(month).padStart(2, '0')}`;
+      
+      const records = await this.leadsTable.select({
+        filterByFormula: `DATETIME_FORMAT({Date Created}, 'YYYY-MM') = '${period}'`,
+        fields: ['Lead Source']
+      }).all();
+      
+      return records.reduce((counts, record) => {
+        const source = record.fields['Lead Source'] || 'Unknown';
+        counts[source] = (counts[source] || 0) + 1;
+        return counts;
+      }, {});
+    } catch (error) {
+      console.error('Error counting leads by source:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compute per-source funnel and return metrics
+   * All values are numbers (null when the denominator is zero) so they can be sorted and charted.
+   * @param {Object} inputs - { revenueBySource, adSpendBySource, leadsBySource, amortizedBySource (optional) }
+   * @returns {Object} Map of lead source to { adSpend, leads, payingCustomers, conversionRate, costPerLead,
+   *   customerAcquisitionCost, grossRevenue, refunds, netRevenue, roas, roi }, plus amortizedAdSpend,
+   *   amortizedCustomerAcquisitionCost, amortizedRoas and amortizedRoi when amortized spend is given
+   */
+  buildSourceMetrics({ revenueBySource = {}, adSpendBySource = {}, leadsBySource = {}, amortizedBySource = null }) {
+    const sources = new Set([
+      ...Object.keys(revenueBySource),
+      ...Object.keys(adSpendBySource),
+      ...Object.keys(leadsBySource),
+      ...Object.keys(amortizedBySource || {})
+    ]);
+    const metrics = {};
+    
+    for (const source of sources) {
+      const revenue = revenueBySource[source] || {};
+      const adSpend = adSpendBySource[source] || 0;
+      const leads = leadsBySource[source] || 0;
+      const payingCustomers = revenue.customerCount || 0;
+      const grossRevenue = revenue.grossRevenue ?? revenue.totalRevenue ?? 0;
+      const refunds = revenue.refunds || 0;
+      const netRevenue = grossRevenue - refunds;
+      
+      metrics[source] = {
+        adSpend,
+        leads,
+        payingCustomers,
+        conversionRate: leads > 0 ? Utils.calculateRatio(payingCustomers * 100, leads) : null,
+        costPerLead: Utils.calculateRatio(adSpend, leads),
+        customerAcquisitionCost: Utils.calculateRatio(adSpend, payingCustomers),
+        grossRevenue,
+        refunds,
+        netRevenue,
+        roas: Utils.calculateROAS(netRevenue, adSpend),
+        roi: Utils.calculateROI(netRevenue, adSpend)
+      };
+      
+      // Spend with upfront costs spread over their schedules, once the ad spend sync has computed it
+      if (amortizedBySource) {
+        const amortizedAdSpend = amortizedBySource[source] || 0;
+        Object.assign(metrics[source], {
+          amortizedAdSpend,
+          amortizedCustomerAcquisitionCost: Utils.calculateRatio(amortizedAdSpend, payingCustomers),
+          amortizedRoas: Utils.calculateROAS(netRevenue, amortizedAdSpend),
+          amortizedRoi: Utils.calculateROI(netRevenue, amortizedAdSpend)
+        });
+      }
+    }
+    
+    return metrics;
+  }
+
+  /**
+   * Recompute per-source metrics for a month from its Monthly Summary, ad spend and new leads
+   * Writes them to the summary's `Source Metrics` JSON and one numeric row per source in the Source Metrics table.
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @returns {Object|null} Source metrics, or null when the month has no summary yet
+   */
+  async refreshSourceMetrics(month, year) {
+    try {
+      const period = `${year}-${String(month).padStart(2, '0')}`;
+      console.log(`Refreshing source metrics for ${period}`);
+      
+      const summaryRecords = await this.summaryTable.select({
+        filterByFormula: `{Period} = '${period}'`,
+        maxRecords: 1
+      }).firstPage();
+      
+      if (summaryRecords.length === 0) {
+        console.log(`No monthly summary for ${period}, skipping source metrics`);
+        return null;
+      }
+      
+      const summaryRecord = summaryRecords[0];
+      
+      // Ad spend written before the lead source catalog may be keyed on raw account names
+      let adSpendByCategory = {};
+      try {
+        adSpendByCategory = JSON.parse(summaryRecord.fields['Ad Spend by Category'] || '{}');
+      } catch (error) {
+        console.log(`Could not parse Ad Spend by Category for ${period}`);
+      }
+      const adSpendBySource = {};
+      for (const [category, amount] of Object.entries(adSpendByCategory)) {
+        const source = this.leadSources.resolve(category);
+        adSpendBySource[source] = (adSpendBySource[source] || 0) + (parseFloat(amount) || 0);
+      }
+      
+      // Amortized spend is written by the ad spend sync and is already keyed on canonical sources
+      let amortizedBySource = null;
+      if (summaryRecord.fields['Amortized Ad Spend by Category']) {
+        try {
+          amortizedBySource = JSON.parse(summaryRecord.fields['Amortized Ad Spend by Category']);
+        } catch (error) {
+          console.log(`Could not parse Amortized Ad Spend by Category for ${period}`);
+        }
+      }
+      
+      const sourceMetrics = this.buildSourceMetrics({
+        revenueBySource: this.parseRevenueBySource(summaryRecord.fields),
+        adSpendBySource,
+        leadsBySource: await this.countLeadsBySource(month, year),
+        amortizedBySource
+      });
+      
+      await this.summaryTable.update(summaryRecord.getId(), {
+        'Source Metrics': JSON.stringify(sourceMetrics),
+        'Last Updated': new Date().toISOString()
+      });
+      await this.saveSourceMetrics(month, year, sourceMetrics);
+      
+      return sourceMetrics;
+    } catch (error) {
+      console.error('Error refreshing source metrics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upsert one Source Metrics row per lead source for a month, removing rows for sources no longer present
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @param {Object} sourceMetrics - Result of buildSourceMetrics
+   */
+  async saveSourceMetrics(month, year, sourceMetrics) {
+    const period = `${year}-${String(month).padStart(2, '0')}`;
+    
+    const existingRecords = await this.sourceMetricsTable.select({
+      filterByFormula: `{Period} = '${period}'`
+    }).all();
+    const existingBySource = {};
+    existingRecords.forEach(record => {
+      existingBySource[record.fields['Lead Source']] = record;
+    });
+    
+    for (const [source, metrics] of Object.entries(sourceMetrics)) {
+      const recordData = {
+        'Period': period,
+        'Month': month,
+        'Year': year,
+        'Lead Source': source,
+        'Ad Spend': metrics.adSpend,
+        'Leads': metrics.leads,
+        'Paying Customers': metrics.payingCustomers,
+        'Conversion Rate': metrics.conversionRate,
+        'Cost Per Lead': metrics.costPerLead,
+        'CAC': metrics.customerAcquisitionCost,
+        'Gross Revenue': metrics.grossRevenue,
+        'Refunds': metrics.refunds,
+        'Net Revenue': metrics.netRevenue,
+        'ROAS': metrics.roas,
+        'ROI': metrics.roi,
+        'Last Updated': new Date().toISOString()
+      };
+      if (metrics.amortizedAdSpend !== undefined) {
+        Object.assign(recordData, {
+          'Amortized Ad Spend': metrics.amortizedAdSpend,
+          'Amortized CAC': metrics.amortizedCustomerAcquisitionCost,
+          'Amortized ROAS': metrics.amortizedRoas,
+          'Amortized ROI': metrics.amortizedRoi
+        });
+      }
+      
+      if (existingBySource[source]) {
+        await this.sourceMetricsTable.update(existingBySource[source].getId(), recordData);
+        delete existingBySource[source];
+      } else {
+        await this.sourceMetricsTable.create(recordData);
+      }
+    }
+    
+    for (const record of Object.values(existingBySource)) {
+      await this.sourceMetricsTable.destroy(record.getId());
+    }
+  }
+
+  /**
+   * Get stored per-source metrics for a month
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @param {string} sortBy - Source Metrics field to sort by, highest first (e.g. 'ROI', 'CAC', 'Net Revenue')
+   * @returns {Array} Source metric rows
+   */
+  async getSourceMetrics(month, year, sortBy = 'Net Revenue') {
+    try {
+      const period = `${year}-${String(month).padStart(2, '0')}`;
+      
+      const records = await this.sourceMetricsTable.select({
+        filterByFormula: `{Period} = '${period}'`,
+        sort: [{ field: sortBy, direction: 'desc' }]
+      }).all();
+      
+      return records.map(record => ({
+        id: record.getId(),
+        fields: record.fields
+      }));
+    } catch (error) {
+      console.error('Error fetching source metrics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get QBO account to lead source mapping rules from the Account Mappings table, in Priority order
+   * @returns {Array} Rules as { accountId, account, class, vendor, memo, leadSource, note }
+   */
+  async getAccountMappings() {
+    try {
+      const records = await this.accountMappingsTable.select().all();
+      
+      return records
+        .filter(record => !record.fields['Disabled'])
+        .sort((a, b) => (a.fields['Priority'] ?? Infinity) - (b.fields['Priority'] ?? Infinity))
+        .map(record => ({
+          id: record.getId(),
+          accountId: record.fields['Account ID'] || null,
+          account: record.fields['Account Name'] || null,
+          class: record.fields['Class'] || null,
+          vendor: record.fields['Vendor'] || null,
+          memo: record.fields['Memo Pattern'] || null,
+          leadSource: record.fields['Lead Source'] || null,
+          note: record.fields['Notes'] || null
+        }));
+    } catch (error) {
+      console.error('Error fetching account mappings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get vendor and memo ad spend rules from the Vendor Rules table, in Priority order
+   * @returns {Array} Rules as { vendor, memo, account, leadSource, note } - vendor and memo are regex patterns
+   */
+  async getVendorRules() {
+    try {
+      const records = await this.vendorRulesTable.select().all();
+      
+      return records
+        .filter(record => !record.fields['Disabled'])
+        .sort((a, b) => (a.fields['Priority'] ?? Infinity) - (b.fields['Priority'] ?? Infinity))
+        .map(record => ({
+          id: record.getId(),
+          vendor: record.fields['Vendor Pattern'] || null,
+          memo: record.fields['Memo Pattern'] || null,
+          account: record.fields['Account Name'] || null,
+          leadSource: record.fields['Lead Source'] || null,
+          note: record.fields['Notes'] || null
+        }));
+    } catch (error) {
+      console.error('Error fetching vendor rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a marketing spend schedule
+   * @param {Object} schedule - { name, leadSource, amount, startDate, endDate, qboTransactionType, qboTransactionId, qboLineId, notes }
+   * @returns {Object} Stored schedule
+   */
+  async saveSpendSchedule(schedule) {
+    try {
+      const record = await this.spendSchedulesTable.create({
+        'Name': schedule.name,
+        'Lead Source': schedule.leadSource,
+        'Amount': schedule.amount,
+        'Start Date': schedule.startDate,
+        'End Date': schedule.endDate,
+        'QBO Transaction Type': schedule.qboTransactionType || '',
+        'QBO Transaction ID': schedule.qboTransactionId || '',
+        'QBO Line ID': schedule.qboLineId || '',
+        'Status': 'Active',
+        'Notes': schedule.notes || '',
+        'Created At': new Date().toISOString()
+      });
+      
+      console.log(`Spend schedule saved: ${schedule.name} (${schedule.startDate} to ${schedule.endDate})`);
+      return this.formatSpendSchedule(record);
+    } catch (error) {
+      console.error('Error saving spend schedule to Airtable:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get marketing spend schedules
+   * @param {Object} filters - { status } (optional)
+   * @returns {Array} Schedules, earliest start first
+   */
+  async getSpendSchedules(filters = {}) {
+    checkFilter('status', filters.status, SPEND_SCHEDULE_STATUSES);
+    
+    try {
+      const records = await this.spendSchedulesTable.select({
+        ...(filters.status ? { filterByFormula: `{Status} = ${formulaString(filters.status)}` } : {}),
+        sort: [{ field: 'Start Date', direction: 'asc' }]
+      }).all();
+      
+      return records.map(record => this.formatSpendSchedule(record));
+    } catch (error) {
+      console.error('Error fetching spend schedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a spend schedule's status
+   * @param {string} recordId - Airtable record ID
+   * @param {string} status - Active or Cancelled
+   * @returns {Object} Updated schedule
+   */
+  async updateSpendScheduleStatus(recordId, status) {
+    try {
+      const record = await this.spendSchedulesTable.update(recordId, {
+        'Status': status,
+        'Last Updated': new Date().toISOString()
+      });
+      
+      return this.formatSpendSchedule(record);
+    } catch (error) {
+      console.error('Error updating spend schedule status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a Spend Schedules record for API responses
+   */
+  formatSpendSchedule(record) {
+    return {
+      id: record.id,
+      name: record.fields['Name'],
+      leadSource: record.fields['Lead Source'],
+      amount: record.fields['Amount'] || 0,
+      startDate: record.fields['Start Date'],
+      endDate: record.fields['End Date'],
+      qboTransactionType: record.fields['QBO Transaction Type'] || null,
+      qboTransactionId: record.fields['QBO Transaction ID'] || null,
+      qboLineId: record.fields['QBO Line ID'] || null,
+      status: record.fields['Status'],
+      notes: record.fields['Notes'] || null,
+      createdAt: record.fields['Created At']
+    };
+  }
+
+  /**
+   * Queue an offline conversion, unless one with the same key (platform and payment) is already queued
+   * @param {Object} conversion - { key, platform, leadId, customerName, paymentId, clickId, conversionName, value, currency, conversionTime, payload }
+   * @returns {Object} Stored conversion, plus isNew (false when it was already queued)
+   */
+  async saveOfflineConversion(conversion) {
+    try {
+      const existing = await this.offlineConversionsTable.select({
+        filterByFormula: `{Conversion Key} = ${formulaString(conversion.key)}`,
+        maxRecords: 1
+      }).firstPage();
+      
+      if (existing.length > 0) {
+        console.log(`Offline conversion ${conversion.key} already queued`);
+        return { ...this.formatOfflineConversion(existing[0]), isNew: false };
+      }
+      
+      const record = await this.offlineConversionsTable.create({
+        'Conversion Key': conversion.key,
+        'Platform': conversion.platform,
+        'Lead ID': conversion.leadId,
+        'Customer Name': conversion.customerName || '',
+        'QBO Payment ID': String(conversion.paymentId),
+        'Click ID': conversion.clickId,
+        'Conversion Name': conversion.conversionName,
+        'Value': conversion.value,
+        'Currency': conversion.currency,
+        'Conversion Time': conversion.conversionTime,
+        'Payload': JSON.stringify(conversion.payload),
+        'Status': 'Queued',
+        'Attempts': 0,
+        'Created At': new Date().toISOString()
+      });
+      
+      return { ...this.formatOfflineConversion(record), isNew: true };
+    } catch (error) {
+      console.error('Error saving offline conversion to Airtable:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get offline conversions
+   * @param {Object} filters - { status, platform, paymentId, since } (all optional; since filters on Conversion Time)
+   * @returns {Array} Conversions, oldest first
+   */
+  async getOfflineConversions(filters = {}) {
+    checkFilter('status', filters.status, OFFLINE_CONVERSION_STATUSES);
+    checkFilter('platform', filters.platform, OFFLINE_CONVERSION_PLATFORMS);
+    checkTimestamp('since', filters.since);
+    
+    try {
+      const conditions = [];
+      if (filters.status) {
+        conditions.push(`{Status} = ${formulaString(filters.status)}`);
+      }
+      if (filters.platform) {
+        conditions.push(`{Platform} = ${formulaString(filters.platform)}`);
+      }
+      if (filters.paymentId) {
+        conditions.push(`{QBO Payment ID} = ${formulaString(filters.paymentId)}`);
+      }
+      if (filters.since) {
+        conditions.push(`IS_AFTER({Conversion Time}, ${formulaString(filters.since)})`);
+      }
+      
+      const records = await this.offlineConversionsTable.select({
+        ...(conditions.length > 0 ? { filterByFormula: `AND(${conditions.join(', ')})` } : {}),
+        sort: [{ field: 'Conversion Time', direction: 'asc' }]
+      }).all();
+      
+      return records.map(record => this.formatOfflineConversion(record));
+    } catch (error) {
+      console.error('Error fetching offline conversions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a delivery attempt on an offline conversion
+   * @param {string} recordId - Airtable record ID
+   * @param {string} status - Sent, Failed or Cancelled
+   * @param {Object} details - { attempts, error, response }
+   * @returns {Object} Updated conversion
+   */
+  async updateOfflineConversionStatus(recordId, status, details = {}) {
+    try {
+      const record = await this.offlineConversionsTable.update(recordId, {
+        'Status': status,
+        'Attempts': details.attempts || 0,
+        'Last Error': details.error || '',
+        ...(details.response ? { 'Response': details.response } : {}),
+        ...(status === 'Sent' ? { 'Sent At': new Date().toISOString() } : {})
+      });
+      
+      return this.formatOfflineConversion(record);
+    } catch (error) {
+      console.error('Error updating offline conversion status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a queued conversion's value and the payload that will be sent with it
+   * @param {string} recordId - Airtable record ID
+   * @param {number} value - New value
+   * @param {Object} payload - Payload rebuilt with the new value
+   * @returns {Object} Updated conversion
+   */
+  async updateOfflineConversionValue(recordId, value, payload) {
+    try {
+      const record = await this.offlineConversionsTable.update(recordId, {
+        'Value': value,
+        'Payload': JSON.stringify(payload)
+      });
+      
+      return this.formatOfflineConversion(record);
+    } catch (error) {
+      console.error('Error updating offline conversion value:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format an Offline Conversions record for API responses
+   */
+  formatOfflineConversion(record) {
+    let payload = null;
+    try {
+      payload = JSON.parse(record.fields['Payload'] || 'null');
+    } catch (error) {
+      console.error(`Invalid payload JSON on offline conversion ${record.id}`);
+    }
+    
+    return {
+      id: record.id,
+      key: record.fields['Conversion Key'],
+      platform: record.fields['Platform'],
+      leadId: record.fields['Lead ID'],
+      customerName: record.fields['Customer Name'] || null,
+      paymentId: record.fields['QBO Payment ID'],
+      clickId: record.fields['Click ID'],
+      conversionName: record.fields['Conversion Name'],
+      value: record.fields['Value'] || 0,
+      currency: record.fields['Currency'],
+      conversionTime: record.fields['Conversion Time'],
+      payload,
+      status: record.fields['Status'],
+      attempts: record.fields['Attempts'] || 0,
+      lastError: record.fields['Last Error'] || null,
+      sentAt: record.fields['Sent At'] || null,
+      createdAt: record.fields['Created At']
+    };
+  }
+
+  /**
+   * Check whether a lead has any other active payment in a month
+   * @param {string} leadId - Airtable record ID of the lead
+   * @param {string} paymentId - QBO Payment ID to ignore
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @returns {boolean} True if another payment from the lead falls in the month
+   */
+  async leadHasOtherPaymentsInMonth(leadId, paymentId, month, year) {
+    const monthPayments = await this.getPaymentsByMonth(month, year);
+    
+    return monthPayments.some(payment =>
+      payment.fields['Lead ID'] === leadId && payment.fields['QBO Payment ID'] !== paymentId
+    );
+  }
+
+  /**
+   * Create or update the Refunds row for a QBO RefundReceipt or CreditMemo
+   * @param {Object} refundData - Refund data from QuickBooksAPI.extractRefundData
+   * @param {Object|null} resolution - Lead the refund belongs to, from LeadMatcher.resolveRefund
+   * @returns {Object} Refund record data
+   */
+  async saveRefund(refundData, resolution) {
+    try {
+      console.log(`Saving ${refundData.type} ${refundData.id} for ${refundData.customerName}`);
+      
+      const recordData = {
+        'QBO Transaction ID': refundData.id,
+        'Transaction Type': refundData.type,
+        'Lead ID': resolution ? resolution.leadId : '',
+        'Linked By': resolution ? resolution.linkedBy : 'Unlinked',
+        'Customer Name': refundData.customerName,
+        'QBO Customer ID': refundData.customerId,
+        'Lead Source': resolution ? resolution.leadSource : 'Unknown',
+        'Amount': refundData.amount,
+        'Refund Date': refundData.refundDate,
+        'Doc Number': refundData.docNumber || '',
+        'Linked Invoice IDs': (refundData.linkedInvoiceIds || []).join(', '),
+        'Linked Payment IDs': (refundData.linkedPaymentIds || []).join(', '),
+        'Memo': refundData.memo || '',
+        'Last Updated': new Date().toISOString()
+      };
+      
+      const existing = await this.getRefundByQboId(refundData.type, refundData.id);
+      
+      let record;
+      if (existing) {
+        record = await this.refundsTable.update(existing.id, recordData);
+        console.log(`Refund updated: ${record.getId()}`);
+      } else {
+        recordData['Status'] = 'Active';
+        recordData['Created At'] = new Date().toISOString();
+        record = await this.refundsTable.create(recordData);
+        console.log(`Refund saved: ${record.getId()}`);
+      }
+      
+      return {
+        id: record.getId(),
+        fields: record.fields
+      };
+    } catch (error) {
+      console.error('Error saving refund:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the Refunds row for a QBO transaction, including voided and deleted ones
+   * @param {string} type - 'RefundReceipt' or 'CreditMemo'
+   * @param {string} transactionId - QuickBooks transaction ID
+   * @returns {Object|null} Refund record or null if not recorded
+   */
+  async getRefundByQboId(type, transactionId) {
+    try {
+      const records = await this.refundsTable.select({
+        filterByFormula: `AND({Transaction Type} = ${formulaString(type)}, {QBO Transaction ID} = ${formulaString(transactionId)})`,
+        maxRecords: 1
+      }).firstPage();
+      
+      return records.length > 0 ? { id: records[0].getId(), fields: records[0].fields } : null;
+    } catch (error) {
+      console.error('Error fetching refund:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a refund as voided or deleted so it no longer reduces revenue
+   * @param {string} recordId - Airtable record ID of the refund
+   * @param {string} status - 'Voided' or 'Deleted'
+   * @returns {Object} Updated refund record
+   */
+  async reverseRefund(recordId, status) {
+    try {
+      const record = await this.refundsTable.update(recordId, {
+        'Status': status,
+        'Reversed At': new Date().toISOString(),
+        'Last Updated': new Date().toISOString()
+      });
+      
+      console.log(`Refund ${recordId} marked as ${status}`);
+      return {
+        id: record.getId(),
+        fields: record.fields
+      };
+    } catch (error) {
+      console.error('Error reversing refund:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all active refunds for a lead
+   * @param {string} leadId - Airtable record ID of the lead
+   * @returns {Array} Array of refund records
+   */
+  async getRefundsForLead(leadId) {
+    try {
+      const records = await this.refundsTable.select({
+        filterByFormula: `AND({Lead ID} = ${formulaString(leadId)}, ${ACTIVE_PAYMENT_FORMULA})`
+      }).all();
+      
+      return records.map(record => ({
+        id: record.getId(),
+        fields: record.fields
+      }));
+    } catch (error) {
+      console.error('Error fetching refunds for lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active refunds within a date range (inclusive)
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array} Array of refund records
+   */
+  async getRefundsInRange(startDate, endDate) {
+    checkDate('startDate', startDate);
+    checkDate('endDate', endDate);
+    
+    try {
+      const selectOptions = {
+        filterByFormula: ACTIVE_PAYMENT_FORMULA
+      };
+      
+      if (startDate && endDate) {
+        selectOptions.filterByFormula = `AND(${ACTIVE_PAYMENT_FORMULA}, NOT(IS_BEFORE({Refund Date}, ${formulaString(startDate)})), NOT(IS_AFTER({Refund Date}, ${formulaString(endDate)})))`;
+      }
+      
+      const records = await this.refundsTable.select(selectOptions).all();
+      
+      return records.map(record => ({
+        id: record.getId(),
+        fields: record.fields
+      }));
+    } catch (error) {
+      console.error('Error fetching refunds in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active refunds for a specific month
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @returns {Array} Array of refund records
+   */
+  async getRefundsByMonth(month, year) {
+    const period = `${year}-${String(month).padStart(2, '0')}`;
+    const lastDay = new Date(year, month, 0).getDate();
+    
+    return await this.getRefundsInRange(`${period}-01`, `${period}-${lastDay}`);
+  }
+
+  /**
+   * Add a touchpoint to a lead's history
+   * @param {string} leadId - Airtable record ID of the lead
+   * @param {string} customerName - Customer name, for display
+   * @param {Object} touch - { leadSource, origin, touchDate, campaign, medium, rawValue }
+   * @returns {Object} Stored touchpoint
+   */
+  async saveTouchpoint(leadId, customerName, touch) {
+    try {
+      const record = await this.touchpointsTable.create({
+        'Lead ID': leadId,
+        'Customer Name': customerName || '',
+        'Lead Source': touch.leadSource,
+        'Origin': touch.origin,
+        'Touch Date': touch.touchDate,
+        'Campaign': touch.campaign || '',
+        'Medium': touch.medium || '',
+        'Raw Value': touch.rawValue || '',
+        'Created At': new Date().toISOString()
+      });
+      
+      return this.formatTouchpoint(record);
+    } catch (error) {
+      console.error('Error saving touchpoint to Airtable:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a lead's touchpoints, oldest first
+   * @param {string} leadId - Airtable record ID of the lead
+   * @returns {Array} Touchpoints
+   */
+  async getTouchpointsForLead(leadId) {
+    const touchpointsByLead = await this.getTouchpointsForLeads([leadId]);
+    return touchpointsByLead[leadId] || [];
+  }
+
+  /**
+   * Get touchpoints for several leads
+   * @param {Array} leadIds - Airtable record IDs of the leads
+   * @returns {Object} Map of lead ID to touchpoints, oldest first
+   */
+  async getTouchpointsForLeads(leadIds) {
+    try {
+      const uniqueIds = [...new Set(leadIds.filter(Boolean))];
+      const touchpointsByLead = {};
+      
+      // Keep formulas short enough for Airtable's URL limit
+      for (let i = 0; i < uniqueIds.length; i += 50) {
+        const batch = uniqueIds.slice(i, i + 50);
+        const records = await this.touchpointsTable.select({
+          filterByFormula: `OR(${batch.map(id => `{Lead ID} = ${formulaString(id)}`).join(', ')})`,
+          sort: [{ field: 'Touch Date', direction: 'asc' }]
+        }).all();
+        
+        records.forEach(record => {
+          const touchpoint = this.formatTouchpoint(record);
+          (touchpointsByLead[touchpoint.leadId] = touchpointsByLead[touchpoint.leadId] || []).push(touchpoint);
+        });
+      }
+      
+      return touchpointsByLead;
+    } catch (error) {
+      console.error('Error fetching touchpoints from Airtable:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a Touchpoints record for internal use
+   */
+  formatTouchpoint(record) {
+    return {
+      id: record.getId(),
+      leadId: record.fields['Lead ID'],
+      customerName: record.fields['Customer Name'],
+      leadSource: record.fields['Lead Source'],
+      origin: record.fields['Origin'],
+      touchDate: record.fields['Touch Date'],
+      campaign: record.fields['Campaign'] || '',
+      medium: record.fields['Medium'] || '',
+      rawValue: record.fields['Raw Value'] || ''
+    };
+  }
+
+  /**
+   * Record an audit entry for a payment that was edited, voided or deleted in QuickBooks
+   * @param {Object} adjustment - Adjustment details
+   * @returns {Object} Created record data
+   */
+  async recordPaymentAdjustment(adjustment) {
+    try {
+      const recordData = {
+        'QBO Payment ID': adjustment.paymentId,
+        'Operation': adjustment.operation,
+        'Lead ID': adjustment.leadId || '',
+        'Customer Name': adjustment.customerName || '',
+        'Lead Source': adjustment.leadSource || 'Unknown',
+        'Previous Amount': adjustment.previousAmount,
+        'New Amount': adjustment.newAmount,
+        'Amount Delta': adjustment.newAmount - adjustment.previousAmount,
+        'Previous Payment Date': adjustment.previousPaymentDate || null,
+        'New Payment Date': adjustment.newPaymentDate || null,
+        'Notes': adjustment.notes || '',
+        'Payment Data': adjustment.paymentData ? JSON.stringify(adjustment.paymentData) : '',
+        'Created At': new Date().toISOString()
+      };
+      
+      const record = await this.paymentAdjustmentsTable.create(recordData);
+      console.log(`Payment adjustment recorded: ${adjustment.operation} ${adjustment.paymentId} (${record.getId()})`);
+      
+      return {
+        id: record.getId(),
+        fields: record.fields
+      };
+    } catch (error) {
+      console.error('Error recording payment adjustment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all leads for a specific month
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @returns {Array} Array of lead records
+   */
+  async getLeadsByMonth(month, year) {
+    try {
+      const startDate = new Date(year, month - 1, 1).toISOString().split('T')[0];
+      const endDate = new Date(year, month, 0).toISOString().split('T')[0];
+      
+      return await this.getLeadsWithPayments(startDate, endDate);
+    } catch (error) {
+      console.error('Error fetching leads by month:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Persist a QuickBooks payment that could not be matched to a lead
+   * Re-delivered payments update the existing row instead of creating a duplicate.
+   * @param {Object} paymentData - Payment data from QuickBooksAPI.extractPaymentData
+   * @param {string} reason - Why the payment could not be matched
+   * @param {Array} candidates - Ranked candidate leads from LeadMatcher (optional)
+   * @returns {Object} Created or updated record data
+   */
+  async saveUnmatchedPayment(paymentData, reason = 'No matching lead found', candidates = []) {
+    try {
+      console.log(`Saving unmatched payment ${paymentData.id} for ${paymentData.customerName}`);
+      
+      const recordData = {
+        'QBO Payment ID': paymentData.id,
+        'Customer Name': paymentData.customerName,
+        'QBO Customer ID': paymentData.customerId,
+        'Amount': paymentData.amount,
+        'Payment Date': paymentData.paymentDate,
+        'Invoice Number': paymentData.invoiceNumber,
+        'Reason': reason,
+        'Payment Data': JSON.stringify(paymentData),
+        'Match Candidates': JSON.stringify(candidates),
+        'Last Updated': new Date().toISOString()
+      };
+      
+      const existingRecords = paymentData.id ? await this.unmatchedPaymentsTable.select({
+        filterByFormula: `{QBO Payment ID} = ${formulaString(paymentData.id)}`,
+        maxRecords: 1
+      }).firstPage() : [];
+      
+      let record;
+      if (existingRecords.length > 0) {
+        record = await this.unmatchedPaymentsTable.update(existingRecords[0].getId(), recordData);
+        console.log(`Unmatched payment updated: ${record.getId()}`);
+      } else {
+        recordData['Status'] = 'Unmatched';
+        recordData['Created At'] = new Date().toISOString();
+        
+        record = await this.unmatchedPaymentsTable.create(recordData);
+        console.log(`Unmatched payment saved: ${record.getId()}`);
+      }
+      
+      return this.formatUnmatchedPayment(record);
+    } catch (error) {
+      console.error('Error saving unmatched payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an unmatched payment by its QBO Payment ID
+   * @param {string} paymentId - QuickBooks payment ID
+   * @returns {Object|null} Unmatched payment record or null if not queued
+   */
+  async findUnmatchedPaymentByQboId(paymentId) {
+    try {
+      const records = await this.unmatchedPaymentsTable.select({
+        filterByFormula: `{QBO Payment ID} = ${formulaString(paymentId)}`,
+        maxRecords: 1
+      }).firstPage();
+      
+      return records.length > 0 ? this.formatUnmatchedPayment(records[0]) : null;
+    } catch (error) {
+      console.error('Error finding unmatched payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List unmatched payments
+   * @param {string} status - Optional status filter (Unmatched, Linked, Replayed, Voided, Deleted)
+   * @returns {Array} Array of unmatched payment records
+   */
+  async getUnmatchedPayments(status) {
+    checkFilter('status', status, UNMATCHED_PAYMENT_STATUSES);
+    
+    try {
+      const selectOptions = {
+        sort: [{ field: 'Created At', direction: 'desc' }]
+      };
+      
+      if (status) {
+        selectOptions.filterByFormula = `{Status} = ${formulaString(status)}`;
+      }
+      
+      const records = await this.unmatchedPaymentsTable.select(selectOptions).all();
+      return records.map(record => this.formatUnmatchedPayment(record));
+    } catch (error) {
+      console.error('Error fetching unmatched payments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single unmatched payment by record ID
+   * @param {string} recordId - Airtable record ID
+   * @returns {Object|null} Unmatched payment record or null if not found
+   */
+  async getUnmatchedPayment(recordId) {
+    try {
+      const record = await this.unmatchedPaymentsTable.find(recordId);
+      return this.formatUnmatchedPayment(record);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error fetching unmatched payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the status of an unmatched payment
+   * @param {string} recordId - Airtable record ID
+   * @param {string} status - New status (Linked, Replayed, Voided, Deleted)
+   * @param {string} leadId - Airtable record ID of the lead it belongs to
+   * @returns {Object} Updated unmatched payment record
+   */
+  async updateUnmatchedPaymentStatus(recordId, status, leadId) {
+    try {
+      const updateData = {
+        'Status': status,
+        'Last Updated': new Date().toISOString()
+      };
+      
+      if (leadId) {
+        updateData['Linked Lead ID'] = leadId;
+      }
+      
+      if (status === 'Replayed') {
+        updateData['Replayed At'] = new Date().toISOString();
+      }
+      
+      const record = await this.unmatchedPaymentsTable.update(recordId, updateData);
+      console.log(`Unmatched payment ${recordId} marked as ${status}`);
+      
+      return this.formatUnmatchedPayment(record);
+    } catch (error) {
+      console.error('Error updating unmatched payment status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert an Unmatched Payments record into a plain object with the parsed payload
+   * @param {Object} record - Airtable record
+   * @returns {Object} Unmatched payment data
+   */
+  formatUnmatchedPayment(record) {
+    let paymentData = null;
+    let candidates = [];
+    try {
+      paymentData = JSON.parse(record.fields['Payment Data'] || 'null');
+      candidates = JSON.parse(record.fields['Match Candidates'] || '[]');
+    } catch (e) {
+      console.log(`Could not parse payment data for unmatched payment ${record.getId()}`);
+    }
+    
+    return {
+      id: record.getId(),
+      status: record.fields['Status'],
+      reason: record.fields['Reason'],
+      linkedLeadId: record.fields['Linked Lead ID'] || null,
+      createdAt: record.fields['Created At'],
+      replayedAt: record.fields['Replayed At'] || null,
+      paymentData,
+      candidates,
+      fields: record.fields
+    };
+  }
+
+  /**
+   * Find the active identity link for a QBO customer, HCP/GHL contact or lead
+   * @param {Object} criteria - One of qboCustomerId, contactId or leadId
+   * @returns {Object|null} Identity link or null if none is active
+   */
+  async findIdentityLink(criteria) {
+    try {
+      const links = await this.getIdentityLinks({ ...criteria, status: 'Active' });
+      return links.length > 0 ? links[0] : null;
+    } catch (error) {
+      console.error('Error finding identity link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List identity links between HCP/GHL contacts, Airtable leads and QBO customers
+   * @param {Object} filters - Optional leadId, qboCustomerId, contactId and status filters
+   * @returns {Array} Array of identity links
+   */
+  async getIdentityLinks(filters = {}) {
+    checkFilter('status', filters.status, IDENTITY_LINK_STATUSES);
+    
+    try {
+      const conditions = [];
+      
+      if (filters.leadId) {
+        conditions.push(`{Lead ID} = ${formulaString(filters.leadId)}`);
+      }
+      if (filters.qboCustomerId) {
+        conditions.push(`{QBO Customer ID} = ${formulaString(filters.qboCustomerId)}`);
+      }
+      if (filters.contactId) {
+        conditions.push(`{Contact ID} = ${formulaString(filters.contactId)}`);
+      }
+      if (filters.status) {
+        conditions.push(`{Status} = ${formulaString(filters.status)}`);
+      }
+      
+      const selectOptions = {
+        sort: [{ field: 'Created At', direction: 'desc' }]
+      };
+      
+      if (conditions.length > 0) {
+        selectOptions.filterByFormula = `AND(${conditions.join(', ')})`;
+      }
+      
+      const records = await this.identityLinksTable.select(selectOptions).all();
+      return records.map(record => this.formatIdentityLink(record));
+    } catch (error) {
+      console.error('Error fetching identity links:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an identity link unless an active one already ties this QBO customer to the lead
+   * @param {Object} linkData - leadId, qboCustomerId, contactId and linkSource (e.g. Auto Match, Manual)
+   * @returns {Object} Existing or created identity link
+   */
+  async saveIdentityLink(linkData) {
+    try {
+      const { leadId, qboCustomerId, contactId, linkSource = 'Manual' } = linkData;
+      
+      if (!leadId || (!qboCustomerId && !contactId)) {
+        throw new Error('An identity link needs a lead ID and a QBO customer ID or contact ID');
+      }
+      
+      const existing = qboCustomerId
+        ? await this.findIdentityLink({ qboCustomerId })
+        : await this.findIdentityLink({ contactId });
+      
+      if (existing && existing.leadId === leadId) {
+        const updateData = {};
+        if (contactId && !existing.contactId) {
+          updateData['Contact ID'] = contactId;
+        }
+        if (qboCustomerId && !existing.qboCustomerId) {
+          updateData['QBO Customer ID'] = qboCustomerId;
+        }
         
-        revenueBySource[leadSource].totalRevenue += paymentAmount;
-        revenueBySource[leadSource].customerCount += 1;
-        revenueBySource[leadSource].averageRevenue = 
-          revenueBySource[leadSource].totalRevenue / revenueBySource[leadSource].customerCount;
-        
-        // Calculate new totals
-        const newTotalRevenue = (currentFields['Total Revenue'] || 0) + paymentAmount;
-        const newCustomerCount = (currentFields['Customer Count'] || 0) + 1;
-        const totalAdSpend = currentFields['Total Ad Spend'] || 0;
-        
-        const updateData = {
-          'Total Revenue': newTotalRevenue,
-          'Customer Count': newCustomerCount,
-          'Average Revenue Per Customer': newTotalRevenue / newCustomerCount,
-          'Revenue by Source': JSON.stringify(revenueBySource),
-          'Net Revenue': newTotalRevenue - totalAdSpend - (currentFields['Total Promo Spend'] || 0),
-          'ROI': totalAdSpend > 0 ? ((newTotalRevenue - totalAdSpend) / totalAdSpend * 100).toFixed(2) + '%' : 'N/A',
-          'Last Updated': new Date().toISOString()
-        };
+        if (Object.keys(updateData).length === 0) {
+          return existing;
+        }
         
-        record = await this.summaryTable.update(existingRecord.getId(), updateData);
-        console.log('Monthly summary updated with new payment');
-      } else {
-        // Create new record with initial payment
-        const revenueBySource = {
-          [leadSource]: {
-            totalRevenue: paymentAmount,
-            customerCount: 1,
-            averageRevenue: paymentAmount
-          }
+        const record = await this.identityLinksTable.update(existing.id, updateData);
+        return this.formatIdentityLink(record);
+      }
+      
+      if (existing) {
+        throw new Error(`Identity link ${existing.id} already ties this customer to lead ${existing.leadId}; break it first`);
+      }
+      
+      const record = await this.identityLinksTable.create({
+        'Lead ID': leadId,
+        'QBO Customer ID': qboCustomerId || '',
+        'Contact ID': contactId || '',
+        'Link Source': linkSource,
+        'Status': 'Active',
+        'Created At': new Date().toISOString()
+      });
+      
+      console.log(`Identity link created: lead ${leadId} <-> QBO customer ${qboCustomerId || 'n/a'} / contact ${contactId || 'n/a'}`);
+      return this.formatIdentityLink(record);
+    } catch (error) {
+      console.error('Error saving identity link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Break an identity link so future payments for the customer go through matching again
+   * Also clears the QBO Customer ID stamped on the lead so it no longer acts as a match signal.
+   * @param {string} recordId - Identity link record ID
+   * @returns {Object|null} Broken identity link or null if not found
+   */
+  async breakIdentityLink(recordId) {
+    try {
+      let link;
+      try {
+        link = this.formatIdentityLink(await this.identityLinksTable.find(recordId));
+      } catch (error) {
+        if (error.statusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+      
+      const record = await this.identityLinksTable.update(recordId, {
+        'Status': 'Broken',
+        'Broken At': new Date().toISOString()
+      });
+      
+      if (link.qboCustomerId) {
+        const lead = await this.getLeadById(link.leadId);
+        if (lead && lead.fields['QBO Customer ID'] === link.qboCustomerId) {
+          await this.leadsTable.update(lead.id, { 'QBO Customer ID': '' });
+        }
+      }
+      
+      console.log(`Identity link ${recordId} broken`);
+      return this.formatIdentityLink(record);
+    } catch (error) {
+      console.error('Error breaking identity link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert an Identity Links record into a plain object
+   * @param {Object} record - Airtable record
+   * @returns {Object} Identity link data
+   */
+  formatIdentityLink(record) {
+    return {
+      id: record.getId(),
+      leadId: record.fields['Lead ID'],
+      qboCustomerId: record.fields['QBO Customer ID'] || null,
+      contactId: record.fields['Contact ID'] || null,
+      linkSource: record.fields['Link Source'],
+      status: record.fields['Status'],
+      createdAt: record.fields['Created At'],
+      brokenAt: record.fields['Broken At'] || null
+    };
+  }
+
+  /**
+   * Record a webhook event, or return the existing record if the event key was seen before
+   * Airtable can't enforce a unique key, so two deliveries arriving together may both create a record.
+   * After creating, the key is looked up again and only the first record Airtable created counts as new;
+   * a later copy is deleted and reported as a duplicate of it.
+   * @param {Object} event - { eventKey, source, eventType, entityId, payload }
+   * @returns {Object} Webhook event data, plus isNew (false when the key already existed)
+   */
+  async saveWebhookEvent(event) {
+    const keyFormula = `{Event Key} = ${formulaString(event.eventKey)}`;
+    
+    try {
+      const existingRecords = await this.webhookEventsTable.select({
+        filterByFormula: keyFormula,
+        maxRecords: 1
+      }).firstPage();
+      
+      if (existingRecords.length > 0) {
+        return {
+          ...this.formatWebhookEvent(existingRecords[0]),
+          isNew: false
         };
-        
-        const recordData = {
-          'Month': month,
-          'Year': year,
-          'Period': period,
-          'Total Revenue': paymentAmount,
-          'Total Ad Spend': 0, // Will be updated by scheduled job
-          'Total Promo Spend': 0,
-          'Net Revenue': paymentAmount,
-          'Customer Count': 1,
-          'Average Revenue Per Customer': paymentAmount,
-          'Revenue by Source': JSON.stringify(revenueBySource),
-          'ROI': 'N/A', // Will be calculated when ad spend is added
-          'Created At': new Date().toISOString(),
-          'Last Updated': new Date().toISOString()
+      }
+      
+      const record = await this.webhookEventsTable.create({
+        'Event Key': event.eventKey,
+        'Source': event.source,
+        'Event Type': event.eventType,
+        'Entity ID': event.entityId ? String(event.entityId) : '',
+        'Payload': event.payload ? JSON.stringify(event.payload) : '',
+        'Status': 'Received',
+        'Attempts': 1,
+        'Duplicate Count': 0,
+        'Received At': new Date().toISOString(),
+        'Last Updated': new Date().toISOString()
+      });
+      
+      const copies = await this.webhookEventsTable.select({ filterByFormula: keyFormula }).all();
+      const first = copies.sort(byCreation)[0];
+      if (first && first.getId() !== record.getId()) {
+        console.log(`Webhook event ${event.eventKey} was stored concurrently as ${first.getId()}, dropping ${record.getId()}`);
+        await this.webhookEventsTable.destroy(record.getId());
+        return {
+          ...this.formatWebhookEvent(first),
+          isNew: false
         };
-        
-        record = await this.summaryTable.create(recordData);
-        console.log('Monthly summary created with initial payment');
       }
       
       return {
-        id: record.getId(),
-        fields: record.fields
+        ...this.formatWebhookEvent(record),
+        isNew: true
       };
     } catch (error) {
-      console.error('Error updating monthly summary with payment:', error);
+      console.error('Error saving webhook event:', error);
       throw error;
     }
   }
 
   /**
-   * Get all leads for a specific month
-   * @param {number} month - Month (1-12)
-   * @param {number} year - Year
-   * @returns {Array} Array of lead records
+   * Update the processing status of a webhook event
+   * @param {string} recordId - Airtable record ID
+   * @param {string} status - Received, Processed, Failed or Skipped
+   * @param {Object} details - Optional { error, attempts, replayed }
+   * @returns {Object} Updated webhook event data
    */
-  async getLeadsByMonth(month, year) {
+  async updateWebhookEventStatus(recordId, status, details = {}) {
     try {
-      const startDate = new Date(year, month - 1, 1).toISOString().split('T')[0];
-      const endDate = new Date(year, month, 0).toISOString().split('T')[0];
+      const updateData = {
+        'Status': status,
+        'Last Updated': new Date().toISOString()
+      };
       
-      return await this.getLeadsWithPayments(startDate, endDate);
+      if (details.error !== undefined) {
+        updateData['Error'] = details.error;
+      }
+      
+      if (details.attempts !== undefined) {
+        updateData['Attempts'] = details.attempts;
+      }
+      
+      if (status === 'Processed' || status === 'Skipped') {
+        updateData['Processed At'] = new Date().toISOString();
+      }
+      
+      if (details.replayed) {
+        updateData['Last Replayed At'] = new Date().toISOString();
+      }
+      
+      const record = await this.webhookEventsTable.update(recordId, updateData);
+      return this.formatWebhookEvent(record);
     } catch (error) {
-      console.error('Error fetching leads by month:', error);
+      console.error('Error updating webhook event status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single webhook event by record ID
+   * @param {string} recordId - Airtable record ID
+   * @returns {Object|null} Webhook event data or null if not found
+   */
+  async getWebhookEvent(recordId) {
+    try {
+      const record = await this.webhookEventsTable.find(recordId);
+      return this.formatWebhookEvent(record);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error fetching webhook event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List webhook events
+   * Payloads are left out unless includePayload is set, since they carry customer details.
+   * @param {Object} filters - Optional { status, source, startDate, endDate, includePayload } (dates are YYYY-MM-DD, inclusive)
+   * @returns {Array} Array of webhook events, newest first
+   */
+  async getWebhookEvents(filters = {}) {
+    checkFilter('status', filters.status, WEBHOOK_EVENT_STATUSES);
+    checkFilter('source', filters.source, WEBHOOK_EVENT_SOURCES);
+    checkDate('startDate', filters.startDate);
+    checkDate('endDate', filters.endDate);
+    
+    try {
+      const conditions = [];
+      
+      if (filters.status) {
+        conditions.push(`{Status} = ${formulaString(filters.status)}`);
+      }
+      
+      if (filters.source) {
+        conditions.push(`{Source} = ${formulaString(filters.source)}`);
+      }
+      
+      if (filters.startDate) {
+        conditions.push(`NOT(IS_BEFORE({Received At}, ${formulaString(filters.startDate)}))`);
+      }
+      
+      if (filters.endDate) {
+        conditions.push(`IS_BEFORE({Received At}, DATEADD(${formulaString(filters.endDate)}, 1, 'days'))`);
+      }
+      
+      const selectOptions = {
+        sort: [{ field: 'Received At', direction: 'desc' }]
+      };
+      
+      if (!filters.includePayload) {
+        selectOptions.fields = WEBHOOK_EVENT_SUMMARY_FIELDS;
+      }
+      
+      if (conditions.length > 0) {
+        selectOptions.filterByFormula = `AND(${conditions.join(', ')})`;
+      }
+      
+      const records = await this.webhookEventsTable.select(selectOptions).all();
+      return records.map(record => this.formatWebhookEvent(record));
+    } catch (error) {
+      console.error('Error fetching webhook events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a replayed delivery of an event that has already been handled
+   * @param {string} recordId - Airtable record ID
+   * @param {number} duplicateCount - Current duplicate count
+   * @returns {Object} Updated webhook event data
+   */
+  async markWebhookEventDuplicate(recordId, duplicateCount = 0) {
+    try {
+      const record = await this.webhookEventsTable.update(recordId, {
+        'Duplicate Count': duplicateCount + 1,
+        'Last Seen At': new Date().toISOString()
+      });
+      return this.formatWebhookEvent(record);
+    } catch (error) {
+      console.error('Error marking webhook event duplicate:', error);
       throw error;
     }
   }
 
+  /**
+   * Convert a Webhook Events record into a plain object
+   * @param {Object} record - Airtable record
+   * @returns {Object} Webhook event data
+   */
+  formatWebhookEvent(record) {
+    let payload = null;
+    try {
+      payload = JSON.parse(record.fields['Payload'] || 'null');
+    } catch (e) {
+      console.log(`Could not parse payload for webhook event ${record.getId()}`);
+    }
+    
+    return {
+      id: record.getId(),
+      eventKey: record.fields['Event Key'],
+      source: record.fields['Source'],
+      eventType: record.fields['Event Type'],
+      entityId: record.fields['Entity ID'] || null,
+      status: record.fields['Status'],
+      attempts: record.fields['Attempts'] || 1,
+      duplicateCount: record.fields['Duplicate Count'] || 0,
+      error: record.fields['Error'] || null,
+      receivedAt: record.fields['Received At'],
+      processedAt: record.fields['Processed At'] || null,
+      lastReplayedAt: record.fields['Last Replayed At'] || null,
+      lastUpdated: record.fields['Last Updated'] || null,
+      payload
+    };
+  }
+
   /**
    * Get QuickBooks OAuth tokens from Airtable
    * @param {string} service - Service name (e.g., 'QuickBooks')
@@ -583,4 +3078,64 @@ class AirtableAPI {
   }
 }
 
+/**
+ * Order records by when Airtable created them, then by ID, so every caller picks the same first record
+ */
+function byCreation(a, b) {
+  const aCreated = (a._rawJson && a._rawJson.createdTime) || '';
+  const bCreated = (b._rawJson && b._rawJson.createdTime) || '';
+  if (aCreated !== bCreated) {
+    return aCreated < bCreated ? -1 : 1;
+  }
+  
+  return a.getId() < b.getId() ? -1 : a.getId() > b.getId() ? 1 : 0;
+}
+
+/**
+ * Quote a value as an Airtable formula string, so user input can't end the string or change the formula
+ */
+function formulaString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Check an optional filter value against the values it can take
+ * @throws {Error} With statusCode 400 when the value isn't one of them
+ */
+function checkFilter(name, value, allowed) {
+  if (value !== undefined && value !== null && value !== '' && !allowed.includes(value)) {
+    throw badRequest(`${name} must be one of ${allowed.join(', ')}`);
+  }
+}
+
+/**
+ * Check an optional date filter is a YYYY-MM-DD date
+ * @throws {Error} With statusCode 400 when it isn't
+ */
+function checkDate(name, value) {
+  if (value !== undefined && value !== null && value !== '' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw badRequest(`${name} must be a YYYY-MM-DD date`);
+  }
+}
+
+/**
+ * Check an optional timestamp filter is a YYYY-MM-DD date or an ISO 8601 timestamp
+ * @throws {Error} With statusCode 400 when it isn't
+ */
+function checkTimestamp(name, value) {
+  if (value !== undefined && value !== null && value !== '' &&
+      !/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(value)) {
+    throw badRequest(`${name} must be a YYYY-MM-DD date or an ISO 8601 timestamp`);
+  }
+}
+
+/**
+ * Error returned to the caller as a 400
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
 module.exports = AirtableAPI;
\ No newline at end of file
@@ -0,0 +1,205 @@
+require('dotenv').config();
+
+/**
+ * Supported attribution models for revenue by source
+ * lead-source credits the lead's current Lead Source (no touchpoint history needed).
+ */
+const ATTRIBUTION_MODELS = ['lead-source', 'first-touch', 'last-touch', 'linear', 'time-decay'];
+
+/**
+ * Multi-touch attribution
+ * Records a touchpoint history per lead (from repeated GHL webhooks and HCP tag changes)
+ * and splits payment and refund credit across those touchpoints.
+ */
+class TouchpointAttribution {
+  /**
+   * @param {AirtableAPI} airtable - Airtable client used to store touchpoints
+   * @param {Object} options - Attribution options
+   * @param {number} options.halfLifeDays - Time-decay half-life; a touch this many days before the payment gets half the weight
+   */
+  constructor(airtable, options = {}) {
+    this.airtable = airtable;
+    this.halfLifeDays = options.halfLifeDays
+      || parseFloat(process.env.ATTRIBUTION_HALF_LIFE_DAYS)
+      || 7;
+  }
+
+  /**
+   * Record the touchpoints a lead webhook reveals: its lead source and any newly added tags that name a source
+   * Tag touches are recorded with the webhook's system as their origin (GHL Tag, HCP Tag).
+   * A touch is skipped when the lead's latest touch already has the same source, so repeated webhooks don't pile up.
+   * Never throws - a touchpoint failure must not fail the lead webhook.
+   * @param {Object} leadRecord - Result of AirtableAPI.upsertLead
+   * @param {Object} customerData - Customer data the lead was written from
+   * @param {string} origin - Where the touch came from (GHL Webhook, HCP Webhook)
+   * @returns {Array} Touchpoints recorded
+   */
+  async recordLeadTouchpoints(leadRecord, customerData, origin) {
+    try {
+      const history = await this.airtable.getTouchpointsForLead(leadRecord.id);
+      const candidates = [];
+      const lastTouch = customerData.attribution?.lastTouch || customerData.attribution?.firstTouch;
+      const leadSource = this.airtable.leadSources.normalize(customerData.leadSource);
+      
+      if (leadSource.matchedBy !== 'empty') {
+        candidates.push({
+          leadSource: leadSource.leadSource,
+          origin,
+          touchDate: this.parseTouchDate(lastTouch?.timestamp),
+          campaign: lastTouch?.campaign || '',
+          medium: lastTouch?.medium || '',
+          rawValue: customerData.leadSource
+        });
+      }
+      
+      // Tags added since the last webhook (e.g. "Yard Sign", "Mailer") are touches too. Only tags that are
+      // exactly a catalog name or alias count: "Google Review Requested" is a workflow tag, not a Google Ads touch.
+      const previousTags = this.parseTags(leadRecord.previousFields?.['Tags']);
+      const tagOrigin = origin.replace(/ Webhook$/, '') + ' Tag';
+      for (const tag of this.parseTags(customerData.tags)) {
+        if (previousTags.includes(tag)) continue;
+        
+        const tagSource = this.airtable.leadSources.normalize(tag);
+        if (tagSource.matchedBy !== 'exact' && tagSource.matchedBy !== 'alias') continue;
+        
+        candidates.push({
+          leadSource: tagSource.leadSource,
+          origin: tagOrigin,
+          touchDate: new Date().toISOString(),
+          campaign: '',
+          medium: '',
+          rawValue: tag
+        });
+      }
+      
+      const recorded = [];
+      let latest = history[history.length - 1];
+      for (const touch of candidates) {
+        if (latest && latest.leadSource === touch.leadSource) continue;
+        
+        recorded.push(await this.airtable.saveTouchpoint(leadRecord.id, customerData.name, touch));
+        latest = touch;
+      }
+      
+      if (recorded.length > 0) {
+        console.log(`Recorded ${recorded.length} touchpoint(s) for lead ${leadRecord.id}: ${recorded.map(touch => touch.leadSource).join(', ')}`);
+      }
+      
+      return recorded;
+    } catch (error) {
+      console.error(`Error recording touchpoints for lead ${leadRecord.id}:`, error);
+      // Don't throw - the lead itself has already been saved
+      return [];
+    }
+  }
+
+  /**
+   * Aggregate payments and refunds by source under an attribution model
+   * Leads without touchpoints are credited to their Lead Source.
+   * @param {Array} payments - Ledger payment records
+   * @param {Array} refunds - Refund records
+   * @param {string} model - One of ATTRIBUTION_MODELS
+   * @returns {Object} Same shape as AirtableAPI.aggregateRevenueBySource, with fractional payment counts for split credit
+   */
+  async attributeRevenue(payments, refunds, model = 'lead-source') {
+    if (!ATTRIBUTION_MODELS.includes(model)) {
+      throw new Error(`Unknown attribution model: ${model}`);
+    }
+    
+    if (model === 'lead-source') {
+      return this.airtable.aggregateRevenueBySource(payments, refunds);
+    }
+    
+    const touchpointsByLead = await this.airtable.getTouchpointsForLeads(
+      [...payments, ...refunds].map(record => record.fields['Lead ID'])
+    );
+    
+    const split = (record, dateField) => {
+      const touchpoints = touchpointsByLead[record.fields['Lead ID']] || [];
+      return this.allocate(touchpoints, record.fields[dateField], model, record.fields['Lead Source']).map(credit => ({
+        ...record,
+        weight: credit.weight,
+        fields: { ...record.fields, 'Lead Source': credit.leadSource }
+      }));
+    };
+    
+    return this.airtable.aggregateRevenueBySource(
+      payments.flatMap(payment => split(payment, 'Payment Date')),
+      refunds.flatMap(refund => split(refund, 'Refund Date'))
+    );
+  }
+
+  /**
+   * Split one payment's credit across a lead's touchpoints
+   * Touches after the payment date are ignored unless there are no earlier ones.
+   * @param {Array} touchpoints - Lead touchpoints, oldest first
+   * @param {string} creditDate - Payment or refund date
+   * @param {string} model - Attribution model
+   * @param {string} fallbackSource - Source credited when the lead has no touchpoints
+   * @returns {Array} [{ leadSource, weight }] with weights summing to 1
+   */
+  allocate(touchpoints, creditDate, model, fallbackSource) {
+    const creditTime = creditDate ? new Date(creditDate).getTime() : Date.now();
+    const beforeCredit = touchpoints.filter(touch => new Date(touch.touchDate).getTime() <= creditTime);
+    const touches = beforeCredit.length > 0 ? beforeCredit : touchpoints;
+    
+    if (touches.length === 0) {
+      return [{ leadSource: fallbackSource || 'Unknown', weight: 1 }];
+    }
+    
+    let weights;
+    switch (model) {
+      case 'first-touch':
+        weights = touches.map((touch, index) => (index === 0 ? 1 : 0));
+        break;
+      case 'last-touch':
+        weights = touches.map((touch, index) => (index === touches.length - 1 ? 1 : 0));
+        break;
+      case 'linear':
+        weights = touches.map(() => 1);
+        break;
+      case 'time-decay':
+        weights = touches.map(touch => {
+          const ageDays = Math.max(0, creditTime - new Date(touch.touchDate).getTime()) / (24 * 60 * 60 * 1000);
+          return Math.pow(0.5, ageDays / this.halfLifeDays);
+        });
+        break;
+      default:
+        throw new Error(`Unknown attribution model: ${model}`);
+    }
+    
+    // Merge touches from the same source and normalize weights to sum to 1
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const bySource = {};
+    touches.forEach((touch, index) => {
+      if (weights[index] === 0) return;
+      bySource[touch.leadSource] = (bySource[touch.leadSource] || 0) + weights[index] / total;
+    });
+    
+    return Object.entries(bySource).map(([leadSource, weight]) => ({ leadSource, weight }));
+  }
+
+  /**
+   * Parse a touch timestamp (ISO string or epoch milliseconds), defaulting to now
+   */
+  parseTouchDate(value) {
+    const date = value ? new Date(isNaN(value) ? value : Number(value)) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : new Date().toISOString();
+  }
+
+  /**
+   * Split tags given as an array, comma-separated string or mix of both
+   */
+  parseTags(tags) {
+    if (!tags) return [];
+    
+    return (Array.isArray(tags) ? tags : [tags])
+      .flatMap(tag => String(tag).split(','))
+      .map(tag => tag.trim())
+      .filter(Boolean);
+  }
+}
+
+TouchpointAttribution.MODELS = ATTRIBUTION_MODELS;
+
+module.exports = TouchpointAttribution;
@@ -0,0 +1,280 @@
+require('dotenv').config();
+
+// Longest range one backfill call will process
+const MAX_MONTHS = 60;
+
+// Differences smaller than half a cent are rounding, not corrections
+const TOLERANCE = 0.005;
+
+/**
+ * Recomputes Monthly Summary rows over a range of months
+ * Revenue comes from the payment and refund ledgers and ad spend from QuickBooks (via AdSpendSync);
+ * each month is diffed against its stored row and only months that differ are rewritten.
+ */
+class SummaryBackfill {
+  /**
+   * @param {AirtableAPI} airtable - Airtable client
+   * @param {AdSpendSync} adSpend - Ad spend sync used to fetch each month's spend from QuickBooks
+   */
+  constructor(airtable, adSpend) {
+    this.airtable = airtable;
+    this.adSpend = adSpend;
+  }
+
+  /**
+   * Recompute every month from start to end (inclusive)
+   * A failing month is reported and the backfill moves on to the next one.
+   * @param {Object} params - Backfill parameters
+   * @param {string} params.start - First month (YYYY-MM)
+   * @param {string} params.end - Last month (YYYY-MM)
+   * @param {boolean} params.dryRun - Report the corrections without writing them
+   * @param {boolean} params.includeAdSpend - Recompute ad spend from QuickBooks (false keeps the stored spend)
+   * @returns {Object} { start, end, dryRun, includeAdSpend, counts, months }
+   */
+  async run({ start, end, dryRun = false, includeAdSpend = true }) {
+    const periods = SummaryBackfill.listPeriods(start, end);
+    console.log(`Backfilling ${periods.length} monthly summaries (${start}..${end})${dryRun ? ' [dry run]' : ''}`);
+    
+    // Connect before any dry run starts, so a token refresh is saved rather than captured
+    if (includeAdSpend) {
+      await this.adSpend.ensureConnected();
+    }
+    
+    const months = [];
+    for (const { month, year, period } of periods) {
+      try {
+        months.push(await this.backfillMonth(month, year, { dryRun, includeAdSpend }));
+      } catch (error) {
+        console.error(`Error backfilling monthly summary ${period}:`, error);
+        months.push({ period, status: 'failed', error: error.message, changes: [] });
+      }
+    }
+    
+    const counts = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+    months.forEach(result => {
+      counts[result.status]++;
+    });
+    
+    console.log(`✅ Backfill ${start}..${end} complete:`, counts);
+    
+    return {
+      start,
+      end,
+      dryRun,
+      includeAdSpend,
+      counts,
+      months
+    };
+  }
+
+  /**
+   * Recompute one month, diff it against the stored row and write the corrections
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @param {Object} options - { dryRun, includeAdSpend }
+   * @returns {Object} { period, status, recordId, changes, unmappedAccounts, sourceMetrics, writes }
+   */
+  async backfillMonth(month, year, { dryRun = false, includeAdSpend = true } = {}) {
+    const period = `${year}-${String(month).padStart(2, '0')}`;
+    
+    const revenue = await this.airtable.computeMonthlyRevenue(month, year);
+    const adSpend = includeAdSpend ? await this.adSpend.fetchAdSpend(month, year) : null;
+    const adSpendBySource = adSpend ? adSpend.adSpendBySource : null;
+    const amortized = adSpend
+      ? await this.adSpend.schedules.getAmortizedSpend(month, year, adSpend.lines, adSpend.adSpendBySource)
+      : null;
+    const unmappedAccounts = adSpend ? adSpend.unmappedAccounts : [];
+    
+    const existingRecords = await this.airtable.summaryTable.select({
+      filterByFormula: `{Period} = '${period}'`,
+      maxRecords: 1
+    }).firstPage();
+    const existing = existingRecords[0] || null;
+    const currentFields = existing ? existing.fields : {};
+    
+    const fields = this.buildSummaryFields(currentFields, revenue, adSpendBySource, amortized ? amortized.amortizedBySource : null);
+    const changes = this.diffSummary(currentFields, fields);
+    
+    if (existing && changes.length === 0) {
+      console.log(`Monthly summary ${period} is up to date`);
+      return { period, status: 'unchanged', recordId: existing.getId(), changes, unmappedAccounts };
+    }
+    
+    const write = async () => {
+      if (existing) {
+        return await this.airtable.summaryTable.update(existing.getId(), {
+          ...fields,
+          'Last Updated': new Date().toISOString()
+        });
+      }
+      
+      return await this.airtable.summaryTable.create({
+        'Month': month,
+        'Year': year,
+        'Period': period,
+        'Total Promo Spend': 0,
+        ...fields,
+        'Created At': new Date().toISOString()
+      });
+    };
+    
+    let record;
+    let writes = null;
+    let sourceMetrics = null;
+    if (dryRun) {
+      const preview = await this.airtable.dryRun(write);
+      record = preview.result;
+      writes = preview.writes;
+    } else {
+      record = await write();
+      
+      // Source metrics read the summary row back, so they're only refreshed once it's written
+      sourceMetrics = await this.airtable.refreshSourceMetrics(month, year);
+    }
+    
+    const status = existing ? 'updated' : 'created';
+    console.log(`Monthly summary ${period} ${status}${dryRun ? ' [dry run]' : ''} with ${changes.length} change(s)`);
+    
+    return {
+      period,
+      status,
+      recordId: record.getId(),
+      changes,
+      unmappedAccounts,
+      sourceMetrics,
+      writes
+    };
+  }
+
+  /**
+   * Build the recomputed Monthly Summary fields
+   * @param {Object} currentFields - Stored summary fields ({} for a new row)
+   * @param {Object} revenue - Result of AirtableAPI.computeMonthlyRevenue
+   * @param {Object|null} adSpendBySource - Recomputed spend per lead source, or null to keep the stored spend
+   * @param {Object|null} amortizedBySource - Recomputed amortized spend per lead source, or null to keep the stored amortized spend
+   * @returns {Object} Airtable fields
+   */
+  buildSummaryFields(currentFields, revenue, adSpendBySource, amortizedBySource = null) {
+    const totalAdSpend = adSpendBySource
+      ? Object.values(adSpendBySource).reduce((sum, amount) => sum + amount, 0)
+      : (currentFields['Total Ad Spend'] || 0);
+    
+    const fields = {
+      'Gross Revenue': revenue.grossRevenue,
+      'Total Refunds': revenue.totalRefunds,
+      'Total Revenue': revenue.totalRevenue,
+      'Customer Count': revenue.customerCount,
+      'Average Revenue Per Customer': revenue.averageRevenuePerCustomer,
+      'Revenue by Source': JSON.stringify(revenue.revenueBySource),
+      'Total Ad Spend': totalAdSpend,
+      'Net Revenue': revenue.totalRevenue - totalAdSpend - (currentFields['Total Promo Spend'] || 0),
+      ...this.airtable.formatROIFields(revenue.totalRevenue, totalAdSpend)
+    };
+    
+    if (adSpendBySource) {
+      fields['Ad Spend by Category'] = JSON.stringify(adSpendBySource);
+      fields['Ad Spend Updated'] = new Date().toISOString();
+    }
+    
+    if (amortizedBySource) {
+      Object.assign(fields, this.airtable.formatAmortizedFields(revenue.totalRevenue, amortizedBySource));
+    } else {
+      Object.assign(fields, this.airtable.formatAmortizedROIFields(revenue.totalRevenue, currentFields));
+    }
+    
+    return fields;
+  }
+
+  /**
+   * List the differences between a stored summary and its recomputed fields
+   * Per-source revenue and ad spend are compared source by source.
+   * @param {Object} currentFields - Stored summary fields ({} for a new row)
+   * @param {Object} fields - Recomputed fields from buildSummaryFields
+   * @returns {Array} Changes as { field, source, before, after }
+   */
+  diffSummary(currentFields, fields) {
+    const changes = [];
+    const isNew = Object.keys(currentFields).length === 0;
+    
+    // A new row reports every field it will get
+    const compare = (field, before, after, source = null) => {
+      if (isNew || Math.abs((before || 0) - (after || 0)) >= TOLERANCE) {
+        changes.push({ field, ...(source ? { source } : {}), before: before ?? null, after });
+      }
+    };
+    
+    compare('Gross Revenue', this.airtable.getSummaryGrossRevenue(currentFields), fields['Gross Revenue']);
+    ['Total Refunds', 'Total Revenue', 'Customer Count', 'Average Revenue Per Customer', 'Total Ad Spend', 'Net Revenue'].forEach(field => {
+      compare(field, currentFields[field], fields[field]);
+    });
+    
+    // Per-source net revenue
+    const storedRevenue = this.airtable.parseRevenueBySource(currentFields);
+    const revenueBySource = JSON.parse(fields['Revenue by Source']);
+    new Set([...Object.keys(storedRevenue), ...Object.keys(revenueBySource)]).forEach(source => {
+      const before = storedRevenue[source] ? (storedRevenue[source].netRevenue ?? storedRevenue[source].totalRevenue) : null;
+      const after = revenueBySource[source] ? revenueBySource[source].netRevenue : 0;
+      compare('Revenue by Source', before, after, source);
+    });
+    
+    // Per-source ad spend; stored spend may be keyed on raw account names
+    if (fields['Ad Spend by Category']) {
+      const storedSpend = {};
+      try {
+        Object.entries(JSON.parse(currentFields['Ad Spend by Category'] || '{}')).forEach(([category, amount]) => {
+          const source = this.airtable.leadSources.resolve(category);
+          storedSpend[source] = (storedSpend[source] || 0) + (parseFloat(amount) || 0);
+        });
+      } catch (error) {
+        console.log('Could not parse stored Ad Spend by Category, treating it as empty');
+      }
+      
+      const adSpendBySource = JSON.parse(fields['Ad Spend by Category']);
+      new Set([...Object.keys(storedSpend), ...Object.keys(adSpendBySource)]).forEach(source => {
+        compare('Ad Spend by Category', storedSpend[source] ?? null, adSpendBySource[source] || 0, source);
+      });
+    }
+    
+    if (fields['Total Amortized Ad Spend'] !== undefined) {
+      compare('Total Amortized Ad Spend', currentFields['Total Amortized Ad Spend'], fields['Total Amortized Ad Spend']);
+    }
+    
+    return changes;
+  }
+
+  /**
+   * Expand a YYYY-MM range into the months it covers
+   * @param {string} start - First month (YYYY-MM)
+   * @param {string} end - Last month (YYYY-MM)
+   * @returns {Array} [{ month, year, period }]
+   */
+  static listPeriods(start, end) {
+    const parse = value => {
+      const match = String(value || '').match(/^(\d{4})-(\d{1,2})$/);
+      if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+        throw new Error(`Invalid month "${value}" - expected YYYY-MM`);
+      }
+      return Number(match[1]) * 12 + Number(match[2]) - 1;
+    };
+    
+    const first = parse(start);
+    const last = parse(end);
+    if (last < first) {
+      throw new Error(`Backfill range ends (${end}) before it starts (${start})`);
+    }
+    if (last - first + 1 > MAX_MONTHS) {
+      throw new Error(`Backfill range covers ${last - first + 1} months - at most ${MAX_MONTHS} per run`);
+    }
+    
+    const periods = [];
+    for (let index = first; index <= last; index++) {
+      const year = Math.floor(index / 12);
+      const month = (index % 12) + 1;
+      periods.push({ month, year, period: `${year}-${String(month).padStart(2, '0')}` });
+    }
+    
+    return periods;
+  }
+}
+
+module.exports = SummaryBackfill;
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const defaultCatalog = require('../config/lead-sources.json');
+const Utils = require('./utils');
+require('dotenv').config();
+
+/**
+ * Canonical lead source catalog
+ * Reconciles free-text lead sources from GHL/HCP and QBO expense account names
+ * to one vocabulary so revenue and ad spend line up per source.
+ */
+class LeadSourceCatalog {
+  /**
+   * @param {Object} catalog - Catalog definition; defaults to LEAD_SOURCE_CATALOG_PATH or src/config/lead-sources.json
+   */
+  constructor(catalog = null) {
+    const definition = catalog || this.loadCatalog();
+    
+    this.defaultSource = definition.default || 'Unknown';
+    this.fuzzyThreshold = parseFloat(process.env.LEAD_SOURCE_FUZZY_THRESHOLD) || definition.fuzzyThreshold || 0.8;
+    this.sources = (definition.sources || []).map(source => source.name);
+    
+    // Every name and alias, keyed on its compact form ("Google PPC" -> "googleppc")
+    this.entries = [];
+    this.byKey = new Map();
+    for (const source of definition.sources || []) {
+      for (const label of [source.name, ...(source.aliases || [])]) {
+        const key = this.toKey(label);
+        if (!key || this.byKey.has(key)) continue;
+        
+        const entry = { key, label, leadSource: source.name, isAlias: label !== source.name };
+        this.entries.push(entry);
+        this.byKey.set(key, entry);
+      }
+    }
+    
+    // Very short aliases ("FB", "GHL") are too ambiguous to match inside longer values, and the default
+    // source names no channel, so "unknown caller" stays as received
+    this.partialEntries = new Map(this.entries
+      .filter(entry => entry.key.length >= 4 && entry.leadSource !== this.defaultSource)
+      .map(entry => [entry.key, entry]));
+  }
+
+  /**
+   * Load the catalog from LEAD_SOURCE_CATALOG_PATH, falling back to the bundled catalog
+   * @returns {Object} Catalog definition
+   */
+  loadCatalog() {
+    const catalogPath = process.env.LEAD_SOURCE_CATALOG_PATH;
+    if (!catalogPath) {
+      return defaultCatalog;
+    }
+    
+    try {
+      return JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+    } catch (error) {
+      console.error(`Error loading lead source catalog from ${catalogPath}, using defaults:`, error);
+      return defaultCatalog;
+    }
+  }
+
+  /**
+   * Map a raw lead source or account name to its canonical lead source
+   * Tries exact name or alias, then a name or alias making up whole words of the value, then fuzzy matching.
+   * Values that match nothing are kept as-is (trimmed) so no information is lost.
+   * @param {string} value - Raw lead source ("google ads", "GoogleAds", "Angi Leads") or QBO account name
+   * @returns {Object} { leadSource, matchedBy, input, score } - matchedBy is exact, alias, partial, fuzzy, unmapped or empty
+   */
+  normalize(value) {
+    const input = value === undefined || value === null ? '' : String(value).trim();
+    const key = this.toKey(input);
+    
+    if (!key) {
+      return { leadSource: this.defaultSource, matchedBy: 'empty', input, score: 0 };
+    }
+    
+    const exact = this.byKey.get(key);
+    if (exact) {
+      return { leadSource: exact.leadSource, matchedBy: exact.isAlias ? 'alias' : 'exact', input, score: 1 };
+    }
+    
+    const partial = this.findPartialMatch(input);
+    if (partial) {
+      return { leadSource: partial.leadSource, matchedBy: 'partial', input, score: partial.key.length / key.length };
+    }
+    
+    if (key.length >= 4) {
+      const fuzzy = Utils.findBestMatch(key, this.entries, this.fuzzyThreshold, 'key');
+      if (fuzzy) {
+        return { leadSource: fuzzy.item.leadSource, matchedBy: 'fuzzy', input, score: fuzzy.score };
+      }
+    }
+    
+    return { leadSource: input, matchedBy: 'unmapped', input, score: 0 };
+  }
+
+  /**
+   * Find the name or alias that makes up whole words of a value
+   * Only runs of whole words are compared ("GoogleAds" and "Google Ads" both count), so "Metal Roof" is not Meta.
+   * The earliest match wins, then the longest, so "Google Ads Advertising" is Google Ads, not General Advertising.
+   * @param {string} value - Raw value
+   * @returns {Object|null} Matching catalog entry
+   */
+  findPartialMatch(value) {
+    const words = String(value).toLowerCase().replace(/&/g, ' and ').split(/[^a-z0-9]+/).filter(Boolean);
+    
+    for (let start = 0; start < words.length; start++) {
+      let best = null;
+      let run = '';
+      for (let end = start; end < words.length; end++) {
+        run += words[end];
+        const entry = this.partialEntries.get(run);
+        if (entry) {
+          best = entry;
+        }
+      }
+      
+      if (best) {
+        return best;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Canonical lead source for a raw value
+   * @param {string} value - Raw lead source or account name
+   * @returns {string} Canonical lead source (or the trimmed value if unmapped)
+   */
+  resolve(value) {
+    return this.normalize(value).leadSource;
+  }
+
+  /**
+   * Whether a lead source is one of the catalog's canonical names
+   */
+  isCanonical(leadSource) {
+    return this.sources.includes(leadSource);
+  }
+
+  /**
+   * Catalog contents for display
+   * @returns {Array} [{ name, aliases }]
+   */
+  list() {
+    return this.sources.map(name => ({
+      name,
+      aliases: this.entries.filter(entry => entry.leadSource === name && entry.isAlias).map(entry => entry.label)
+    }));
+  }
+
+  /**
+   * Compact comparison key: lowercase letters and digits only ("Angie's List" -> "angieslist")
+   */
+  toKey(value) {
+    return String(value || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]/g, '');
+  }
+}
+
+module.exports = LeadSourceCatalog;
@@ -0,0 +1,473 @@
+const axios = require('axios');
+const crypto = require('crypto');
+require('dotenv').config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ad platforms revenue is reported back to, with the click ID each one needs and how old a conversion
+ * it still accepts (Google Ads takes conversions up to 90 days after the click; Meta's Conversions API only
+ * events from the last 7 days)
+ */
+const CONVERSION_PLATFORMS = {
+  'Google Ads': { clickId: 'gclid', maxAgeDays: 90, ageFrom: 'click' },
+  'Meta': { clickId: 'fbclid', maxAgeDays: 7, ageFrom: 'event' }
+};
+
+/**
+ * Column headers of the Google Ads offline conversion import template
+ */
+const GOOGLE_CSV_COLUMNS = ['Google Click ID', 'Conversion Name', 'Conversion Time', 'Conversion Value', 'Conversion Currency'];
+
+/**
+ * Offline conversion uploads
+ * When a new payment lands on a lead that came from an ad click, the payment is queued as a conversion for the
+ * platform that sent the click: a Google Ads offline conversion CSV row for a gclid, a Meta Conversions API
+ * Purchase event for an fbclid. The queue lives in the "Offline Conversions" table; queued conversions are
+ * delivered to GOOGLE_ADS_CONVERSIONS_ENDPOINT / META_CAPI_ENDPOINT, and failed ones are retried by flush().
+ */
+class OfflineConversions {
+  /**
+   * @param {AirtableAPI} airtable - Airtable client (the queue table and dry-run state)
+   */
+  constructor(airtable) {
+    this.airtable = airtable;
+    this.currency = process.env.CONVERSION_CURRENCY || 'USD';
+    this.maxAttempts = parseInt(process.env.OFFLINE_CONVERSIONS_MAX_ATTEMPTS) || 5;
+    
+    this.google = {
+      conversionName: process.env.GOOGLE_ADS_CONVERSION_NAME || 'Paid Lead',
+      endpoint: process.env.GOOGLE_ADS_CONVERSIONS_ENDPOINT
+    };
+    
+    this.meta = {
+      pixelId: process.env.META_PIXEL_ID,
+      accessToken: process.env.META_ACCESS_TOKEN,
+      testEventCode: process.env.META_TEST_EVENT_CODE,
+      eventName: process.env.META_CONVERSION_EVENT_NAME || 'Purchase',
+      endpoint: process.env.META_CAPI_ENDPOINT
+        || (process.env.META_PIXEL_ID ? `https://graph.facebook.com/v19.0/${process.env.META_PIXEL_ID}/events` : null)
+    };
+  }
+
+  /**
+   * Queue conversions for a payment applied to a lead
+   * Only new payments on leads with a stored click ID are queued; the payment ID keys the conversion,
+   * so a payment is never reported twice to the same platform.
+   * @param {Object} leadRecord - Lead record from AirtableAPI.updateLeadPayment ({ id, fields, isNewPayment })
+   * @param {Object} paymentData - Payment information from QuickBooks
+   * @returns {Array} Newly queued conversions
+   */
+  async queueForPayment(leadRecord, paymentData) {
+    if (!leadRecord.isNewPayment || leadRecord.fields['Payment Status'] === 'Pending') {
+      return [];
+    }
+    
+    const clicks = this.getClickIds(leadRecord.fields);
+    const conversionTime = this.getConversionTime(paymentData.paymentDate);
+    const value = parseFloat(paymentData.amount) || 0;
+    if (value <= 0) {
+      return [];
+    }
+    
+    const queued = [];
+    for (const [platform, config] of Object.entries(CONVERSION_PLATFORMS)) {
+      const click = clicks[config.clickId];
+      if (!click) continue;
+      
+      if (this.isTooOld(config, click, conversionTime)) {
+        const from = config.ageFrom === 'click' ? 'the click' : 'now';
+        console.log(`Payment ${paymentData.id} is more than ${config.maxAgeDays} days from ${from}, not queued for ${platform}`);
+        continue;
+      }
+      
+      const conversion = {
+        key: `${platform}:${paymentData.id}`,
+        platform,
+        leadId: leadRecord.id,
+        customerName: leadRecord.fields['Customer Name'],
+        paymentId: paymentData.id,
+        clickId: click.id,
+        conversionName: platform === 'Meta' ? this.meta.eventName : this.google.conversionName,
+        value,
+        currency: this.currency,
+        conversionTime: conversionTime.toISOString()
+      };
+      conversion.payload = platform === 'Meta'
+        ? this.buildMetaEvent(conversion, leadRecord.fields, click)
+        : this.buildGoogleRow(conversion);
+      
+      const saved = await this.airtable.saveOfflineConversion(conversion);
+      if (saved.isNew) {
+        console.log(`Queued ${platform} offline conversion for ${conversion.customerName}: ${value} ${this.currency} (payment ${paymentData.id})`);
+        queued.push(saved);
+      }
+    }
+    
+    return queued;
+  }
+
+  /**
+   * Bring unsent conversions for a payment in line with a QuickBooks edit, void or delete
+   * Queued and failed conversions are cancelled when the payment is gone and revalued when its amount changed.
+   * Conversions already sent are left alone (and logged), since the platforms have already counted them.
+   * @param {Object} paymentData - Payment information from QuickBooks
+   * @param {number} amount - The payment's amount now (0 for a void or delete)
+   * @returns {Array} Updated conversions
+   */
+  async adjustForPayment(paymentData, amount) {
+    const conversions = await this.airtable.getOfflineConversions({ paymentId: paymentData.id });
+    
+    const updated = [];
+    for (const conversion of conversions) {
+      if (conversion.status === 'Cancelled' || conversion.value === amount) continue;
+      
+      if (conversion.status === 'Sent') {
+        console.warn(`⚠️  ${conversion.platform} conversion for payment ${paymentData.id} was already sent with value ${conversion.value}, not adjusted`);
+        continue;
+      }
+      
+      if (amount <= 0) {
+        console.log(`Cancelling ${conversion.platform} offline conversion for payment ${paymentData.id}`);
+        updated.push(await this.airtable.updateOfflineConversionStatus(conversion.id, 'Cancelled', {
+          attempts: conversion.attempts
+        }));
+        continue;
+      }
+      
+      console.log(`Revaluing ${conversion.platform} offline conversion for payment ${paymentData.id}: ${conversion.value} → ${amount}`);
+      updated.push(await this.airtable.updateOfflineConversionValue(conversion.id, amount, this.withValue(conversion, amount)));
+    }
+    
+    return updated;
+  }
+
+  /**
+   * A conversion's payload with a new value
+   * @param {Object} conversion - Queued conversion
+   * @param {number} value - New value
+   * @returns {Object} Payload
+   */
+  withValue(conversion, value) {
+    if (conversion.platform === 'Meta') {
+      return { ...conversion.payload, custom_data: { ...conversion.payload.custom_data, value } };
+    }
+    
+    return { ...conversion.payload, 'Conversion Value': value.toFixed(2) };
+  }
+
+  /**
+   * Whether a conversion is outside a platform's window
+   * Google Ads measures from the click (falling back to now when the click time isn't known); Meta from now.
+   * @param {Object} config - Platform from CONVERSION_PLATFORMS
+   * @param {Object} click - { id, clickedAt } from getClickIds
+   * @param {Date} conversionTime - Conversion time
+   * @returns {boolean}
+   */
+  isTooOld(config, click, conversionTime) {
+    const clickedAt = click.clickedAt ? new Date(click.clickedAt).getTime() : NaN;
+    const from = config.ageFrom === 'click' && !Number.isNaN(clickedAt) ? clickedAt : null;
+    
+    return from === null
+      ? Date.now() - conversionTime.getTime() > config.maxAgeDays * DAY_MS
+      : conversionTime.getTime() - from > config.maxAgeDays * DAY_MS;
+  }
+
+  /**
+   * Click IDs stored on a lead, preferring the last touch (the click that brought the lead in most recently)
+   * @param {Object} fields - Lead fields
+   * @returns {Object} { gclid, fbclid } - each { id, clickedAt } or null
+   */
+  getClickIds(fields) {
+    let stored = {};
+    try {
+      stored = JSON.parse(fields['Attribution Data'] || '{}');
+    } catch (error) {
+      // Malformed attribution JSON - fall back to the first-touch fields
+    }
+    
+    const touches = [stored.lastTouch, stored.firstTouch].filter(Boolean);
+    const firstTouchFields = { gclid: fields['GCLID'], fbclid: fields['FBCLID'] };
+    
+    const clicks = {};
+    ['gclid', 'fbclid'].forEach(clickId => {
+      const touch = touches.find(candidate => candidate[clickId]);
+      const id = touch ? touch[clickId] : firstTouchFields[clickId];
+      clicks[clickId] = id ? { id, clickedAt: (touch && touch.timestamp) || fields['Date Created'] || null } : null;
+    });
+    
+    return clicks;
+  }
+
+  /**
+   * Conversion time for a payment date: noon UTC on that day, or now while that is still in the future
+   * (the platforms reject conversions dated in the future)
+   * @param {string} paymentDate - YYYY-MM-DD (or any date string)
+   * @returns {Date} Conversion time
+   */
+  getConversionTime(paymentDate) {
+    const now = new Date();
+    if (!paymentDate) return now;
+    
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(paymentDate) ? new Date(`${paymentDate}T12:00:00Z`) : new Date(paymentDate);
+    if (Number.isNaN(date.getTime()) || date > now) {
+      return now;
+    }
+    
+    return date;
+  }
+
+  /**
+   * Google Ads offline conversion CSV row for a conversion
+   * @param {Object} conversion - Queued conversion
+   * @returns {Object} Row keyed by GOOGLE_CSV_COLUMNS
+   */
+  buildGoogleRow(conversion) {
+    return {
+      'Google Click ID': conversion.clickId,
+      'Conversion Name': conversion.conversionName,
+      'Conversion Time': this.formatGoogleTime(conversion.conversionTime),
+      'Conversion Value': conversion.value.toFixed(2),
+      'Conversion Currency': conversion.currency
+    };
+  }
+
+  /**
+   * Google Ads conversion time, "yyyy-MM-dd HH:mm:ss+0000" (UTC with an explicit offset)
+   */
+  formatGoogleTime(isoTime) {
+    return `${isoTime.slice(0, 10)} ${isoTime.slice(11, 19)}+0000`;
+  }
+
+  /**
+   * Render Google Ads rows as an offline conversion import CSV
+   * @param {Array} rows - Rows from buildGoogleRow
+   * @returns {string} CSV with the template header
+   */
+  toGoogleCsv(rows) {
+    const escape = value => {
+      const text = String(value === undefined || value === null ? '' : value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [GOOGLE_CSV_COLUMNS, ...rows.map(row => GOOGLE_CSV_COLUMNS.map(column => row[column]))]
+      .map(columns => columns.map(escape).join(','))
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Meta Conversions API event for a conversion
+   * Contact details are SHA-256 hashed as Meta requires; the fbclid is sent as the fbc cookie value.
+   * @param {Object} conversion - Queued conversion
+   * @param {Object} fields - Lead fields
+   * @param {Object} click - { id, clickedAt } from getClickIds
+   * @returns {Object} Event for the request's data array
+   */
+  buildMetaEvent(conversion, fields, click) {
+    const clickedAt = new Date(click.clickedAt || conversion.conversionTime).getTime();
+    const userData = {
+      fbc: `fb.1.${Number.isNaN(clickedAt) ? Date.parse(conversion.conversionTime) : clickedAt}.${click.id}`,
+      external_id: [this.hash(conversion.leadId)]
+    };
+    if (fields['Email']) {
+      userData.em = [this.hash(String(fields['Email']).trim().toLowerCase())];
+    }
+    if (fields['Phone']) {
+      // Meta expects the country code; 10-digit numbers are assumed to be US
+      const digits = String(fields['Phone']).replace(/\D/g, '');
+      userData.ph = [this.hash(digits.length === 10 ? `1${digits}` : digits)];
+    }
+    
+    return {
+      event_name: conversion.conversionName,
+      event_time: Math.floor(Date.parse(conversion.conversionTime) / 1000),
+      event_id: `payment-${conversion.paymentId}`,
+      action_source: 'system_generated',
+      user_data: userData,
+      custom_data: {
+        value: conversion.value,
+        currency: conversion.currency,
+        order_id: String(conversion.paymentId)
+      }
+    };
+  }
+
+  /**
+   * SHA-256 (hex) of a value
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  }
+
+  /**
+   * Deliver conversions to their platforms' endpoints, one request per platform
+   * Platforms without an endpoint are left queued. Skipped inside a dry run.
+   * @param {Array} conversions - Conversions from the queue
+   * @returns {Array} Per-platform results { platform, status, count, error }
+   */
+  async deliver(conversions) {
+    if (this.airtable.isDryRun()) {
+      return [{ status: 'Skipped', count: conversions.length, reason: 'Dry run' }];
+    }
+    
+    const results = [];
+    for (const platform of Object.keys(CONVERSION_PLATFORMS)) {
+      const batch = conversions.filter(conversion => conversion.platform === platform);
+      if (batch.length === 0) continue;
+      
+      const endpoint = platform === 'Meta' ? this.meta.endpoint : this.google.endpoint;
+      if (!endpoint) {
+        results.push({ platform, status: 'Queued', count: batch.length, reason: `No ${platform} endpoint configured` });
+        continue;
+      }
+      
+      try {
+        const response = platform === 'Meta' ? await this.sendMeta(batch) : await this.sendGoogle(batch);
+        for (const conversion of batch) {
+          await this.airtable.updateOfflineConversionStatus(conversion.id, 'Sent', {
+            attempts: conversion.attempts + 1,
+            response: JSON.stringify(response).slice(0, 10000)
+          });
+        }
+        
+        console.log(`✅ Sent ${batch.length} ${platform} offline conversion(s)`);
+        results.push({ platform, status: 'Sent', count: batch.length, response });
+      } catch (error) {
+        const message = error.response ? `${error.response.status}: ${JSON.stringify(error.response.data)}` : error.message;
+        console.error(`Error sending ${platform} offline conversions:`, message);
+        
+        for (const conversion of batch) {
+          await this.airtable.updateOfflineConversionStatus(conversion.id, 'Failed', {
+            attempts: conversion.attempts + 1,
+            error: message.slice(0, 10000)
+          });
+        }
+        results.push({ platform, status: 'Failed', count: batch.length, error: message });
+      }
+    }
+    
+    return results;
+  }
+
+  /**
+   * POST Meta events to the Conversions API
+   * @param {Array} conversions - Meta conversions
+   * @returns {Object} Response body
+   */
+  async sendMeta(conversions) {
+    const body = {
+      data: conversions.map(conversion => conversion.payload),
+      ...(this.meta.testEventCode ? { test_event_code: this.meta.testEventCode } : {}),
+      ...(this.meta.accessToken ? { access_token: this.meta.accessToken } : {})
+    };
+    
+    const response = await axios.post(this.meta.endpoint, body, { timeout: 30000 });
+    return response.data;
+  }
+
+  /**
+   * POST Google Ads conversions as an offline conversion CSV
+   * @param {Array} conversions - Google Ads conversions
+   * @returns {Object} Response body
+   */
+  async sendGoogle(conversions) {
+    const csv = this.toGoogleCsv(conversions.map(conversion => conversion.payload));
+    
+    const response = await axios.post(this.google.endpoint, csv, {
+      headers: { 'Content-Type': 'text/csv' },
+      timeout: 30000
+    });
+    return response.data;
+  }
+
+  /**
+   * Deliver every queued conversion, and failed ones that haven't used up their attempts
+   * @param {Object} options - { platform } (optional)
+   * @returns {Object} { total, results }
+   */
+  async flush(options = {}) {
+    const pending = [
+      ...(await this.airtable.getOfflineConversions({ status: 'Queued', platform: options.platform })),
+      ...(await this.airtable.getOfflineConversions({ status: 'Failed', platform: options.platform }))
+        .filter(conversion => conversion.attempts < this.maxAttempts)
+    ];
+    
+    console.log(`Flushing ${pending.length} offline conversion(s)`);
+    return {
+      total: pending.length,
+      results: pending.length > 0 ? await this.deliver(pending) : []
+    };
+  }
+
+  /**
+   * Google Ads conversions from the last `days` days as an import CSV, e.g. for a scheduled upload from a URL
+   * Already-sent rows are included (Google Ads ignores rows it has imported before); cancelled ones are not.
+   * @param {number} days - Lookback in days (defaults to Google's 90-day click window)
+   * @returns {string} CSV
+   */
+  async exportGoogleCsv(days = CONVERSION_PLATFORMS['Google Ads'].maxAgeDays) {
+    const since = new Date(Date.now() - days * DAY_MS).toISOString();
+    const conversions = (await this.airtable.getOfflineConversions({ platform: 'Google Ads', since }))
+      .filter(conversion => conversion.status !== 'Cancelled');
+    
+    return this.toGoogleCsv(conversions.map(conversion => conversion.payload));
+  }
+
+  /**
+   * Check a request the way the platform would, for the local stub endpoint
+   * @param {string} platform - 'meta' or 'google'
+   * @param {Object|string} body - Parsed JSON body (Meta) or CSV text (Google)
+   * @returns {Object} { valid, received, errors }
+   */
+  validateUpload(platform, body) {
+    const errors = [];
+    
+    if (platform === 'meta') {
+      const events = body && Array.isArray(body.data) ? body.data : null;
+      if (!events || events.length === 0) {
+        return { valid: false, received: 0, errors: ['data must be a non-empty array of events'] };
+      }
+      
+      events.forEach((event, index) => {
+        if (!event.event_name) errors.push(`data[${index}].event_name is required`);
+        if (!Number.isInteger(event.event_time)) errors.push(`data[${index}].event_time must be Unix seconds`);
+        if (event.event_time * 1000 > Date.now()) errors.push(`data[${index}].event_time is in the future`);
+        if (!event.action_source) errors.push(`data[${index}].action_source is required`);
+        if (!event.user_data || !/^fb\.1\.\d+\..+/.test(event.user_data.fbc || '')) {
+          errors.push(`data[${index}].user_data.fbc must be fb.1.<timestamp>.<fbclid>`);
+        }
+        if (!event.custom_data || typeof event.custom_data.value !== 'number' || !event.custom_data.currency) {
+          errors.push(`data[${index}].custom_data needs a numeric value and a currency`);
+        }
+      });
+      
+      return { valid: errors.length === 0, received: events.length, errors };
+    }
+    
+    if (platform === 'google') {
+      const lines = String(body || '').trim().split('\n').filter(Boolean);
+      if (lines[0] !== GOOGLE_CSV_COLUMNS.join(',')) {
+        return { valid: false, received: 0, errors: [`First row must be the header: ${GOOGLE_CSV_COLUMNS.join(',')}`] };
+      }
+      
+      lines.slice(1).forEach((line, index) => {
+        const columns = line.split(',');
+        if (columns.length !== GOOGLE_CSV_COLUMNS.length) errors.push(`Row ${index + 1} has ${columns.length} columns`);
+        if (!columns[0]) errors.push(`Row ${index + 1} is missing the Google Click ID`);
+        if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}[+-]\d{4}$/.test(columns[2] || '')) {
+          errors.push(`Row ${index + 1} Conversion Time must be yyyy-MM-dd HH:mm:ss+zzzz`);
+        }
+        if (!(parseFloat(columns[3]) >= 0)) errors.push(`Row ${index + 1} Conversion Value must be a number`);
+      });
+      
+      return { valid: errors.length === 0, received: lines.length - 1, errors };
+    }
+    
+    return { valid: false, received: 0, errors: [`Unknown platform ${platform} - use meta or google`] };
+  }
+}
+
+OfflineConversions.PLATFORMS = CONVERSION_PLATFORMS;
+OfflineConversions.GOOGLE_CSV_COLUMNS = GOOGLE_CSV_COLUMNS;
+
+module.exports = OfflineConversions;
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * Persistent webhook event log used to make webhook processing idempotent
+ * Every delivery is recorded in Airtable under a stable event key so retries and
+ * replays are skipped even across serverless cold starts and concurrent instances.
+ */
+class WebhookEventStore {
+  /**
+   * @param {AirtableAPI} airtable - Airtable client used to store events
+   * @param {Object} options - Store options
+   * @param {number} options.inProgressWindowMs - How long a "Received" event blocks re-delivery before it is retried
+   */
+  constructor(airtable, options = {}) {
+    this.airtable = airtable;
+    this.inProgressWindowMs = options.inProgressWindowMs
+      || parseInt(process.env.WEBHOOK_EVENT_IN_PROGRESS_MS)
+      || 5 * 60 * 1000;
+  }
+
+  /**
+   * Describe a Go High Level contact webhook
+   * Keyed on contact_id plus the event timestamp, or a hash of the payload when GHL sends no timestamp.
+   * @param {Object} webhookData - Parsed GHL payload
+   * @returns {Object} Event descriptor ({ eventKey, source, eventType, entityId, payload })
+   */
+  getGHLEvent(webhookData) {
+    const contactId = webhookData.contact_id || 'unknown';
+    const timestamp = webhookData.timestamp || webhookData.date_updated || webhookData.dateUpdated || this.hashPayload(webhookData);
+    
+    return {
+      eventKey: `GHL:${contactId}:${timestamp}`,
+      source: 'GHL',
+      eventType: webhookData.contact_type ? `contact.${webhookData.contact_type}` : 'contact',
+      entityId: webhookData.contact_id || null,
+      payload: webhookData
+    };
+  }
+
+  /**
+   * Describe a HouseCall Pro webhook
+   * Keyed on the event's own entity (customer, job, estimate or invoice), so events for different jobs don't collide.
+   * @param {Object} webhookData - Parsed HCP payload
+   * @returns {Object} Event descriptor ({ eventKey, source, eventType, entityId, payload })
+   */
+  getHCPEvent(webhookData) {
+    const entityName = String(webhookData.event_type || '').split('.')[0];
+    const entityId = webhookData[entityName]?.id || webhookData.customer?.id || webhookData.id || 'unknown';
+    const timestamp = webhookData.timestamp || webhookData.event_id || this.hashPayload(webhookData);
+    
+    return {
+      eventKey: `HCP:${webhookData.event_type}:${entityId}:${timestamp}`,
+      source: 'HCP',
+      eventType: webhookData.event_type,
+      entityId,
+      payload: webhookData
+    };
+  }
+
+  /**
+   * Describe a QuickBooks entity change
+   * Keyed on entity id plus `lastUpdated`, so an edited entity is a new event but a retried notification is not.
+   * @param {string} entityName - QBO entity name (Payment, RefundReceipt, CreditMemo)
+   * @param {Object} entityData - Entity change with id, operation and lastUpdated
+   * @param {Object} payload - Raw webhook payload the change arrived in, stored for replay
+   * @returns {Object} Event descriptor ({ eventKey, source, eventType, entityId, payload })
+   */
+  getQBOEvent(entityName, entityData, payload = null) {
+    const operation = entityData.operation || 'Create';
+    const lastUpdated = entityData.lastUpdated || this.hashPayload(entityData);
+    
+    return {
+      eventKey: `QBO:${entityName}:${entityData.id}:${operation}:${lastUpdated}`,
+      source: 'QBO',
+      eventType: `${entityName}.${operation}`,
+      entityId: entityData.id,
+      payload
+    };
+  }
+
+  /**
+   * Process an event at most once
+   * Events already processed or skipped, or still being processed by another instance, are skipped.
+   * Failed events are retried on the next delivery.
+   * @param {Object} event - Event descriptor from one of the get*Event methods
+   * @param {Function} handler - Async function that processes the event
+   * @returns {*} Handler result, or { skipped: true, reason: 'duplicate' } for replays
+   */
+  async runOnce(event, handler) {
+    const stored = await this.airtable.saveWebhookEvent(event);
+    
+    if (!stored.isNew) {
+      if (this.isDuplicate(stored)) {
+        console.log(`Skipping duplicate webhook event ${event.eventKey} (status: ${stored.status})`);
+        await this.airtable.markWebhookEventDuplicate(stored.id, stored.duplicateCount);
+        return { skipped: true, reason: 'duplicate' };
+      }
+      
+      console.log(`Retrying webhook event ${event.eventKey} (previous status: ${stored.status}, attempt ${stored.attempts + 1})`);
+      await this.airtable.updateWebhookEventStatus(stored.id, 'Received', { attempts: stored.attempts + 1 });
+    }
+    
+    let result;
+    try {
+      result = await handler();
+    } catch (error) {
+      await this.updateStatus(stored.id, 'Failed', { error: error.message });
+      throw error;
+    }
+    
+    await this.updateStatus(stored.id, result && result.skipped ? 'Skipped' : 'Processed', {
+      error: result && result.skipped ? result.reason : ''
+    });
+    
+    return result;
+  }
+
+  /**
+   * Whether a stored event should block re-processing
+   * @param {Object} stored - Stored event from AirtableAPI.saveWebhookEvent
+   * @returns {boolean} True if the event was handled or is still in progress
+   */
+  isDuplicate(stored) {
+    if (stored.status === 'Processed' || stored.status === 'Skipped') {
+      return true;
+    }
+    
+    if (stored.status === 'Received') {
+      const startedAt = new Date(stored.lastUpdated || stored.receivedAt).getTime();
+      return Date.now() - startedAt < this.inProgressWindowMs;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Update an event's status without failing the webhook if the log write fails
+   */
+  async updateStatus(recordId, status, details) {
+    try {
+      await this.airtable.updateWebhookEventStatus(recordId, status, details);
+    } catch (error) {
+      console.error(`Error marking webhook event ${recordId} as ${status}:`, error);
+      // Don't throw - the event itself has already been handled
+    }
+  }
+
+  /**
+   * Short, stable hash of a payload for events that carry no id or timestamp
+   */
+  hashPayload(payload) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(payload))
+      .digest('hex')
+      .slice(0, 16);
+  }
+}
+
+module.exports = WebhookEventStore;
@@ -0,0 +1,283 @@
+const axios = require('axios');
+const LeadSourceExtractor = require('./leadsource');
+require('dotenv').config();
+
+/**
+ * Webhook fields that, when all present, make fetching the contact unnecessary
+ */
+const REQUIRED_WEBHOOK_FIELDS = ['email', 'phone', 'address'];
+
+/**
+ * Go High Level client
+ * Normalizes GHL contact webhooks into our customer shape, fills in fields a workflow didn't send from the
+ * contact API, and writes the Airtable record ID and net paid revenue back to GHL custom fields.
+ * The API is optional: without GHL_API_KEY webhooks are still normalized, just not enriched or written back.
+ */
+class GoHighLevelAPI {
+  /**
+   * @param {LeadSourceExtractor} leadSourceExtractor - Lead source rules (defaults to the configured rules file)
+   */
+  constructor(leadSourceExtractor = new LeadSourceExtractor()) {
+    this.apiKey = process.env.GHL_API_KEY;
+    this.baseURL = 'https://services.leadconnectorhq.com';
+    this.leadSourceExtractor = leadSourceExtractor;
+    
+    // GHL custom field IDs the write-back fills in (Settings → Custom Fields)
+    this.customFields = {
+      airtableRecordId: process.env.GHL_AIRTABLE_ID_FIELD_ID,
+      lifetimeValue: process.env.GHL_LIFETIME_VALUE_FIELD_ID
+    };
+    
+    this.client = this.apiKey ? axios.create({
+      baseURL: this.baseURL,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Version': '2021-07-28',
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    }) : null;
+  }
+
+  /**
+   * Whether GHL_API_KEY is set, so contacts can be fetched and updated
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  /**
+   * Transform a GHL contact webhook into the customer shape AirtableAPI.upsertLead expects
+   * @param {Object} webhookData - GHL workflow webhook payload
+   * @returns {Object} Customer data, with leadSourceReason explaining the lead source
+   */
+  extractCustomerFromWebhook(webhookData) {
+    // Extract lead source using the configured rules (src/config/lead-source-rules.json)
+    const leadSourceResult = this.leadSourceExtractor.explain(webhookData);
+    const leadSource = leadSourceResult.leadSource;
+    console.log(`Lead source: ${leadSource} (${leadSourceResult.reason})`);
+    
+    // Capture campaign, UTM and click ID attribution alongside the channel
+    const attribution = this.leadSourceExtractor.extractAttribution(webhookData);
+    if (attribution.firstTouch || attribution.lastTouch) {
+      const touch = attribution.lastTouch || attribution.firstTouch;
+      console.log(`Attribution: campaign ${touch.campaign || '-'}, term ${touch.term || '-'}, click ID ${touch.gclid || touch.fbclid || touch.msclkid || '-'}`);
+    }
+    
+    const address = this.buildAddress(webhookData);
+    const tags = this.extractTags(webhookData);
+    
+    console.log(`Address: ${address || '-'} (address1: ${webhookData.address1 || '-'}, address2: ${webhookData.address2 || '-'})`);
+    console.log('Tags:', tags);
+    
+    return {
+      id: webhookData.contact_id,
+      ghlContactId: webhookData.contact_id,
+      name: webhookData.full_name || `${webhookData.first_name || ''} ${webhookData.last_name || ''}`.trim(),
+      firstName: webhookData.first_name,
+      lastName: webhookData.last_name,
+      email: webhookData.email,
+      phone: webhookData.phone,
+      address,
+      leadSource,
+      leadSourceReason: leadSourceResult.reason,
+      attribution,
+      dateCreated: webhookData.date_created,
+      tags,
+      notes: webhookData['HCP Notes'] || ''
+    };
+  }
+
+  /**
+   * Build the full address, including the apartment number, unless the webhook sent one
+   * @param {Object} webhookData - GHL webhook payload
+   * @returns {string} Address
+   */
+  buildAddress(webhookData) {
+    if (webhookData.full_address) {
+      return webhookData.full_address;
+    }
+    
+    return [
+      webhookData.address1,
+      webhookData.address2, // apartment number
+      webhookData.city,
+      webhookData.state,
+      webhookData.postal_code
+    ].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Collect tags from the places GHL workflows put them
+   * @param {Object} webhookData - GHL webhook payload
+   * @returns {Array} Tags
+   */
+  extractTags(webhookData) {
+    return [
+      webhookData.tags,
+      webhookData['HCP Tags'],
+      webhookData.hcp_tags,
+      webhookData.customData?.tags,
+      webhookData.contact?.tags
+    ].filter(Boolean).filter(tag => tag !== '');
+  }
+
+  /**
+   * Fill in fields the webhook didn't send from the GHL contact
+   * Fields present on the webhook always win. Lookup failures are logged and the webhook is used as sent,
+   * so a GHL outage never holds up lead capture.
+   * @param {Object} webhookData - GHL webhook payload with contact_id
+   * @returns {Object} Webhook payload with missing fields filled in
+   */
+  async enrichWebhook(webhookData) {
+    const missing = this.getMissingFields(webhookData);
+    if (!this.isConfigured() || !webhookData.contact_id || missing.length === 0) {
+      return webhookData;
+    }
+    
+    try {
+      console.log(`Fetching GHL contact ${webhookData.contact_id} for missing ${missing.join(', ')}`);
+      const contact = await this.getContact(webhookData.contact_id);
+      if (!contact) {
+        return webhookData;
+      }
+      
+      const enriched = { ...this.contactToWebhook(contact) };
+      Object.entries(webhookData).forEach(([field, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          enriched[field] = value;
+        }
+      });
+      
+      return enriched;
+    } catch (error) {
+      console.error(`Error fetching GHL contact ${webhookData.contact_id}, using webhook data as sent:`, error.message);
+      return webhookData;
+    }
+  }
+
+  /**
+   * Customer fields missing from a webhook payload
+   * @param {Object} webhookData - GHL webhook payload
+   * @returns {Array} Field names
+   */
+  getMissingFields(webhookData) {
+    const missing = REQUIRED_WEBHOOK_FIELDS.filter(field =>
+      field === 'address' ? !this.buildAddress(webhookData) : !webhookData[field]
+    );
+    if (!webhookData.full_name && !webhookData.first_name && !webhookData.last_name) {
+      missing.push('name');
+    }
+    
+    return missing;
+  }
+
+  /**
+   * Map a GHL API contact onto the field names GHL workflow webhooks use
+   * @param {Object} contact - Contact from getContact
+   * @returns {Object} Webhook-shaped fields
+   */
+  contactToWebhook(contact) {
+    return {
+      contact_id: contact.id,
+      first_name: contact.firstName,
+      last_name: contact.lastName,
+      full_name: contact.contactName || contact.name,
+      email: contact.email,
+      phone: contact.phone,
+      address1: contact.address1,
+      city: contact.city,
+      state: contact.state,
+      postal_code: contact.postalCode,
+      date_created: contact.dateAdded,
+      tags: contact.tags && contact.tags.length > 0 ? contact.tags.join(', ') : undefined,
+      source: contact.source,
+      // Read by the lead source and attribution rules as-is
+      attributionSource: contact.attributionSource,
+      lastAttributionSource: contact.lastAttributionSource
+    };
+  }
+
+  /**
+   * Get a contact by ID
+   * @param {string} contactId - GHL contact ID
+   * @returns {Object|null} Contact, or null if not found
+   */
+  async getContact(contactId) {
+    try {
+      const response = await this.getClient().get(`/contacts/${contactId}`);
+      return response.data.contact || null;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        console.warn(`GHL contact not found: ${contactId}`);
+        return null;
+      }
+      console.error('Error fetching contact from Go High Level:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Set custom field values on a contact
+   * @param {string} contactId - GHL contact ID
+   * @param {Object} values - Values keyed by GHL custom field ID
+   * @returns {Object} Updated contact
+   */
+  async updateContactCustomFields(contactId, values) {
+    try {
+      const customFields = Object.entries(values).map(([id, value]) => ({ id, field_value: value }));
+      const response = await this.getClient().put(`/contacts/${contactId}`, { customFields });
+      
+      console.log(`Updated ${customFields.length} GHL custom field(s) on contact ${contactId}`);
+      return response.data.contact;
+    } catch (error) {
+      console.error('Error updating contact in Go High Level:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a lead's Airtable record ID and net paid revenue to its GHL contact
+   * @param {Object} leadRecord - Lead record ({ id, fields }) with a GHL Contact ID
+   * @returns {Object} { contactId, values } or { skipped, reason }
+   */
+  async syncLeadToContact(leadRecord) {
+    const contactId = leadRecord.fields['GHL Contact ID'];
+    if (!this.isConfigured()) {
+      return { skipped: true, reason: 'GHL_API_KEY is not set' };
+    }
+    if (!contactId) {
+      return { skipped: true, reason: 'Lead has no GHL Contact ID' };
+    }
+    
+    const values = {};
+    if (this.customFields.airtableRecordId) {
+      values[this.customFields.airtableRecordId] = leadRecord.id;
+    }
+    if (this.customFields.lifetimeValue) {
+      const fields = leadRecord.fields;
+      const revenue = fields['Net Lifetime Revenue'] ?? fields['Lifetime Revenue'] ?? fields['Payment Amount'] ?? 0;
+      values[this.customFields.lifetimeValue] = Math.round((parseFloat(revenue) || 0) * 100) / 100;
+    }
+    if (Object.keys(values).length === 0) {
+      return { skipped: true, reason: 'No GHL custom field IDs configured' };
+    }
+    
+    await this.updateContactCustomFields(contactId, values);
+    return { contactId, values };
+  }
+
+  /**
+   * API client, failing clearly when GHL_API_KEY isn't set
+   */
+  getClient() {
+    if (!this.client) {
+      throw new Error('GHL_API_KEY is required to call the Go High Level API');
+    }
+    
+    return this.client;
+  }
+}
+
+module.exports = GoHighLevelAPI;
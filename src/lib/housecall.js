@@ -1,4 +1,5 @@
 const axios = require('axios');
+const WebhookAuth = require('./webhookauth');
 require('dotenv').config();
 
 class HouseCallProAPI {
@@ -22,20 +23,18 @@ class HouseCallProAPI {
 
   /**
    * Verify webhook signature for security
+   * HCP signs `${timestamp}.${payload}` with HMAC-SHA256; see WebhookAuth for the timestamp tolerance.
    * @param {string} payload - Raw request body
-   * @param {string} signature - Signature from request headers
+   * @param {string} signature - Api-Signature header
+   * @param {string} timestamp - Api-Timestamp header
    * @returns {boolean} - Whether signature is valid
    */
-  verifyWebhookSignature(payload, signature) {
-    // Implementation depends on HouseCall Pro's signature method
-    // This is a placeholder - check HCP documentation for actual implementation
-    const crypto = require('crypto');
-    const expectedSignature = crypto
-      .createHmac('sha256', this.webhookSecret)
-      .update(payload)
-      .digest('hex');
+  verifyWebhookSignature(payload, signature, timestamp) {
+    if (!this.webhookSecret || !signature || !timestamp) {
+      return false;
+    }
     
-    return signature === expectedSignature;
+    return new WebhookAuth({ hcpSecret: this.webhookSecret }).verifyHCPSignature(payload, signature, timestamp).valid;
   }
 
   /**
@@ -74,6 +73,71 @@ class HouseCallProAPI {
     }
   }
 
+  /**
+   * Get every page of a list endpoint
+   * @param {string} path - List endpoint, e.g. '/jobs'
+   * @param {string} key - Response key holding the items, e.g. 'jobs'
+   * @param {Object} params - Query parameters
+   * @returns {Array} All items
+   */
+  async getAllPages(path, key, params = {}) {
+    const items = [];
+    let page = 1;
+    let totalPages = 1;
+    
+    do {
+      const response = await this.client.get(path, { params: { per_page: 100, ...params, page } });
+      items.push(...(response.data[key] || []));
+      totalPages = response.data.total_pages || 1;
+      page++;
+    } while (page <= totalPages);
+    
+    return items;
+  }
+
+  /**
+   * Get all estimates for a customer
+   * @param {string} customerId - HouseCall Pro customer ID
+   * @returns {Array} Estimates, each with its options and their approval status
+   */
+  async getEstimates(customerId) {
+    try {
+      return await this.getAllPages('/estimates', 'estimates', { customer_id: customerId });
+    } catch (error) {
+      console.error('Error fetching estimates from HouseCall Pro:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all jobs for a customer
+   * @param {string} customerId - HouseCall Pro customer ID
+   * @returns {Array} Jobs, with their schedule, work status and work timestamps
+   */
+  async getJobs(customerId) {
+    try {
+      return await this.getAllPages('/jobs', 'jobs', { customer_id: customerId });
+    } catch (error) {
+      console.error('Error fetching jobs from HouseCall Pro:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the invoices of a job
+   * @param {string} jobId - HouseCall Pro job ID
+   * @returns {Array} Invoices
+   */
+  async getJobInvoices(jobId) {
+    try {
+      const response = await this.client.get(`/jobs/${jobId}/invoices`);
+      return response.data.invoices || [];
+    } catch (error) {
+      console.error('Error fetching job invoices from HouseCall Pro:', error);
+      throw error;
+    }
+  }
+
   /**
    * Extract customer data from webhook payload
    * @param {Object} webhookPayload - Webhook event payload
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const defaultRules = require('../config/lead-source-rules.json');
+require('dotenv').config();
+
+/**
+ * Extracts the lead source from a GHL webhook payload using ordered rules
+ * (see src/config/lead-source-rules.json) instead of a hardcoded field list
+ */
+class LeadSourceExtractor {
+  /**
+   * @param {Object} rules - Extraction rules; defaults to LEAD_SOURCE_RULES_PATH or the bundled rules file
+   */
+  constructor(rules = null) {
+    this.rules = this.normalizeRules(rules || this.loadRules());
+  }
+
+  /**
+   * Load rules from LEAD_SOURCE_RULES_PATH, falling back to the bundled rules file
+   * @returns {Object} Raw rules
+   */
+  loadRules() {
+    const rulesPath = process.env.LEAD_SOURCE_RULES_PATH;
+    if (!rulesPath) {
+      return defaultRules;
+    }
+    
+    try {
+      return JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    } catch (error) {
+      console.error(`Error loading lead source rules from ${rulesPath}, using defaults:`, error);
+      return defaultRules;
+    }
+  }
+
+  /**
+   * Fill in defaults and compile transform patterns
+   * @param {Object} rules - Raw rules
+   * @returns {Object} Normalized rules
+   */
+  normalizeRules(rules) {
+    return {
+      default: rules.default || 'Unknown',
+      ignoreValues: (rules.ignoreValues || []).map(value => String(value).trim().toLowerCase()),
+      paths: (rules.paths || []).map(rule => (typeof rule === 'string' ? { path: rule } : rule)),
+      transforms: (rules.transforms || []).map(transform => ({
+        ...transform,
+        regex: new RegExp(transform.pattern, transform.flags || '')
+      })),
+      attribution: rules.attribution || defaultRules.attribution
+    };
+  }
+
+  /**
+   * Extract the lead source from a payload
+   * @param {Object} payload - Webhook payload
+   * @returns {string} Lead source
+   */
+  extract(payload) {
+    return this.explain(payload).leadSource;
+  }
+
+  /**
+   * Extract the lead source and report how every rule was evaluated
+   * @param {Object} payload - Webhook payload
+   * @returns {Object} { leadSource, matchedRule, rawValue, transforms, usedDefault, evaluated }
+   */
+  explain(payload) {
+    const evaluated = [];
+    let matchedRule = null;
+    let rawValue = null;
+    
+    for (const [index, rule] of this.rules.paths.entries()) {
+      const value = this.getPath(payload, rule.path);
+      const entry = { index, path: rule.path, note: rule.note, value: value === undefined ? null : value };
+      evaluated.push(entry);
+      
+      if (value === undefined || value === null || String(value).trim() === '') {
+        entry.outcome = 'missing';
+        continue;
+      }
+      
+      if (typeof value === 'object') {
+        entry.outcome = 'skipped';
+        entry.reason = 'Value is not a string';
+        continue;
+      }
+      
+      if (this.rules.ignoreValues.includes(String(value).trim().toLowerCase())) {
+        entry.outcome = 'ignored';
+        entry.reason = `"${value}" is in ignoreValues`;
+        continue;
+      }
+      
+      entry.outcome = 'matched';
+      matchedRule = entry;
+      rawValue = String(value);
+      break;
+    }
+    
+    if (!matchedRule) {
+      return {
+        leadSource: this.rules.default,
+        matchedRule: null,
+        rawValue: null,
+        transforms: [],
+        usedDefault: true,
+        reason: 'No rule produced a usable value, using default',
+        evaluated
+      };
+    }
+    
+    const { value: leadSource, applied } = this.applyTransforms(rawValue);
+    
+    return {
+      leadSource,
+      matchedRule,
+      rawValue,
+      transforms: applied,
+      usedDefault: false,
+      reason: `Rule ${matchedRule.index} (${matchedRule.path}) matched "${rawValue}"`,
+      evaluated
+    };
+  }
+
+  /**
+   * Extract first- and last-touch marketing attribution (UTMs, click IDs, landing page)
+   * @param {Object} payload - Webhook payload
+   * @returns {Object} { firstTouch, lastTouch } - each null when the payload carries no attribution for it
+   */
+  extractAttribution(payload) {
+    const { firstTouch = [], lastTouch = [] } = this.rules.attribution || {};
+    
+    return {
+      firstTouch: this.findTouch(payload, firstTouch),
+      lastTouch: this.findTouch(payload, lastTouch)
+    };
+  }
+
+  /**
+   * Normalize the first attribution object found at the given paths
+   * @param {Object} payload - Webhook payload
+   * @param {Array} paths - Candidate paths, in order
+   * @returns {Object|null} Touch with source, medium, campaign, term, content, click IDs, landingPage, referrer, timestamp
+   */
+  findTouch(payload, paths) {
+    for (const path of paths) {
+      const raw = this.getPath(payload, path);
+      if (!raw || typeof raw !== 'object') continue;
+      
+      const touch = this.normalizeTouch(raw);
+      if (touch) {
+        return touch;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Map a raw attribution object onto the standard touch fields
+   * UTM parameters and click IDs missing from the object are read from the landing page URL.
+   * @param {Object} raw - Raw attribution object
+   * @returns {Object|null} Touch, or null if no field was found
+   */
+  normalizeTouch(raw) {
+    const { fields = {}, urlParams = {} } = this.rules.attribution || {};
+    const touch = {};
+    
+    for (const [field, keys] of Object.entries(fields)) {
+      const key = keys.find(candidate => raw[candidate] !== undefined && raw[candidate] !== null && String(raw[candidate]).trim() !== '');
+      touch[field] = key ? String(raw[key]).trim() : null;
+    }
+    
+    if (touch.landingPage) {
+      try {
+        const url = new URL(touch.landingPage);
+        for (const [field, param] of Object.entries(urlParams)) {
+          if (!touch[field] && url.searchParams.get(param)) {
+            touch[field] = url.searchParams.get(param);
+          }
+        }
+      } catch (error) {
+        // Not an absolute URL - keep the fields read from the object
+      }
+    }
+    
+    return Object.values(touch).some(Boolean) ? touch : null;
+  }
+
+  /**
+   * Apply regex transforms in order, then trim
+   * @param {string} value - Raw lead source
+   * @returns {Object} { value, applied } - transformed value and the transforms that changed it
+   */
+  applyTransforms(value) {
+    const applied = [];
+    let result = value;
+    
+    for (const transform of this.rules.transforms) {
+      const next = result.replace(transform.regex, transform.replacement || '');
+      if (next !== result) {
+        applied.push({ pattern: transform.pattern, note: transform.note, before: result, after: next });
+        result = next;
+      }
+    }
+    
+    return { value: result.trim(), applied };
+  }
+
+  /**
+   * Read a dot-separated path; segments may contain spaces (e.g. "customData.Lead Source")
+   */
+  getPath(payload, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), payload);
+  }
+}
+
+module.exports = LeadSourceExtractor;
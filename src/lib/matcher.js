@@ -0,0 +1,335 @@
+const Utils = require('./utils');
+require('dotenv').config();
+
+/**
+ * Relative weight of each matching signal when computing a candidate's score
+ */
+const SIGNAL_WEIGHTS = {
+  qboCustomerId: 5,
+  email: 3,
+  phone: 3,
+  address: 2,
+  name: 2
+};
+
+/**
+ * Read a number from the environment, falling back when it is unset or not a number
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Scores Airtable leads against a QuickBooks payment using several signals
+ * (QBO Customer ID, email, phone, billing address and name similarity)
+ */
+class LeadMatcher {
+  /**
+   * @param {AirtableAPI} airtable - Airtable client used to load candidate leads
+   * @param {Object} options - Matching options
+   * @param {number} options.autoApplyConfidence - Minimum score required to auto-apply a match (0-1)
+   * @param {number} options.ambiguityMargin - Minimum lead the best candidate needs over the runner-up
+   * @param {number} options.maxCandidates - Maximum number of ranked candidates to return
+   */
+  constructor(airtable, options = {}) {
+    this.airtable = airtable;
+    this.autoApplyConfidence = options.autoApplyConfidence
+      ?? envNumber('MATCH_AUTO_APPLY_CONFIDENCE', 0.85);
+    this.ambiguityMargin = options.ambiguityMargin
+      ?? envNumber('MATCH_AMBIGUITY_MARGIN', 0.1);
+    this.maxCandidates = options.maxCandidates || 5;
+  }
+
+  /**
+   * Find and rank leads that could belong to a payment
+   * @param {Object} paymentData - Payment data from QuickBooksAPI.extractPaymentData
+   * @returns {Object} Ranked candidates, the best match and whether it should be auto-applied
+   */
+  async match(paymentData) {
+    try {
+      console.log(`Matching payment for ${paymentData.customerName} (QBO Customer ID: ${paymentData.customerId})`);
+      
+      // Customers already linked to a lead resolve deterministically
+      const linkedMatch = await this.resolveIdentityLink(paymentData);
+      if (linkedMatch) {
+        return linkedMatch;
+      }
+      
+      const leads = await this.airtable.getLeadsForMatching();
+      
+      const candidates = leads
+        .map(lead => this.scoreLead(lead, paymentData))
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.maxCandidates);
+      
+      const bestMatch = candidates[0] || null;
+      const runnerUp = candidates[1] || null;
+      
+      let autoApply = false;
+      let reason = 'No candidate leads found';
+      
+      if (bestMatch) {
+        const margin = runnerUp ? bestMatch.score - runnerUp.score : bestMatch.score;
+        
+        if (bestMatch.score < this.autoApplyConfidence) {
+          reason = `Best match confidence ${bestMatch.score.toFixed(2)} is below ${this.autoApplyConfidence}`;
+        } else if (runnerUp && margin < this.ambiguityMargin) {
+          reason = `Ambiguous match: ${bestMatch.customerName} and ${runnerUp.customerName} scored within ${this.ambiguityMargin}`;
+        } else if (!this.hasNonNameSignal(bestMatch)) {
+          reason = `Only the name could be compared for ${bestMatch.customerName}; auto-apply needs a QBO Customer ID, email, phone or address on both sides`;
+        } else {
+          autoApply = true;
+          reason = `Matched ${bestMatch.customerName} with ${bestMatch.confidence} confidence (${bestMatch.score.toFixed(2)})`;
+        }
+      }
+      
+      console.log(`Match result: ${reason}`);
+      
+      return {
+        candidates,
+        bestMatch,
+        autoApply,
+        reason
+      };
+    } catch (error) {
+      console.error('Error matching payment to lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a payment through an active identity link for its QBO customer
+   * @param {Object} paymentData - Normalized payment data
+   * @returns {Object|null} Match result for the linked lead, or null if there is no usable link
+   */
+  async resolveIdentityLink(paymentData) {
+    if (!paymentData.customerId) {
+      return null;
+    }
+    
+    const link = await this.airtable.findIdentityLink({ qboCustomerId: paymentData.customerId });
+    if (!link) {
+      return null;
+    }
+    
+    const lead = await this.airtable.getLeadById(link.leadId);
+    if (!lead) {
+      console.warn(`Identity link ${link.id} points at missing lead ${link.leadId}, falling back to matching`);
+      return null;
+    }
+    
+    const candidate = {
+      leadId: lead.id,
+      customerName: lead.fields['Customer Name'],
+      leadSource: lead.fields['Lead Source'],
+      score: 1,
+      confidence: 'linked',
+      signals: { identityLink: 1 },
+      identityLinkId: link.id
+    };
+    
+    const reason = `Resolved ${lead.fields['Customer Name']} via identity link ${link.id}`;
+    console.log(`Match result: ${reason}`);
+    
+    return {
+      candidates: [candidate],
+      bestMatch: candidate,
+      autoApply: true,
+      reason
+    };
+  }
+
+  /**
+   * Find the lead a RefundReceipt or CreditMemo belongs to
+   * Tries the refunded payment, then the refunded invoice, then the customer's identity link,
+   * then the customer's most recent ledger payment.
+   * @param {Object} refundData - Refund data from QuickBooksAPI.extractRefundData
+   * @returns {Object|null} { leadId, leadSource, linkedBy }, or null if the refund can't be attributed
+   */
+  async resolveRefund(refundData) {
+    try {
+      for (const paymentId of refundData.linkedPaymentIds || []) {
+        const payment = await this.airtable.getPaymentByQboId(paymentId);
+        if (payment && payment.fields['Lead ID']) {
+          return this.refundResolution(payment, 'Payment');
+        }
+      }
+      
+      for (const invoiceId of refundData.linkedInvoiceIds || []) {
+        const payment = await this.airtable.findPaymentByInvoiceId(invoiceId);
+        if (payment) {
+          return this.refundResolution(payment, 'Invoice');
+        }
+      }
+      
+      if (!refundData.customerId) {
+        return null;
+      }
+      
+      const link = await this.airtable.findIdentityLink({ qboCustomerId: refundData.customerId });
+      const lead = link ? await this.airtable.getLeadById(link.leadId) : null;
+      if (lead) {
+        return {
+          leadId: lead.id,
+          leadSource: lead.fields['Lead Source'] || 'Unknown',
+          linkedBy: 'Identity Link'
+        };
+      }
+      
+      const payment = await this.airtable.findLatestPaymentForCustomer(refundData.customerId);
+      return payment ? this.refundResolution(payment, 'Customer') : null;
+    } catch (error) {
+      console.error('Error resolving refund to lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a refund resolution from the ledger payment it was traced to
+   */
+  refundResolution(payment, linkedBy) {
+    return {
+      leadId: payment.fields['Lead ID'],
+      leadSource: payment.fields['Lead Source'] || 'Unknown',
+      linkedBy
+    };
+  }
+
+  /**
+   * Score a single lead against a payment
+   * @param {Object} lead - Lead record ({ id, fields })
+   * @param {Object} paymentData - Normalized payment data
+   * @returns {Object} Candidate with per-signal scores, overall score and confidence level
+   */
+  scoreLead(lead, paymentData) {
+    const fields = lead.fields;
+    
+    const signals = {
+      qboCustomerId: this.compareExact(fields['QBO Customer ID'], paymentData.customerId),
+      email: this.compareExact(this.normalizeEmail(fields['Email']), this.normalizeEmail(paymentData.customerEmail)),
+      phone: this.compareExact(this.normalizePhone(fields['Phone']), this.normalizePhone(paymentData.customerPhone)),
+      address: this.compareFuzzy(this.normalizeAddress(fields['Address']), this.normalizeAddress(paymentData.customerAddress)),
+      name: this.compareName(fields['Customer Name'], paymentData.customerName)
+    };
+    
+    // Only signals present on both sides count towards the score
+    let weightedTotal = 0;
+    let weightSum = 0;
+    for (const [signal, value] of Object.entries(signals)) {
+      if (value !== null) {
+        signals[signal] = this.round(value);
+        weightedTotal += SIGNAL_WEIGHTS[signal] * value;
+        weightSum += SIGNAL_WEIGHTS[signal];
+      }
+    }
+    
+    const score = weightSum > 0 ? weightedTotal / weightSum : 0;
+    
+    return {
+      leadId: lead.id,
+      customerName: fields['Customer Name'],
+      leadSource: fields['Lead Source'],
+      score: this.round(score),
+      confidence: this.getConfidenceLevel(score),
+      signals
+    };
+  }
+
+  /**
+   * Check whether a candidate was compared on anything besides its name
+   * A name alone can't tell two customers with the same name apart, so it is never enough to auto-apply.
+   * @param {Object} candidate - Candidate from scoreLead
+   * @returns {boolean} True if a QBO Customer ID, email, phone or address was present on both sides
+   */
+  hasNonNameSignal(candidate) {
+    return Object.entries(candidate.signals)
+      .some(([signal, value]) => signal !== 'name' && value !== null);
+  }
+
+  /**
+   * Map a numeric score to a confidence level
+   * @param {number} score - Score (0-1)
+   * @returns {string} 'high', 'medium' or 'low'
+   */
+  getConfidenceLevel(score) {
+    if (score >= 0.9) return 'high';
+    if (score >= 0.75) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Round a score to three decimal places
+   */
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+
+  /**
+   * Compare two identifiers for equality
+   * @returns {number|null} 1 or 0, or null when either side is missing
+   */
+  compareExact(value1, value2) {
+    if (!value1 || !value2) return null;
+    return String(value1) === String(value2) ? 1 : 0;
+  }
+
+  /**
+   * Compare two strings with Utils.fuzzyMatch
+   * @returns {number|null} Similarity (0-1), or null when either side is missing
+   */
+  compareFuzzy(value1, value2) {
+    if (!value1 || !value2) return null;
+    return Utils.fuzzyMatch(value1, value2, 0).score;
+  }
+
+  /**
+   * Compare customer names, tolerating "Last, First" ordering and business suffixes
+   * @returns {number|null} Similarity (0-1), or null when either side is missing
+   */
+  compareName(name1, name2) {
+    const normalized1 = Utils.normalizeCustomerName(name1);
+    const normalized2 = Utils.normalizeCustomerName(name2);
+    
+    if (!normalized1 || !normalized2) return null;
+    
+    const sorted1 = normalized1.split(' ').sort().join(' ');
+    const sorted2 = normalized2.split(' ').sort().join(' ');
+    
+    return Math.max(
+      Utils.fuzzyMatch(normalized1, normalized2, 0).score,
+      Utils.fuzzyMatch(sorted1, sorted2, 0).score
+    );
+  }
+
+  /**
+   * Normalize an email address for comparison
+   */
+  normalizeEmail(email) {
+    return email ? email.toLowerCase().trim() : '';
+  }
+
+  /**
+   * Reduce a phone number to its last 10 digits
+   */
+  normalizePhone(phone) {
+    if (!phone) return '';
+    const digits = String(phone).replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : '';
+  }
+
+  /**
+   * Normalize an address for fuzzy comparison (lowercase, no punctuation)
+   */
+  normalizeAddress(address) {
+    if (!address) return '';
+    return address
+      .toLowerCase()
+      .replace(/[^\w\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
+module.exports = LeadMatcher;
@@ -0,0 +1,178 @@
+const Utils = require('./utils');
+require('dotenv').config();
+
+/**
+ * Applies matched QuickBooks payments to leads
+ * One place for everything that follows a match, so the Netlify function and the local server stay in step:
+ * the lead's payment fields, the identity link, the GHL contact, offline conversions and the Monthly Summary.
+ */
+class PaymentApplier {
+  /**
+   * @param {AirtableAPI} airtable - Airtable client
+   * @param {Object} options - Collaborators
+   * @param {GoHighLevelAPI} options.ghl - GHL client the lead's revenue is written back through
+   * @param {OfflineConversions} options.conversions - Offline conversion queue
+   */
+  constructor(airtable, options = {}) {
+    this.airtable = airtable;
+    this.ghl = options.ghl;
+    this.conversions = options.conversions;
+  }
+
+  /**
+   * Apply a payment to a lead and roll it into the Monthly Summary
+   * Payments already in the ledger update the lead but are not counted in the summary again.
+   * @param {string} leadId - Airtable record ID of the lead
+   * @param {Object} paymentData - Payment information from QuickBooks
+   * @param {string} linkSource - How the lead was chosen, for the identity link (Auto Match, Manual)
+   * @returns {Object} Updated lead record
+   */
+  async apply(leadId, paymentData, linkSource = 'Auto Match') {
+    // Update lead with payment information
+    const updatedLead = await this.airtable.updateLeadPayment(leadId, paymentData);
+    
+    console.log(`✅ Payment updated for lead: ${paymentData.customerName} (ID: ${leadId})`);
+    
+    // Remember the QBO customer so later payments resolve without matching
+    await this.linkCustomerToLead(updatedLead, paymentData.customerId, linkSource);
+    
+    // Show the new lifetime value on the GHL contact
+    await this.syncLeadToGHL(updatedLead);
+    
+    // Tell Google Ads / Meta the click turned into revenue
+    await this.queueOfflineConversions(updatedLead, paymentData);
+    
+    // Automatically update Monthly Summary table (skip payments already in the ledger)
+    if (updatedLead.isNewPayment) {
+      await this.updateMonthlySummary(updatedLead, paymentData);
+    } else {
+      console.log(`Payment ${paymentData.id} was already recorded, Monthly Summary left unchanged`);
+    }
+    
+    return updatedLead;
+  }
+
+  /**
+   * Record an identity link between a lead, its HCP/GHL contact and a QBO customer
+   * @param {Object} leadRecord - Lead record ({ id, fields })
+   * @param {string} qboCustomerId - QBO Customer ID
+   * @param {string} linkSource - Auto Match or Manual
+   */
+  async linkCustomerToLead(leadRecord, qboCustomerId, linkSource) {
+    if (!qboCustomerId) {
+      return;
+    }
+    
+    try {
+      await this.airtable.saveIdentityLink({
+        leadId: leadRecord.id,
+        qboCustomerId,
+        contactId: leadRecord.fields['HCP Customer ID'],
+        linkSource
+      });
+    } catch (error) {
+      console.error('Error saving identity link:', error);
+      // Don't throw - the payment has already been applied
+    }
+  }
+
+  /**
+   * Write a lead's Airtable record ID and net paid revenue to its GHL contact
+   * Skipped in dry runs and for leads without a GHL Contact ID; failures are logged, not thrown.
+   * @param {Object} leadRecord - Lead record ({ id, fields })
+   */
+  async syncLeadToGHL(leadRecord) {
+    if (!leadRecord || !this.ghl || this.airtable.isDryRun()) {
+      return;
+    }
+    
+    try {
+      const result = await this.ghl.syncLeadToContact(leadRecord);
+      if (!result.skipped) {
+        console.log(`✅ GHL contact ${result.contactId} updated for lead ${leadRecord.id}`);
+      }
+    } catch (error) {
+      console.error(`Error syncing lead ${leadRecord.id} to Go High Level:`, error.message);
+      // Don't throw - the lead has already been updated in Airtable
+    }
+  }
+
+  /**
+   * Queue offline conversions for a new payment on a lead with a click ID, and try to deliver them right away
+   * Failures are logged, not thrown; undelivered conversions stay in the queue for /api/offline-conversions/flush.
+   * @param {Object} leadRecord - Lead record from AirtableAPI.updateLeadPayment
+   * @param {Object} paymentData - Payment information from QuickBooks
+   */
+  async queueOfflineConversions(leadRecord, paymentData) {
+    if (!this.conversions) {
+      return;
+    }
+    
+    try {
+      const queued = await this.conversions.queueForPayment(leadRecord, paymentData);
+      if (queued.length > 0) {
+        await this.conversions.deliver(queued);
+      }
+    } catch (error) {
+      console.error(`Error queueing offline conversions for payment ${paymentData.id}:`, error.message);
+      // Don't throw - the payment has already been applied
+    }
+  }
+
+  /**
+   * Cancel or revalue unsent offline conversions after a payment is edited, voided or deleted
+   * Failures are logged, not thrown, like queueOfflineConversions.
+   * @param {Object} paymentData - Payment information from QuickBooks
+   * @param {number} amount - The payment's amount now (0 for a void or delete)
+   */
+  async adjustOfflineConversions(paymentData, amount) {
+    if (!this.conversions) {
+      return;
+    }
+    
+    try {
+      await this.conversions.adjustForPayment(paymentData, amount);
+    } catch (error) {
+      console.error(`Error adjusting offline conversions for payment ${paymentData.id}:`, error.message);
+      // Don't throw - the payment change has already been applied
+    }
+  }
+
+  /**
+   * Add a newly applied payment to its month's Monthly Summary
+   * @param {Object} leadRecord - Updated lead record
+   * @param {Object} paymentData - Payment information from QuickBooks
+   */
+  async updateMonthlySummary(leadRecord, paymentData) {
+    try {
+      // Extract month and year from payment date
+      const date = new Date(paymentData.paymentDate || new Date());
+      const month = date.getMonth() + 1; // JavaScript months are 0-indexed
+      const year = date.getFullYear();
+      
+      console.log(`Updating Monthly Summary for ${month}/${year}`);
+      
+      // Get the lead source from the updated lead record
+      const leadSource = leadRecord.fields['Lead Source'] || 'Unknown';
+      const paymentAmount = parseFloat(paymentData.amount) || 0;
+      
+      // Update or create the monthly summary
+      await this.airtable.updateMonthlySummaryWithPayment({
+        month,
+        year,
+        leadSource,
+        paymentAmount,
+        customerName: paymentData.customerName,
+        leadId: leadRecord.id,
+        paymentId: paymentData.id
+      });
+      
+      console.log(`✅ Monthly Summary updated for ${month}/${year} - ${leadSource}: +${Utils.formatCurrency(paymentAmount)}`);
+    } catch (error) {
+      console.error('Error updating monthly summary:', error);
+      // Don't throw - we don't want to fail the payment processing if summary update fails
+    }
+  }
+}
+
+module.exports = PaymentApplier;
@@ -0,0 +1,517 @@
+require('dotenv').config();
+
+/**
+ * Pipeline stages in funnel order, with the lead field holding the time each was first reached
+ * The lead stage is the lead's own Date Created; the others are written by the pipeline sync.
+ */
+const PIPELINE_STAGES = [
+  { key: 'lead', label: 'Lead', field: 'Date Created' },
+  { key: 'estimateSent', label: 'Estimate Sent', field: 'Estimate Sent At' },
+  { key: 'estimateApproved', label: 'Estimate Approved', field: 'Estimate Approved At' },
+  { key: 'jobScheduled', label: 'Job Scheduled', field: 'Job Scheduled At' },
+  { key: 'jobCompleted', label: 'Job Completed', field: 'Job Completed At' },
+  { key: 'invoiced', label: 'Invoiced', field: 'Invoiced At' },
+  { key: 'paid', label: 'Paid', field: 'Paid At' }
+];
+
+// HCP work statuses of jobs that never happened
+const CANCELED_JOB_STATUSES = ['user canceled', 'pro canceled'];
+
+/**
+ * HCP webhook events that mean a stage was reached, for payloads that don't carry the stage's own timestamp
+ */
+const HCP_EVENT_STAGES = {
+  'estimate.sent': 'estimateSent',
+  'estimate.approved': 'estimateApproved',
+  'estimate.option.approved': 'estimateApproved',
+  'job.scheduled': 'jobScheduled',
+  'job.completed': 'jobCompleted',
+  'invoice.sent': 'invoiced',
+  'invoice.paid': 'paid',
+  'job.paid': 'paid'
+};
+
+// HCP webhook event families that update the pipeline
+const HCP_PIPELINE_ENTITIES = ['job', 'estimate', 'invoice'];
+
+// Lead fields holding job value and what HCP recorded as paid
+const VALUE_FIELDS = ['Job Value', 'HCP Paid Amount', 'HCP Jobs', 'HCP Invoices'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lead pipeline tracking from lead to estimate to job to paid invoice
+ * Pulls each lead's HouseCall Pro estimates, jobs and invoices (by HCP Customer ID), or takes them from HCP
+ * webhooks as they happen, records when the lead first reached each stage and its job value, and reports a
+ * per-source conversion funnel with time-to-revenue.
+ */
+class PipelineTracker {
+  /**
+   * @param {AirtableAPI} airtable - Airtable client
+   * @param {HouseCallProAPI} hcp - HouseCall Pro client
+   */
+  constructor(airtable, hcp) {
+    this.airtable = airtable;
+    this.hcp = hcp;
+  }
+
+  /**
+   * Sync the pipeline stages of leads created in a date range (or of specific leads)
+   * A lead that fails is reported and the sync moves on to the next one.
+   * @param {Object} params - Sync parameters
+   * @param {string} params.startDate - First Date Created (YYYY-MM-DD, optional)
+   * @param {string} params.endDate - Last Date Created (YYYY-MM-DD, optional)
+   * @param {Array} params.leadIds - Airtable record IDs to sync instead of a date range (optional)
+   * @returns {Object} { counts, leads }
+   */
+  async sync({ startDate = null, endDate = null, leadIds = null } = {}) {
+    const leads = await this.airtable.getLeadsForPipeline({ startDate, endDate, leadIds }, this.getLeadFields());
+    console.log(`Syncing pipeline stages for ${leads.length} lead(s)`);
+    
+    const results = [];
+    for (const lead of leads) {
+      if (!lead.fields['HCP Customer ID']) {
+        results.push({ leadId: lead.id, customerName: lead.fields['Customer Name'], status: 'skipped', reason: 'No HCP Customer ID' });
+        continue;
+      }
+      
+      try {
+        results.push(await this.syncLead(lead));
+      } catch (error) {
+        console.error(`Error syncing pipeline for lead ${lead.id}:`, error);
+        results.push({ leadId: lead.id, customerName: lead.fields['Customer Name'], status: 'failed', error: error.message });
+      }
+    }
+    
+    const counts = { updated: 0, unchanged: 0, skipped: 0, failed: 0 };
+    results.forEach(result => {
+      counts[result.status]++;
+    });
+    
+    console.log('✅ Pipeline sync complete:', counts);
+    return { counts, leads: results };
+  }
+
+  /**
+   * Recompute one lead's stage timestamps and job value from HouseCall Pro and its payments, and write any that changed
+   * @param {Object} lead - Lead record ({ id, fields }) with an HCP Customer ID
+   * @returns {Object} { leadId, customerName, status, stage, stages, changes }
+   */
+  async syncLead(lead) {
+    const customerId = lead.fields['HCP Customer ID'];
+    
+    const estimates = await this.hcp.getEstimates(customerId);
+    const allJobs = await this.hcp.getJobs(customerId);
+    const jobs = allJobs.filter(job => !this.isCanceledJob(job));
+    
+    const invoices = [];
+    for (const job of jobs) {
+      invoices.push(...await this.hcp.getJobInvoices(job.id));
+    }
+    const payments = await this.airtable.getPaymentsForLead(lead.id);
+    
+    const stages = {
+      lead: this.toTimestamp(lead.fields['Date Created']),
+      ...this.extractStages({ estimates, jobs, invoices, payments })
+    };
+    
+    const fields = {
+      ...this.formatStageFields(stages),
+      ...this.formatValueFields(allJobs.map(job => this.summarizeJob(job)), invoices.map(invoice => this.summarizeInvoice(invoice)))
+    };
+    const changes = this.diffLeadFields(lead.fields, fields);
+    
+    const result = {
+      leadId: lead.id,
+      customerName: lead.fields['Customer Name'],
+      status: changes.length > 0 ? 'updated' : 'unchanged',
+      stage: fields['Pipeline Stage'],
+      stages,
+      changes
+    };
+    
+    if (changes.length > 0) {
+      await this.airtable.updateLeadPipeline(lead.id, {
+        ...fields,
+        'Pipeline Synced At': new Date().toISOString()
+      });
+      console.log(`Pipeline for ${lead.fields['Customer Name']} updated: ${fields['Pipeline Stage']}`);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Whether an HCP webhook event belongs to the job, estimate or invoice family
+   * @param {string} eventType - HCP event type, e.g. 'job.completed'
+   * @returns {boolean} Whether handleHCPEvent processes it
+   */
+  isPipelineEvent(eventType) {
+    return HCP_PIPELINE_ENTITIES.includes(String(eventType || '').split('.')[0]);
+  }
+
+  /**
+   * Update a lead's stages and job value from an HCP job, estimate or invoice webhook
+   * Works from the payload alone (no HCP API calls). Stage timestamps only move earlier, so a late or replayed
+   * event never undoes progress; a canceled or deleted job drops out of the lead's job value and job stages.
+   * @param {Object} webhookData - HCP webhook payload ({ event_type, job | estimate | invoice, timestamp })
+   * @returns {Object} { leadId, customerName, eventType, stage, changes }, or { skipped, reason } when no lead matches
+   */
+  async handleHCPEvent(webhookData) {
+    try {
+      const eventType = webhookData.event_type;
+      const entityName = eventType.split('.')[0];
+      const entity = webhookData[entityName] || webhookData.data || {};
+      
+      const customerId = entity.customer?.id || entity.customer_id || webhookData.customer?.id;
+      if (!customerId) {
+        return { skipped: true, reason: `No customer ID on ${eventType} webhook` };
+      }
+      
+      const lead = await this.airtable.findLeadByHCPCustomerId(customerId, this.getLeadFields());
+      if (!lead) {
+        return { skipped: true, reason: `No lead with HCP Customer ID ${customerId}` };
+      }
+      
+      const canceled = entityName === 'job' && (this.isCanceledJob(entity) || /\.(canceled|deleted)$/.test(eventType));
+      const eventStages = this.extractStages({
+        estimates: entityName === 'estimate' ? [entity] : [],
+        jobs: entityName === 'job' && !canceled ? [entity] : [],
+        invoices: entityName === 'invoice' ? [entity] : []
+      });
+      
+      const eventStage = HCP_EVENT_STAGES[eventType];
+      if (eventStage && !eventStages[eventStage]) {
+        eventStages[eventStage] = this.toTimestamp(webhookData.timestamp) || new Date().toISOString();
+      }
+      
+      // Keep the earliest time each stage was reached
+      const stages = { lead: this.toTimestamp(lead.fields['Date Created']) };
+      PIPELINE_STAGES.slice(1).forEach(stage => {
+        stages[stage.key] = this.earliest([lead.fields[stage.field], eventStages[stage.key]]);
+      });
+      
+      const jobs = this.parseJSON(lead.fields['HCP Jobs']);
+      const invoices = this.parseJSON(lead.fields['HCP Invoices']);
+      if (entityName === 'job' && entity.id) {
+        const previous = jobs[entity.id] || {};
+        jobs[entity.id] = {
+          ...this.summarizeJob(entity),
+          scheduledAt: this.earliest([previous.scheduledAt, eventStages.jobScheduled]),
+          completedAt: this.earliest([previous.completedAt, eventStages.jobCompleted]),
+          ...(canceled ? { canceled: true } : {})
+        };
+        
+        // Job stages come from the jobs that still stand, so canceling the only scheduled job takes the lead back
+        Object.assign(stages, this.extractJobStages(Object.values(jobs), lead.fields));
+      }
+      if (entityName === 'invoice' && entity.id) {
+        invoices[entity.id] = this.summarizeInvoice(entity);
+        if (eventType === 'invoice.paid' && !invoices[entity.id].paid) {
+          invoices[entity.id] = { ...invoices[entity.id], paid: true, paidAt: eventStages.paid };
+        }
+      }
+      
+      const fields = {
+        ...this.formatStageFields(stages),
+        ...this.formatValueFields(Object.values(jobs), Object.values(invoices))
+      };
+      const changes = this.diffLeadFields(lead.fields, fields);
+      
+      if (changes.length > 0) {
+        await this.airtable.updateLeadPipeline(lead.id, fields);
+      }
+      console.log(`HCP ${eventType} applied to ${lead.fields['Customer Name']}: ${fields['Pipeline Stage']}, job value ${fields['Job Value']}`);
+      
+      return {
+        leadId: lead.id,
+        customerName: lead.fields['Customer Name'],
+        eventType,
+        stage: fields['Pipeline Stage'],
+        changes
+      };
+    } catch (error) {
+      console.error('Error handling HCP pipeline webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find when each stage after the lead was first reached
+   * Canceled jobs should be filtered out by the caller. Payments come from the Payments ledger (QuickBooks),
+   * falling back to the paid time HCP records on the invoice.
+   * @param {Object} records - { estimates, jobs, invoices, payments }
+   * @returns {Object} Map of stage key to ISO timestamp (null when not reached)
+   */
+  extractStages({ estimates = [], jobs = [], invoices = [], payments = [] }) {
+    const options = estimates.flatMap(estimate => (estimate.options || []).map(option => ({ estimate, option })));
+    const approved = options.filter(({ option }) => ['approved', 'pro approved'].includes(String(option.approval_status || '').toLowerCase()));
+    const billed = invoices.filter(invoice => !['draft', 'canceled', 'voided'].includes(String(invoice.status || '').toLowerCase()));
+    
+    return {
+      estimateSent: this.earliest(estimates.map(estimate => estimate.sent_at
+        || this.earliest((estimate.options || []).map(option => option.sent_at))
+        || estimate.created_at)),
+      estimateApproved: this.earliest(approved.map(({ estimate, option }) => option.approved_at || option.updated_at || estimate.updated_at)),
+      jobScheduled: this.earliest(jobs.map(job => job.schedule?.scheduled_start)),
+      jobCompleted: this.earliest(jobs.map(job => job.work_timestamps?.completed_at)),
+      invoiced: this.earliest(billed.map(invoice => invoice.sent_at || invoice.invoice_date)),
+      paid: this.earliest(payments.map(payment => payment.fields['Payment Date']))
+        || this.earliest(billed.map(invoice => invoice.paid_at))
+    };
+  }
+
+  /**
+   * Lead fields for a set of stage timestamps, including the furthest stage reached
+   * @param {Object} stages - Map of stage key to ISO timestamp
+   * @returns {Object} Airtable fields (the lead stage's Date Created is never written)
+   */
+  formatStageFields(stages) {
+    const fields = {};
+    PIPELINE_STAGES.slice(1).forEach(stage => {
+      fields[stage.field] = stages[stage.key] || null;
+    });
+    
+    const furthest = [...PIPELINE_STAGES].reverse().find(stage => stages[stage.key]);
+    fields['Pipeline Stage'] = furthest ? furthest.label : PIPELINE_STAGES[0].label;
+    
+    return fields;
+  }
+
+  /**
+   * Job stage timestamps from the lead's job summaries, ignoring canceled jobs
+   * Summaries stored before they carried scheduledAt/completedAt can't be recomputed, so while any remain the
+   * lead's stored timestamps are kept alongside them.
+   * @param {Array} jobs - Job summaries (see summarizeJob)
+   * @param {Object} storedFields - Lead fields
+   * @returns {Object} { jobScheduled, jobCompleted }
+   */
+  extractJobStages(jobs, storedFields) {
+    const standing = jobs.filter(job => !job.canceled);
+    const legacy = standing.some(job => !('scheduledAt' in job));
+    
+    return {
+      jobScheduled: this.earliest([...standing.map(job => job.scheduledAt), legacy ? storedFields['Job Scheduled At'] : null]),
+      jobCompleted: this.earliest([...standing.map(job => job.completedAt), legacy ? storedFields['Job Completed At'] : null])
+    };
+  }
+
+  /**
+   * Summarize an HCP job for the lead's HCP Jobs field (HCP amounts are in cents)
+   */
+  summarizeJob(job) {
+    return {
+      id: job.id,
+      total: (parseFloat(job.total_amount) || 0) / 100,
+      status: job.work_status || null,
+      invoiceNumber: job.invoice_number || null,
+      scheduledAt: this.toTimestamp(job.schedule?.scheduled_start),
+      completedAt: this.toTimestamp(job.work_timestamps?.completed_at),
+      ...(this.isCanceledJob(job) ? { canceled: true } : {})
+    };
+  }
+
+  /**
+   * Summarize an HCP invoice for the lead's HCP Invoices field (HCP amounts are in cents)
+   */
+  summarizeInvoice(invoice) {
+    const status = String(invoice.status || '').toLowerCase();
+    
+    return {
+      id: invoice.id,
+      jobId: invoice.job_id || null,
+      amount: (parseFloat(invoice.amount) || 0) / 100,
+      status: invoice.status || null,
+      paid: status === 'paid' || Boolean(invoice.paid_at),
+      paidAt: this.toTimestamp(invoice.paid_at)
+    };
+  }
+
+  /**
+   * Lead fields for the job value and what HCP recorded as paid
+   * @param {Array} jobs - Job summaries (see summarizeJob)
+   * @param {Array} invoices - Invoice summaries (see summarizeInvoice)
+   * @returns {Object} Airtable fields: Job Value (non-canceled jobs), HCP Paid Amount (paid invoices) and the JSON detail
+   */
+  formatValueFields(jobs, invoices) {
+    return {
+      'Job Value': jobs.filter(job => !job.canceled).reduce((sum, job) => sum + job.total, 0),
+      'HCP Paid Amount': invoices.filter(invoice => invoice.paid).reduce((sum, invoice) => sum + invoice.amount, 0),
+      'HCP Jobs': JSON.stringify(Object.fromEntries(jobs.map(job => [job.id, job]))),
+      'HCP Invoices': JSON.stringify(Object.fromEntries(invoices.map(invoice => [invoice.id, invoice])))
+    };
+  }
+
+  /**
+   * List the pipeline fields that differ from the lead's stored values
+   * @returns {Array} Changes as { field, before, after }
+   */
+  diffLeadFields(storedFields, fields) {
+    const timestampFields = PIPELINE_STAGES.map(stage => stage.field);
+    
+    return Object.entries(fields)
+      .filter(([field, value]) => (timestampFields.includes(field)
+        ? !this.sameTimestamp(storedFields[field], value)
+        : (storedFields[field] ?? null) !== value))
+      .map(([field, value]) => ({ field, before: storedFields[field] ?? null, after: value }));
+  }
+
+  /**
+   * Whether an HCP job was canceled by the customer or the pro
+   */
+  isCanceledJob(job) {
+    return CANCELED_JOB_STATUSES.includes(String(job.work_status || '').toLowerCase());
+  }
+
+  /**
+   * Parse a JSON object field, treating a missing or broken value as empty
+   */
+  parseJSON(value) {
+    try {
+      return JSON.parse(value || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Build the conversion funnel per lead source for leads created in a date range
+   * A lead counts at a stage when it reached that stage or any later one (e.g. a job booked without an estimate
+   * still counts as estimate approved), so each stage's count never exceeds the one before it.
+   * @param {Object} params - { startDate, endDate } (YYYY-MM-DD, optional)
+   * @returns {Object} { startDate, endDate, stages, total, bySource }
+   */
+  async buildFunnel({ startDate = null, endDate = null } = {}) {
+    try {
+      const leads = await this.airtable.getLeadsForPipeline({ startDate, endDate }, this.getLeadFields());
+      
+      const leadsBySource = {};
+      leads.forEach(lead => {
+        const source = lead.fields['Lead Source'] || 'Unknown';
+        (leadsBySource[source] = leadsBySource[source] || []).push(lead);
+      });
+      
+      const bySource = {};
+      Object.entries(leadsBySource).forEach(([source, sourceLeads]) => {
+        bySource[source] = this.summarizeFunnel(sourceLeads);
+      });
+      
+      return {
+        startDate,
+        endDate,
+        stages: PIPELINE_STAGES.map(stage => ({ key: stage.key, label: stage.label })),
+        total: this.summarizeFunnel(leads),
+        bySource
+      };
+    } catch (error) {
+      console.error('Error building pipeline funnel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Funnel counts, conversion rates and stage timing for a group of leads
+   * @param {Array} leads - Lead records
+   * @returns {Object} { leads, stages, timeToRevenue } - stages maps each key to { count, conversionRate,
+   *   overallRate, averageDaysFromLead }; rates are percentages (null without a denominator)
+   */
+  summarizeFunnel(leads) {
+    const reached = leads.map(lead => {
+      const timestamps = PIPELINE_STAGES.map(stage => this.toTimestamp(lead.fields[stage.field]));
+      const furthest = timestamps.reduce((last, timestamp, index) => (timestamp ? index : last), 0);
+      return { timestamps, furthest };
+    });
+    
+    const stages = {};
+    let previousCount = leads.length;
+    PIPELINE_STAGES.forEach((stage, index) => {
+      const count = reached.filter(lead => lead.furthest >= index).length;
+      const days = reached
+        .map(lead => this.daysBetween(lead.timestamps[0], lead.timestamps[index]))
+        .filter(value => value !== null);
+      
+      stages[stage.key] = {
+        count,
+        conversionRate: previousCount > 0 ? (count / previousCount) * 100 : null,
+        overallRate: leads.length > 0 ? (count / leads.length) * 100 : null,
+        averageDaysFromLead: index > 0 && days.length > 0 ? days.reduce((sum, value) => sum + value, 0) / days.length : null
+      };
+      previousCount = count;
+    });
+    
+    const paidIndex = PIPELINE_STAGES.length - 1;
+    const daysToRevenue = reached
+      .map(lead => this.daysBetween(lead.timestamps[0], lead.timestamps[paidIndex]))
+      .filter(value => value !== null)
+      .sort((a, b) => a - b);
+    
+    return {
+      leads: leads.length,
+      stages,
+      timeToRevenue: {
+        paidLeads: daysToRevenue.length,
+        averageDays: daysToRevenue.length > 0 ? daysToRevenue.reduce((sum, value) => sum + value, 0) / daysToRevenue.length : null,
+        medianDays: this.median(daysToRevenue)
+      }
+    };
+  }
+
+  /**
+   * Lead fields the sync and funnel read
+   */
+  getLeadFields() {
+    return ['Customer Name', 'Lead Source', 'HCP Customer ID', 'Pipeline Stage', ...PIPELINE_STAGES.map(stage => stage.field), ...VALUE_FIELDS];
+  }
+
+  /**
+   * Earliest of a list of dates, as an ISO timestamp (null if none are valid)
+   */
+  earliest(values) {
+    const timestamps = values.map(value => this.toTimestamp(value)).filter(Boolean);
+    if (timestamps.length === 0) return null;
+    
+    return timestamps.reduce((first, timestamp) => (Date.parse(timestamp) < Date.parse(first) ? timestamp : first));
+  }
+
+  /**
+   * Normalize a date or date-time to an ISO timestamp (null if missing or invalid)
+   */
+  toTimestamp(value) {
+    if (!value) return null;
+    
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  /**
+   * Whole and fractional days from one timestamp to another (null unless both are set)
+   */
+  daysBetween(from, to) {
+    if (!from || !to) return null;
+    
+    return Math.max(0, (Date.parse(to) - Date.parse(from)) / DAY_MS);
+  }
+
+  /**
+   * Median of a sorted list of numbers (null when empty)
+   */
+  median(values) {
+    if (values.length === 0) return null;
+    
+    const middle = Math.floor(values.length / 2);
+    return values.length % 2 === 0 ? (values[middle - 1] + values[middle]) / 2 : values[middle];
+  }
+
+  /**
+   * Compare a stored timestamp with a computed one; Airtable may drop the milliseconds
+   */
+  sameTimestamp(stored, computed) {
+    if (!stored || !computed) return !stored && !computed;
+    
+    return Math.abs(Date.parse(stored) - Date.parse(computed)) < 1000;
+  }
+}
+
+PipelineTracker.STAGES = PIPELINE_STAGES;
+
+module.exports = PipelineTracker;
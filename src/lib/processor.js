@@ -0,0 +1,561 @@
+const Utils = require('./utils');
+require('dotenv').config();
+
+/**
+ * Processes HCP, GHL and QuickBooks webhook payloads
+ * Shared by the Netlify function and the local server, so both turn the same webhook into the same
+ * leads, touchpoints, ledger entries and Monthly Summary changes, and replay stored events the same way.
+ */
+class WebhookProcessor {
+  /**
+   * @param {AirtableAPI} airtable - Airtable client
+   * @param {Object} options - Collaborators
+   * @param {QuickBooksAPI} options.qbo - QuickBooks client payments and refunds are fetched through
+   * @param {HouseCallProAPI} options.hcp - HouseCall Pro client (optional; direct HCP customer webhooks need it)
+   * @param {GoHighLevelAPI} options.ghl - GHL client webhooks are enriched and normalized through
+   * @param {LeadMatcher} options.matcher - Payment-to-lead matcher
+   * @param {TouchpointAttribution} options.touchpoints - Touchpoint history
+   * @param {PipelineTracker} options.pipeline - Lead pipeline stages
+   * @param {PaymentApplier} options.payments - Applies matched payments to leads
+   */
+  constructor(airtable, options = {}) {
+    this.airtable = airtable;
+    this.qbo = options.qbo;
+    this.hcp = options.hcp || null;
+    this.ghl = options.ghl;
+    this.matcher = options.matcher;
+    this.touchpoints = options.touchpoints;
+    this.pipeline = options.pipeline;
+    this.payments = options.payments;
+  }
+
+  /**
+   * Route an HCP or GHL webhook payload to the matching processor
+   * @param {Object} webhookData - Parsed webhook payload
+   * @returns {Object} Processor result, or { skipped, reason } for unrecognized payloads
+   */
+  async processHCPPayload(webhookData) {
+    // Handle customer.created and customer.updated events (HCP format); updates carry tag changes
+    if (webhookData.event_type === 'customer.created' || webhookData.event_type === 'customer.updated') {
+      console.log(`Processing HCP ${webhookData.event_type} webhook`);
+      return await this.processNewCustomer(webhookData);
+    }
+    // Handle job, estimate and invoice events (HCP format); they move the lead through the pipeline
+    else if (webhookData.event_type && this.pipeline.isPipelineEvent(webhookData.event_type)) {
+      console.log(`Processing HCP ${webhookData.event_type} webhook`);
+      return await this.pipeline.handleHCPEvent(webhookData);
+    }
+    // Handle GHL format (no event_type, but has contact_id and contact_type)
+    else if (webhookData.contact_id && webhookData.contact_type === 'lead') {
+      console.log('Processing GHL lead webhook');
+      return await this.processGHLLead(webhookData);
+    }
+    // Handle GHL format (contact_id exists, regardless of contact_type)
+    else if (webhookData.contact_id) {
+      console.log('Processing GHL webhook (contact_id detected)');
+      return await this.processGHLLead(webhookData);
+    }
+    else {
+      console.log('Unrecognized webhook format - neither HCP nor GHL format detected');
+      console.log('Available fields:', Object.keys(webhookData));
+      return { skipped: true, reason: 'Unrecognized webhook format' };
+    }
+  }
+
+  /**
+   * Fetch and process a single QBO entity change from a webhook notification
+   * @param {Object} notification - One of the webhook's eventNotifications
+   * @param {Object} entity - One of the notification's changed entities
+   * @returns {Array|Object} Processed payment or refund data, or { skipped, reason } for other entities
+   */
+  async processQBOEntity(notification, entity) {
+    // Narrow the notification to this entity so the QuickBooksAPI handlers only fetch it
+    const entityPayload = {
+      eventNotifications: [{
+        ...notification,
+        dataChangeEvent: { entities: [entity] }
+      }]
+    };
+    
+    if (entity.name === 'Payment') {
+      const paymentData = await this.qbo.handlePaymentReceived(entityPayload);
+      for (const payment of paymentData) {
+        await this.processPaymentEvent(payment);
+      }
+      return paymentData;
+    }
+    
+    if (entity.name === 'RefundReceipt' || entity.name === 'CreditMemo') {
+      const refundData = await this.qbo.handleRefundsAndCredits(entityPayload);
+      for (const refund of refundData) {
+        await this.processRefundEvent(refund);
+      }
+      return refundData;
+    }
+    
+    console.log(`Ignoring unsupported QuickBooks entity: ${entity.name}`);
+    return { skipped: true, reason: `Unsupported entity ${entity.name}` };
+  }
+
+  /**
+   * Re-run a stored webhook event through the same processors as live webhooks
+   * With dryRun, Airtable writes are captured and returned instead of applied.
+   * @param {Object} event - Webhook event from AirtableAPI.getWebhookEvent, with its payload
+   * @param {boolean} dryRun - Capture writes instead of applying them
+   * @returns {Object} { eventId, status | dryRun, result, writes, error }
+   */
+  async replayWebhookEvent(event, dryRun = false) {
+    if (!event.payload) {
+      return { eventId: event.id, error: 'Webhook event has no stored payload' };
+    }
+    
+    const run = () => {
+      if (event.source !== 'QBO') {
+        return this.processHCPPayload(event.payload);
+      }
+      
+      // The stored payload is the whole notification; replay only this event's entity
+      const entityName = event.eventType.split('.')[0];
+      for (const notification of event.payload.eventNotifications || []) {
+        const entity = notification.dataChangeEvent.entities.find(candidate =>
+          candidate.name === entityName && String(candidate.id) === String(event.entityId)
+        );
+        if (entity) {
+          return this.processQBOEntity(notification, entity);
+        }
+      }
+      
+      throw new Error(`Entity ${entityName} ${event.entityId} not found in stored payload`);
+    };
+    
+    console.log(`Replaying webhook event ${event.eventKey}${dryRun ? ' (dry run)' : ''}`);
+    
+    if (dryRun) {
+      try {
+        const { result, writes } = await this.airtable.dryRun(run);
+        return { eventId: event.id, dryRun: true, result, writes };
+      } catch (error) {
+        return { eventId: event.id, dryRun: true, error: error.message };
+      }
+    }
+    
+    try {
+      const result = await run();
+      const status = result && result.skipped ? 'Skipped' : 'Processed';
+      const updated = await this.airtable.updateWebhookEventStatus(event.id, status, {
+        attempts: event.attempts + 1,
+        error: result && result.skipped ? result.reason : '',
+        replayed: true
+      });
+      return { eventId: event.id, status: updated.status, result };
+    } catch (error) {
+      console.error(`Error replaying webhook event ${event.eventKey}:`, error);
+      await this.airtable.updateWebhookEventStatus(event.id, 'Failed', {
+        attempts: event.attempts + 1,
+        error: error.message,
+        replayed: true
+      });
+      return { eventId: event.id, status: 'Failed', error: error.message };
+    }
+  }
+
+  /**
+   * Process a new or updated customer from HouseCall Pro (direct format)
+   * @param {Object} webhookData - HCP customer.created or customer.updated payload
+   * @returns {Object} Created or updated lead record
+   */
+  async processNewCustomer(webhookData) {
+    try {
+      console.log('Processing new customer from HouseCall Pro');
+      
+      if (!this.hcp) {
+        throw new Error('HouseCall Pro API not configured. Use GHL integration path instead.');
+      }
+      
+      // Extract customer data from webhook
+      const customerData = await this.hcp.handleCustomerCreated(webhookData);
+      
+      // Upsert lead record in Airtable, so customer.updated refreshes the lead instead of duplicating it
+      const leadRecord = await this.airtable.upsertLead(customerData);
+      
+      if (leadRecord.wasUpdated) {
+        console.log(`✅ Existing lead updated in Airtable: ${customerData.name} (ID: ${leadRecord.id})`);
+      } else {
+        console.log(`✅ New lead created in Airtable: ${customerData.name} (ID: ${leadRecord.id})`);
+      }
+      
+      await this.touchpoints.recordLeadTouchpoints(leadRecord, customerData, 'HCP Webhook');
+      
+      return leadRecord;
+    } catch (error) {
+      console.error('Error processing new customer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Process a new or repeated lead from Go High Level
+   * @param {Object} webhookData - GHL workflow webhook payload
+   * @returns {Object} Created or updated lead record
+   */
+  async processGHLLead(webhookData) {
+    try {
+      console.log('Processing new lead from Go High Level');
+      
+      // Fill in fields the workflow didn't send from the GHL contact (needs GHL_API_KEY)
+      const contactData = await this.ghl.enrichWebhook(webhookData);
+      
+      // Transform GHL data to our expected format
+      const customerData = this.ghl.extractCustomerFromWebhook(contactData);
+      
+      console.log(`Transformed GHL lead: ${customerData.name} (${customerData.email})`);
+      
+      // Upsert lead record in Airtable (create or update based on Customer Name)
+      const leadRecord = await this.airtable.upsertLead(customerData);
+      
+      if (leadRecord.wasUpdated) {
+        console.log(`✅ Existing GHL lead updated in Airtable: ${customerData.name} (ID: ${leadRecord.id})`);
+      } else {
+        console.log(`✅ New GHL lead created in Airtable: ${customerData.name} (ID: ${leadRecord.id})`);
+      }
+      
+      // Add this webhook's lead source and any new source tags to the lead's touchpoint history
+      await this.touchpoints.recordLeadTouchpoints(leadRecord, customerData, 'GHL Webhook');
+      
+      // Give the GHL contact its Airtable record ID
+      await this.payments.syncLeadToGHL(leadRecord);
+      
+      return leadRecord;
+    } catch (error) {
+      console.error('Error processing GHL lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Route a QuickBooks payment event by its operation (Create, Update, Delete, Void)
+   * @param {Object} paymentData - Payment data from QuickBooksAPI.extractPaymentData
+   */
+  async processPaymentEvent(paymentData) {
+    switch (paymentData.operation) {
+      case 'Update':
+        return await this.processPaymentUpdated(paymentData);
+      case 'Delete':
+      case 'Void':
+        return await this.processPaymentReversed(paymentData);
+      default:
+        return await this.processPaymentReceived(paymentData);
+    }
+  }
+
+  /**
+   * Process payment received from QuickBooks
+   * Confident matches are applied; the rest are queued as unmatched payments for manual review.
+   * @param {Object} paymentData - Payment data from QuickBooksAPI.extractPaymentData
+   * @returns {Object|null} Updated lead record, or null if the payment was queued
+   */
+  async processPaymentReceived(paymentData) {
+    try {
+      console.log(`Processing payment: ${paymentData.customerName} - ${Utils.formatCurrency(paymentData.amount)}`);
+      
+      // Score leads on QBO Customer ID, email, phone, address and name
+      const matchResult = await this.matcher.match(paymentData);
+      
+      if (matchResult.autoApply) {
+        return await this.payments.apply(matchResult.bestMatch.leadId, paymentData);
+      } else {
+        console.warn(`⚠️  No confident lead match for customer: ${paymentData.customerName} (${matchResult.reason})`);
+        
+        // Persist for manual review so the payment can be linked and replayed later
+        const unmatched = await this.airtable.saveUnmatchedPayment(paymentData, matchResult.reason, matchResult.candidates);
+        console.log(`Payment queued for manual review (Unmatched Payment ID: ${unmatched.id})`);
+        
+        return null;
+      }
+    } catch (error) {
+      console.error('Error processing payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Process a payment edited in QuickBooks, adjusting the lead and Monthly Summary by the difference
+   * @param {Object} paymentData - Payment data from QuickBooksAPI.extractPaymentData
+   * @returns {Object|null} Updated lead record, or null if the payment was already reversed
+   */
+  async processPaymentUpdated(paymentData) {
+    try {
+      console.log(`Processing payment update: ${paymentData.id} - ${Utils.formatCurrency(paymentData.amount)}`);
+      
+      const existing = await this.airtable.getPaymentByQboId(paymentData.id);
+      
+      // Payments that never reached the ledger (e.g. still unmatched) go through normal matching
+      if (!existing) {
+        console.log(`Payment ${paymentData.id} is not in the ledger yet, processing as a new payment`);
+        return await this.processPaymentReceived(paymentData);
+      }
+      
+      if (this.isReversedPayment(existing)) {
+        console.warn(`⚠️  Ignoring update for payment ${paymentData.id}, it is already ${existing.fields['Status']}`);
+        return null;
+      }
+      
+      const previous = this.getLedgerPaymentSnapshot(existing);
+      const updatedLead = await this.airtable.updateLeadPayment(previous.leadId, paymentData);
+      await this.payments.syncLeadToGHL(updatedLead);
+      const current = {
+        ...previous,
+        amount: parseFloat(paymentData.amount) || 0,
+        paymentDate: paymentData.paymentDate,
+        leadSource: updatedLead.fields['Lead Source'] || 'Unknown'
+      };
+      
+      if (current.amount === previous.amount && current.paymentDate === previous.paymentDate && current.leadSource === previous.leadSource) {
+        console.log(`Payment ${paymentData.id} updated without a revenue change, Monthly Summary left unchanged`);
+        return updatedLead;
+      }
+      
+      await this.airtable.recordPaymentAdjustment({
+        paymentId: paymentData.id,
+        operation: 'Update',
+        leadId: previous.leadId,
+        customerName: paymentData.customerName,
+        leadSource: current.leadSource,
+        previousAmount: previous.amount,
+        newAmount: current.amount,
+        previousPaymentDate: previous.paymentDate,
+        newPaymentDate: current.paymentDate,
+        notes: `Payment edited in QuickBooks: ${Utils.formatCurrency(previous.amount)} → ${Utils.formatCurrency(current.amount)}`,
+        paymentData
+      });
+      
+      await this.adjustMonthlySummaryForPaymentChange(previous, current);
+      await this.payments.adjustOfflineConversions(paymentData, current.amount);
+      
+      console.log(`✅ Payment ${paymentData.id} adjusted for lead ${previous.leadId}`);
+      return updatedLead;
+    } catch (error) {
+      console.error('Error processing payment update:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Process a payment voided or deleted in QuickBooks, reversing it from the lead and Monthly Summary
+   * @param {Object} paymentData - Payment data from QuickBooksAPI.extractPaymentData
+   * @returns {Object|null} Updated lead record, or null if there was nothing to reverse
+   */
+  async processPaymentReversed(paymentData) {
+    try {
+      const status = paymentData.operation === 'Void' ? 'Voided' : 'Deleted';
+      console.log(`Processing payment ${paymentData.operation.toLowerCase()}: ${paymentData.id}`);
+      
+      const existing = await this.airtable.getPaymentByQboId(paymentData.id);
+      
+      if (!existing) {
+        // Keep the payment from being replayed later if it is waiting for manual review
+        const unmatched = await this.airtable.findUnmatchedPaymentByQboId(paymentData.id);
+        if (unmatched) {
+          await this.airtable.updateUnmatchedPaymentStatus(unmatched.id, status);
+        } else {
+          console.log(`Payment ${paymentData.id} was never recorded, nothing to reverse`);
+        }
+        return null;
+      }
+      
+      if (this.isReversedPayment(existing)) {
+        console.log(`Payment ${paymentData.id} is already ${existing.fields['Status']}, nothing to reverse`);
+        return null;
+      }
+      
+      const previous = this.getLedgerPaymentSnapshot(existing);
+      
+      await this.airtable.reversePayment(existing.id, status);
+      const updatedLead = await this.airtable.syncLeadPaymentTotals(previous.leadId);
+      await this.payments.syncLeadToGHL(updatedLead);
+      
+      await this.airtable.recordPaymentAdjustment({
+        paymentId: paymentData.id,
+        operation: paymentData.operation,
+        leadId: previous.leadId,
+        customerName: existing.fields['Customer Name'],
+        leadSource: previous.leadSource,
+        previousAmount: previous.amount,
+        newAmount: 0,
+        previousPaymentDate: previous.paymentDate,
+        notes: `Payment ${status.toLowerCase()} in QuickBooks, ${Utils.formatCurrency(previous.amount)} reversed`
+      });
+      
+      await this.adjustMonthlySummaryForPaymentChange(previous, null);
+      await this.payments.adjustOfflineConversions(paymentData, 0);
+      
+      console.log(`✅ Payment ${paymentData.id} reversed for lead ${previous.leadId}`);
+      return updatedLead;
+    } catch (error) {
+      console.error('Error processing payment reversal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Process a RefundReceipt or CreditMemo from QuickBooks, attributing it to the original lead
+   * @param {Object} refundData - Refund data from QuickBooksAPI.extractRefundData
+   * @returns {Object|null} Saved or reversed refund record, or null if there was nothing to do
+   */
+  async processRefundEvent(refundData) {
+    try {
+      console.log(`Processing ${refundData.type} ${refundData.operation}: ${refundData.id}`);
+      
+      const existing = await this.airtable.getRefundByQboId(refundData.type, refundData.id);
+      const affectedLeadIds = new Set();
+      const affectedDates = [];
+      
+      if (existing) {
+        if (this.isReversedPayment(existing)) {
+          console.log(`${refundData.type} ${refundData.id} is already ${existing.fields['Status']}, ignoring ${refundData.operation}`);
+          return null;
+        }
+        
+        if (existing.fields['Lead ID']) affectedLeadIds.add(existing.fields['Lead ID']);
+        affectedDates.push(existing.fields['Refund Date']);
+      }
+      
+      let refund = null;
+      if (refundData.operation === 'Delete' || refundData.operation === 'Void') {
+        if (!existing) {
+          console.log(`${refundData.type} ${refundData.id} was never recorded, nothing to reverse`);
+          return null;
+        }
+        
+        refund = await this.airtable.reverseRefund(existing.id, refundData.operation === 'Void' ? 'Voided' : 'Deleted');
+      } else {
+        const resolution = await this.matcher.resolveRefund(refundData);
+        if (resolution) {
+          console.log(`${refundData.type} ${refundData.id} attributed to lead ${resolution.leadId} via ${resolution.linkedBy}`);
+          affectedLeadIds.add(resolution.leadId);
+        } else {
+          console.warn(`⚠️  Could not attribute ${refundData.type} ${refundData.id} for ${refundData.customerName} to a lead, recording under Unknown`);
+        }
+        
+        refund = await this.airtable.saveRefund(refundData, resolution);
+        affectedDates.push(refundData.refundDate);
+      }
+      
+      for (const leadId of affectedLeadIds) {
+        await this.payments.syncLeadToGHL(await this.airtable.syncLeadPaymentTotals(leadId));
+      }
+      
+      await this.refreshMonthlySummaryRefunds(affectedDates);
+      
+      return refund;
+    } catch (error) {
+      console.error('Error processing refund:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalculate refund totals for the months a refund was in before and after a change
+   * @param {Array} refundDates - Refund dates (YYYY-MM-DD)
+   */
+  async refreshMonthlySummaryRefunds(refundDates) {
+    const periods = new Map();
+    refundDates.forEach(refundDate => {
+      const period = this.getPaymentPeriod(refundDate);
+      periods.set(`${period.year}-${period.month}`, period);
+    });
+    
+    for (const { month, year } of periods.values()) {
+      try {
+        await this.airtable.refreshMonthlySummaryRefunds(month, year);
+      } catch (error) {
+        console.error('Error refreshing monthly summary refunds:', error);
+        // Don't throw - the refund has already been recorded
+      }
+    }
+  }
+
+  /**
+   * Whether a ledger payment or refund has already been voided or deleted
+   * @param {Object} ledgerRecord - Payment or refund record ({ id, fields })
+   * @returns {boolean}
+   */
+  isReversedPayment(ledgerRecord) {
+    return ['Voided', 'Deleted'].includes(ledgerRecord.fields['Status']);
+  }
+
+  /**
+   * Pull the fields that feed the Monthly Summary out of a ledger payment
+   * @param {Object} ledgerPayment - Payment record ({ id, fields })
+   * @returns {Object} { paymentId, leadId, leadSource, amount, paymentDate }
+   */
+  getLedgerPaymentSnapshot(ledgerPayment) {
+    return {
+      paymentId: ledgerPayment.fields['QBO Payment ID'],
+      leadId: ledgerPayment.fields['Lead ID'],
+      leadSource: ledgerPayment.fields['Lead Source'] || 'Unknown',
+      amount: parseFloat(ledgerPayment.fields['Amount']) || 0,
+      paymentDate: ledgerPayment.fields['Payment Date']
+    };
+  }
+
+  /**
+   * Get the summary month and year for a payment date
+   * @param {string} paymentDate - Payment or refund date
+   * @returns {Object} { month, year }
+   */
+  getPaymentPeriod(paymentDate) {
+    const date = new Date(paymentDate || new Date());
+    return {
+      month: date.getMonth() + 1, // JavaScript months are 0-indexed
+      year: date.getFullYear()
+    };
+  }
+
+  /**
+   * Move an edited or reversed payment within the Monthly Summary
+   * @param {Object} previous - Ledger snapshot before the change
+   * @param {Object|null} current - Snapshot after the change, or null when the payment was voided or deleted
+   */
+  async adjustMonthlySummaryForPaymentChange(previous, current) {
+    try {
+      const previousPeriod = this.getPaymentPeriod(previous.paymentDate);
+      const currentPeriod = current ? this.getPaymentPeriod(current.paymentDate) : null;
+      
+      // Same month and source: only the revenue changes
+      if (current && previousPeriod.month === currentPeriod.month && previousPeriod.year === currentPeriod.year && previous.leadSource === current.leadSource) {
+        await this.airtable.adjustMonthlySummary({
+          ...currentPeriod,
+          leadSource: current.leadSource,
+          revenueDelta: current.amount - previous.amount
+        });
+        return;
+      }
+      
+      // Take the payment out of its original month, dropping the customer if it was their only payment
+      const hasOtherPayments = await this.airtable.leadHasOtherPaymentsInMonth(previous.leadId, previous.paymentId, previousPeriod.month, previousPeriod.year);
+      await this.airtable.adjustMonthlySummary({
+        ...previousPeriod,
+        leadSource: previous.leadSource,
+        revenueDelta: -previous.amount,
+        customerDelta: hasOtherPayments ? 0 : -1,
+        paymentDelta: -1
+      });
+      
+      if (current) {
+        await this.airtable.updateMonthlySummaryWithPayment({
+          ...currentPeriod,
+          leadSource: current.leadSource,
+          paymentAmount: current.amount,
+          leadId: current.leadId,
+          paymentId: current.paymentId
+        });
+      }
+    } catch (error) {
+      console.error('Error adjusting monthly summary:', error);
+      // Don't throw - the ledger and lead have already been adjusted
+    }
+  }
+}
+
+module.exports = WebhookProcessor;
@@ -4,6 +4,53 @@ const axios = require('axios');
 const AirtableAPI = require('./airtable');
 require('dotenv').config();
 
+/**
+ * QBO expense accounts counted as ad spend, matched by full name (case-insensitive) along with their sub-accounts
+ * Override with AD_SPEND_ACCOUNTS (comma-separated).
+ */
+const DEFAULT_AD_SPEND_ACCOUNTS = [
+  'Advertising/Promotional',
+  'Advertising',
+  'Marketing',
+  'Promotional',
+  'Google Ads',
+  'Facebook Ads',
+  'Box Truck',
+  'Angi',
+  'Yard Sign',
+  'Billboard',
+  'Online Advertising',
+  'Social Media Advertising'
+];
+
+/**
+ * QBO expense accounts counted as promo spend; override with PROMO_SPEND_ACCOUNTS (comma-separated)
+ * A line whose account matches both lists counts as ad spend.
+ */
+const DEFAULT_PROMO_SPEND_ACCOUNTS = [
+  'Promotions',
+  'Giveaways',
+  'Sponsorship',
+  'Referral Fees',
+  'Customer Discounts'
+];
+
+// Transaction types that carry expense lines, with the node-quickbooks finder for each
+const EXPENSE_TRANSACTION_FINDERS = {
+  Purchase: 'findPurchases',
+  Bill: 'findBills',
+  JournalEntry: 'findJournalEntries',
+  VendorCredit: 'findVendorCredits'
+};
+
+/**
+ * Parse a comma-separated account list from the environment
+ */
+function accountListFromEnv(value, defaults) {
+  const accounts = (value || '').split(',').map(account => account.trim()).filter(Boolean);
+  return accounts.length > 0 ? accounts : defaults;
+}
+
 class QuickBooksAPI {
   constructor() {
     this.clientId = process.env.QBO_CLIENT_ID;
@@ -12,6 +59,8 @@ class QuickBooksAPI {
     this.redirectUri = process.env.QBO_REDIRECT_URI;
     this.webhookVerifierToken = process.env.QBO_WEBHOOK_VERIFIER_TOKEN;
     this.airtable = new AirtableAPI();
+    this.adSpendAccounts = accountListFromEnv(process.env.AD_SPEND_ACCOUNTS, DEFAULT_AD_SPEND_ACCOUNTS);
+    this.promoSpendAccounts = accountListFromEnv(process.env.PROMO_SPEND_ACCOUNTS, DEFAULT_PROMO_SPEND_ACCOUNTS);
     
     if (!this.clientId || !this.clientSecret) {
       throw new Error('QBO_CLIENT_ID and QBO_CLIENT_SECRET are required');
@@ -191,26 +240,46 @@ class QuickBooksAPI {
   }
 
   /**
-   * Handle payment received webhook
+   * Handle payment webhook events
+   * Create and Update events are fetched from QuickBooks; Delete and Void events only carry
+   * the payment ID because the payment can no longer be read (or has been zeroed out).
    * @param {Object} webhookPayload - Webhook event data
-   * @returns {Object} Processed payment data
+   * @returns {Array} Processed payment data, each with the QuickBooks `operation`
    */
   async handlePaymentReceived(webhookPayload) {
     try {
-      console.log('Processing payment.received webhook from QuickBooks');
+      console.log('Processing payment webhook from QuickBooks');
       
       const eventNotifications = webhookPayload.eventNotifications;
       const paymentData = [];
       
       for (const notification of eventNotifications) {
         for (const dataChangeEvent of notification.dataChangeEvent.entities) {
-          if (dataChangeEvent.name === 'Payment') {
-            const paymentId = dataChangeEvent.id;
+          if (dataChangeEvent.name !== 'Payment') {
+            continue;
+          }
+          
+          const paymentId = dataChangeEvent.id;
+          const operation = dataChangeEvent.operation || 'Create';
+          
+          if (operation === 'Delete' || operation === 'Void') {
+            paymentData.push({
+              id: paymentId,
+              operation,
+              lastUpdated: dataChangeEvent.lastUpdated
+            });
+          } else if (operation === 'Create' || operation === 'Update') {
             const payment = await this.getPayment(paymentId);
             
             if (payment) {
-              paymentData.push(await this.extractPaymentData(payment));
+              paymentData.push({
+                ...(await this.extractPaymentData(payment)),
+                operation,
+                lastUpdated: dataChangeEvent.lastUpdated
+              });
             }
+          } else {
+            console.log(`Ignoring ${operation} operation for payment ${paymentId}`);
           }
         }
       }
@@ -222,6 +291,88 @@ class QuickBooksAPI {
     }
   }
 
+  /**
+   * Handle RefundReceipt and CreditMemo webhook events
+   * @param {Object} webhookPayload - Webhook event data
+   * @returns {Array} Normalized refund data, each with the QuickBooks `operation`
+   */
+  async handleRefundsAndCredits(webhookPayload) {
+    try {
+      const eventNotifications = webhookPayload.eventNotifications;
+      const refundData = [];
+      
+      for (const notification of eventNotifications) {
+        for (const dataChangeEvent of notification.dataChangeEvent.entities) {
+          if (dataChangeEvent.name !== 'RefundReceipt' && dataChangeEvent.name !== 'CreditMemo') {
+            continue;
+          }
+          
+          const type = dataChangeEvent.name;
+          const operation = dataChangeEvent.operation || 'Create';
+          console.log(`Processing ${type} ${operation} webhook from QuickBooks: ${dataChangeEvent.id}`);
+          
+          if (operation === 'Delete' || operation === 'Void') {
+            refundData.push({
+              id: dataChangeEvent.id,
+              type,
+              operation,
+              lastUpdated: dataChangeEvent.lastUpdated
+            });
+          } else if (operation === 'Create' || operation === 'Update') {
+            const transaction = type === 'RefundReceipt'
+              ? await this.getRefundReceipt(dataChangeEvent.id)
+              : await this.getCreditMemo(dataChangeEvent.id);
+            
+            if (transaction) {
+              refundData.push({
+                ...(await this.extractRefundData(transaction, type)),
+                operation,
+                lastUpdated: dataChangeEvent.lastUpdated
+              });
+            }
+          } else {
+            console.log(`Ignoring ${operation} operation for ${type} ${dataChangeEvent.id}`);
+          }
+        }
+      }
+      
+      return refundData;
+    } catch (error) {
+      console.error('Error handling refund webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract refund data from a RefundReceipt or CreditMemo
+   * @param {Object} transaction - QuickBooks RefundReceipt or CreditMemo object
+   * @param {string} type - 'RefundReceipt' or 'CreditMemo'
+   * @returns {Object} Normalized refund data
+   */
+  async extractRefundData(transaction, type) {
+    const customerId = transaction.CustomerRef?.value;
+    const customer = customerId ? await this.getCustomer(customerId) : null;
+    
+    // Refunds issued against an invoice or payment reference it through LinkedTxn
+    const linkedTxns = [
+      ...(transaction.LinkedTxn || []),
+      ...(transaction.Line || []).flatMap(line => line.LinkedTxn || [])
+    ];
+    
+    return {
+      id: transaction.Id,
+      type,
+      customerId,
+      customerName: customer ? customer.Name : (transaction.CustomerRef?.name || 'Unknown Customer'),
+      amount: parseFloat(transaction.TotalAmt) || 0,
+      refundDate: transaction.TxnDate,
+      docNumber: transaction.DocNumber || null,
+      memo: transaction.PrivateNote || transaction.CustomerMemo?.value || '',
+      linkedInvoiceIds: linkedTxns.filter(txn => txn.TxnType === 'Invoice').map(txn => txn.TxnId),
+      linkedPaymentIds: linkedTxns.filter(txn => txn.TxnType === 'Payment').map(txn => txn.TxnId)
+    };
+  }
+
   /**
    * Get payment details by ID
    * @param {string} paymentId - QuickBooks payment ID
@@ -253,17 +404,20 @@ class QuickBooksAPI {
   async extractPaymentData(payment) {
     try {
       const customer = await this.getCustomer(payment.CustomerRef.value);
-      const invoice = payment.Line && payment.Line[0] && payment.Line[0].LinkedTxn 
-        ? await this.getInvoice(payment.Line[0].LinkedTxn[0].TxnId)
-        : null;
+      const invoices = await this.getLinkedInvoices(payment);
+      const invoice = invoices[0] || null;
       
       return {
         id: payment.Id,
         customerId: payment.CustomerRef.value,
         customerName: customer ? customer.Name : 'Unknown Customer',
+        customerEmail: customer?.PrimaryEmailAddr?.Address || null,
+        customerPhone: customer?.PrimaryPhone?.FreeFormNumber || customer?.Mobile?.FreeFormNumber || null,
+        customerAddress: customer ? this.formatAddress(customer.BillAddr) : null,
         amount: parseFloat(payment.TotalAmt),
         paymentDate: payment.TxnDate,
-        invoiceNumber: invoice ? invoice.DocNumber : null,
+        invoiceNumber: invoice ? invoice.docNumber : null,
+        invoices,
         referenceNumber: payment.PaymentRefNum,
         paymentMethod: payment.PaymentMethodRef?.name || 'Unknown'
       };
@@ -277,12 +431,60 @@ class QuickBooksAPI {
         amount: parseFloat(payment.TotalAmt),
         paymentDate: payment.TxnDate,
         invoiceNumber: null,
+        invoices: [],
         referenceNumber: payment.PaymentRefNum,
         paymentMethod: payment.PaymentMethodRef?.name || 'Unknown'
       };
     }
   }
 
+  /**
+   * Get every invoice a payment is applied to, with its remaining balance
+   * @param {Object} payment - QuickBooks payment object
+   * @returns {Array} Array of { id, docNumber, totalAmount, balance, amountApplied }
+   */
+  async getLinkedInvoices(payment) {
+    const invoices = [];
+    
+    for (const line of payment.Line || []) {
+      for (const linkedTxn of line.LinkedTxn || []) {
+        if (linkedTxn.TxnType && linkedTxn.TxnType !== 'Invoice') {
+          continue;
+        }
+        
+        const invoice = await this.getInvoice(linkedTxn.TxnId);
+        invoices.push({
+          id: linkedTxn.TxnId,
+          docNumber: invoice ? invoice.DocNumber : null,
+          totalAmount: invoice ? parseFloat(invoice.TotalAmt) : null,
+          balance: invoice ? parseFloat(invoice.Balance) : null,
+          amountApplied: parseFloat(line.Amount) || 0
+        });
+      }
+    }
+    
+    return invoices;
+  }
+
+  /**
+   * Flatten a QuickBooks address object into a single line
+   * @param {Object} address - QuickBooks PhysicalAddress (e.g. BillAddr)
+   * @returns {string|null} Address string or null if empty
+   */
+  formatAddress(address) {
+    if (!address) return null;
+    
+    const parts = [
+      address.Line1,
+      address.Line2,
+      address.City,
+      address.CountrySubDivisionCode,
+      address.PostalCode
+    ].filter(Boolean);
+    
+    return parts.length > 0 ? parts.join(', ') : null;
+  }
+
   /**
    * Get customer details by ID
    * @param {string} customerId - QuickBooks customer ID
@@ -329,6 +531,52 @@ class QuickBooksAPI {
     });
   }
 
+  /**
+   * Get refund receipt details by ID
+   * @param {string} refundReceiptId - QuickBooks refund receipt ID
+   * @returns {Object} Refund receipt data
+   */
+  async getRefundReceipt(refundReceiptId) {
+    return new Promise((resolve, reject) => {
+      if (!this.qbo) {
+        reject(new Error('QuickBooks client not initialized'));
+        return;
+      }
+      
+      this.qbo.getRefundReceipt(refundReceiptId, (err, refundReceipt) => {
+        if (err) {
+          console.error('Error fetching refund receipt from QuickBooks:', err);
+          reject(err);
+        } else {
+          resolve(refundReceipt);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get credit memo details by ID
+   * @param {string} creditMemoId - QuickBooks credit memo ID
+   * @returns {Object} Credit memo data
+   */
+  async getCreditMemo(creditMemoId) {
+    return new Promise((resolve, reject) => {
+      if (!this.qbo) {
+        reject(new Error('QuickBooks client not initialized'));
+        return;
+      }
+      
+      this.qbo.getCreditMemo(creditMemoId, (err, creditMemo) => {
+        if (err) {
+          console.error('Error fetching credit memo from QuickBooks:', err);
+          reject(err);
+        } else {
+          resolve(creditMemo);
+        }
+      });
+    });
+  }
+
   /**
    * Initialize QuickBooks client with stored tokens
    * @returns {boolean} Whether initialization was successful
@@ -416,75 +664,213 @@ class QuickBooksAPI {
   }
 
   /**
-   * Get expenses for ad spend and promo spend calculation
-   * @param {Object} params - Query parameters
-   * @returns {Array} Array of expense transactions
+   * Find all transactions of one type dated within a range
+   * @param {string} type - Purchase, Bill, JournalEntry or VendorCredit
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @returns {Array} Transactions
    */
-  async getExpensesByCategory(params) {
-    const { startDate, endDate, categories = ['Advertising', 'Marketing'] } = params;
-    
+  async findTransactions(type, startDate, endDate) {
     return new Promise((resolve, reject) => {
       if (!this.qbo) {
         reject(new Error('QuickBooks client not initialized'));
         return;
       }
       
-      // Query for Purchase transactions (expenses) in the date range
-      const query = {
-        start_date: startDate,
-        end_date: endDate,
-        limit: 1000
-      };
+      const query = [
+        { field: 'TxnDate', value: startDate, operator: '>=' },
+        { field: 'TxnDate', value: endDate, operator: '<=' },
+        { field: 'fetchAll', value: true }
+      ];
       
-      this.qbo.findPurchases(query, (err, purchases) => {
+      this.qbo[EXPENSE_TRANSACTION_FINDERS[type]](query, (err, response) => {
         if (err) {
-          console.error('Error fetching expenses from QuickBooks:', err);
+          console.error(`Error fetching ${type} transactions from QuickBooks:`, err);
           reject(err);
           return;
         }
         
-        const allPurchases = purchases.QueryResponse?.Purchase || [];
-        
-        // Filter purchases by account categories
-        const filteredPurchases = allPurchases.filter(purchase => {
-          const accountName = purchase.AccountRef?.name || '';
-          const lineAccountNames = purchase.Line?.map(line => line.AccountRef?.name || '') || [];
-          
-          // Check if main account or any line item account matches our categories
-          const allAccountNames = [accountName, ...lineAccountNames];
-          
-          return allAccountNames.some(name => 
-            categories.some(category => 
-              name.toLowerCase().includes(category.toLowerCase())
-            )
-          );
-        });
-        
-        console.log(`Found ${filteredPurchases.length} expenses matching categories:`, categories);
-        resolve(filteredPurchases);
+        resolve(response.QueryResponse?.[type] || []);
+      });
+    });
+  }
+
+  /**
+   * Get one Purchase, Bill, JournalEntry or VendorCredit by ID
+   * @param {string} type - Transaction type
+   * @param {string} transactionId - QuickBooks transaction ID
+   * @returns {Object} Transaction data
+   */
+  async getExpenseTransaction(type, transactionId) {
+    return new Promise((resolve, reject) => {
+      if (!this.qbo) {
+        reject(new Error('QuickBooks client not initialized'));
+        return;
+      }
+      if (!EXPENSE_TRANSACTION_FINDERS[type]) {
+        reject(new Error(`Unsupported expense transaction type: ${type}`));
+        return;
+      }
+      
+      this.qbo[`get${type}`](transactionId, (err, transaction) => {
+        if (err) {
+          console.error(`Error fetching ${type} ${transactionId} from QuickBooks:`, err);
+          reject(err);
+        } else {
+          resolve(transaction);
+        }
       });
     });
   }
 
   /**
-   * Get monthly expense totals for ad spend and promo spend
+   * Get every expense-account line posted within a range across Purchase, Bill, JournalEntry and VendorCredit
+   * @param {Object} params - Query parameters
+   * @param {string} params.startDate - First day (YYYY-MM-DD)
+   * @param {string} params.endDate - Last day (YYYY-MM-DD)
+   * @param {Array} params.types - Transaction types to include (defaults to all four)
+   * @returns {Array} Expense lines (see extractExpenseLines)
+   */
+  async getExpenseLines(params) {
+    const { startDate, endDate, types = Object.keys(EXPENSE_TRANSACTION_FINDERS) } = params;
+    
+    const lines = [];
+    for (const type of types) {
+      const transactions = await this.findTransactions(type, startDate, endDate);
+      transactions.forEach(transaction => {
+        lines.push(...this.extractExpenseLines(transaction, type));
+      });
+    }
+    
+    console.log(`Found ${lines.length} expense lines between ${startDate} and ${endDate}`);
+    return lines;
+  }
+
+  /**
+   * Flatten a transaction into signed, account-level lines
+   * Vendor credits, credit card credits and journal entry credits are negative so they net against spend.
+   * Item-based lines carry no expense account and are skipped.
+   * @param {Object} transaction - QBO Purchase, Bill, JournalEntry or VendorCredit
+   * @param {string} type - Transaction type
+   * @returns {Array} Lines as { transactionType, transactionId, txnDate, docNumber, vendor, memo, lineId, description, accountId, accountName, classId, className, locationId, locationName, amount }
+   */
+  extractExpenseLines(transaction, type) {
+    const vendor = transaction.EntityRef?.name || transaction.VendorRef?.name || null;
+    const isCredit = type === 'VendorCredit' || (type === 'Purchase' && transaction.Credit === true);
+    
+    return (transaction.Line || []).reduce((lines, line) => {
+      let detail;
+      let sign = isCredit ? -1 : 1;
+      let lineVendor = vendor;
+      
+      if (line.DetailType === 'AccountBasedExpenseLineDetail') {
+        detail = line.AccountBasedExpenseLineDetail;
+      } else if (line.DetailType === 'JournalEntryLineDetail') {
+        detail = line.JournalEntryLineDetail;
+        sign = detail?.PostingType === 'Credit' ? -1 : 1;
+        lineVendor = detail?.Entity?.EntityRef?.name || null;
+      }
+      
+      if (!detail?.AccountRef) {
+        return lines;
+      }
+      
+      lines.push({
+        transactionType: type,
+        transactionId: transaction.Id,
+        txnDate: transaction.TxnDate,
+        docNumber: transaction.DocNumber || null,
+        vendor: lineVendor,
+        memo: transaction.PrivateNote || null,
+        lineId: line.Id || null,
+        description: line.Description || null,
+        accountId: detail.AccountRef.value,
+        accountName: detail.AccountRef.name || '',
+        classId: detail.ClassRef?.value || null,
+        className: detail.ClassRef?.name || null,
+        // QBO Locations are Departments in the API and apply to the whole transaction
+        locationId: transaction.DepartmentRef?.value || null,
+        locationName: transaction.DepartmentRef?.name || null,
+        amount: sign * (parseFloat(line.Amount) || 0)
+      });
+      
+      return lines;
+    }, []);
+  }
+
+  /**
+   * Check whether an account is in an account list, by full name or as a sub-account
+   * ("Advertising:Google Ads" is in "Advertising"; "Ads" is not in "Google Ads")
+   * @param {string} accountName - QBO account name
+   * @param {Array} accounts - Account names
+   * @returns {boolean} Whether it matches
+   */
+  matchesAccount(accountName, accounts) {
+    const name = (accountName || '').trim().toLowerCase();
+    return accounts.some(account => {
+      const listed = account.trim().toLowerCase();
+      return name === listed || name.startsWith(`${listed}:`);
+    });
+  }
+
+  /**
+   * Get monthly expense totals for ad spend and promo spend, built from line-level amounts
    * @param {number} month - Month (1-12)
    * @param {number} year - Year
-   * @returns {Object} Monthly expense totals
+   * @returns {Object} { month, year, adSpend, promoSpend, totalSpend, byAccount, byTransactionType, lineCount }
    */
   async getMonthlyExpenses(month, year) {
     try {
-      const startDate = new Date(year, month - 1, 1).toISOString().split('T')[0];
-      const endDate = new Date(year, month, 0).toISOString().split('T')[0];
+      if (!this.qbo && !(await this.initializeFromStoredTokens())) {
+        throw new Error('QuickBooks is not connected');
+      }
+      
+      const period = `${year}-${String(month).padStart(2, '0')}`;
+      const lines = await this.getExpenseLines({
+        startDate: `${period}-01`,
+        endDate: `${period}-${new Date(year, month, 0).getDate()}`
+      });
+      
+      const totals = { adSpend: 0, promoSpend: 0 };
+      const byAccount = {};
+      const byTransactionType = {};
+      let lineCount = 0;
+      
+      lines.forEach(line => {
+        let category = null;
+        if (this.matchesAccount(line.accountName, this.adSpendAccounts)) {
+          category = 'adSpend';
+        } else if (this.matchesAccount(line.accountName, this.promoSpendAccounts)) {
+          category = 'promoSpend';
+        }
+        if (!category) return;
+        
+        lineCount++;
+        totals[category] += line.amount;
+        
+        if (!byAccount[line.accountName]) {
+          byAccount[line.accountName] = { accountId: line.accountId, category, amount: 0, lineCount: 0 };
+        }
+        byAccount[line.accountName].amount += line.amount;
+        byAccount[line.accountName].lineCount++;
+        
+        if (!byTransactionType[line.transactionType]) {
+          byTransactionType[line.transactionType] = { adSpend: 0, promoSpend: 0 };
+        }
+        byTransactionType[line.transactionType][category] += line.amount;
+      });
       
-      const expenses = await this.getExpensesByCategory(startDate, endDate);
+      console.log(`Expenses for ${period}: ad spend $${totals.adSpend.toFixed(2)}, promo spend $${totals.promoSpend.toFixed(2)}`);
       
       return {
         month,
         year,
-        adSpend: expenses.advertising,
-        promoSpend: expenses.promotional,
-        totalSpend: expenses.advertising + expenses.promotional
+        adSpend: totals.adSpend,
+        promoSpend: totals.promoSpend,
+        totalSpend: totals.adSpend + totals.promoSpend,
+        byAccount,
+        byTransactionType,
+        lineCount
       };
     } catch (error) {
       console.error('Error getting monthly expenses:', error);
@@ -494,7 +880,11 @@ class QuickBooksAPI {
         year,
         adSpend: 0,
         promoSpend: 0,
-        totalSpend: 0
+        totalSpend: 0,
+        byAccount: {},
+        byTransactionType: {},
+        lineCount: 0,
+        error: error.message
       };
     }
   }
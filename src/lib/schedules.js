@@ -0,0 +1,247 @@
+require('dotenv').config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Marketing spend schedules
+ * Upfront or annual costs (truck wraps, billboards, yard signs) are spread evenly per day across a date range,
+ * so monthly ROI reflects the period the spend covers rather than the month it was paid. A schedule is either
+ * linked to a QBO expense (its cash line is then replaced by the amortized amounts) or entered manually.
+ */
+class SpendSchedules {
+  /**
+   * @param {AirtableAPI} airtable - Airtable client
+   * @param {QuickBooksAPI} qbo - QuickBooks client, for schedules created from a QBO expense
+   */
+  constructor(airtable, qbo) {
+    this.airtable = airtable;
+    this.qbo = qbo;
+  }
+
+  /**
+   * Create a schedule, taking the amount from the linked QBO expense when none is given
+   * @param {Object} data - { name, leadSource, amount, startDate, endDate, qboTransactionType, qboTransactionId, qboLineId, notes }
+   * @returns {Object} Stored schedule with its monthly breakdown
+   * @throws {Error} With statusCode 400 when the schedule is invalid
+   */
+  async create(data) {
+    const schedule = {
+      ...data,
+      leadSource: data.leadSource ? this.airtable.leadSources.resolve(data.leadSource) : null,
+      qboTransactionId: data.qboTransactionId ? String(data.qboTransactionId) : null,
+      qboLineId: data.qboLineId ? String(data.qboLineId) : null
+    };
+    
+    const invalid = this.validate(schedule);
+    if (invalid) {
+      throw badRequest(invalid);
+    }
+    
+    if ((schedule.amount === undefined || schedule.amount === null || schedule.amount === '') && schedule.qboTransactionId) {
+      schedule.amount = await this.getLinkedAmount(schedule);
+    }
+    schedule.amount = parseFloat(schedule.amount);
+    if (!Number.isFinite(schedule.amount) || schedule.amount <= 0) {
+      throw badRequest('amount must be a positive number (or link a QBO expense to use its amount)');
+    }
+    
+    schedule.name = schedule.name || `${schedule.leadSource} ${schedule.startDate} to ${schedule.endDate}`;
+    
+    const saved = await this.airtable.saveSpendSchedule(schedule);
+    return { ...saved, months: this.monthlyBreakdown(saved) };
+  }
+
+  /**
+   * Check a schedule's required fields and dates
+   * @param {Object} schedule - Schedule data
+   * @returns {string|null} Error message, or null when valid
+   */
+  validate(schedule) {
+    if (!schedule.leadSource) {
+      return 'leadSource is required';
+    }
+    if (!this.parseDate(schedule.startDate) || !this.parseDate(schedule.endDate)) {
+      return 'startDate and endDate are required (YYYY-MM-DD)';
+    }
+    if (this.parseDate(schedule.endDate) < this.parseDate(schedule.startDate)) {
+      return 'endDate must not be before startDate';
+    }
+    if (schedule.qboTransactionId && !schedule.qboTransactionType) {
+      return 'qboTransactionType is required with qboTransactionId (Purchase, Bill, JournalEntry or VendorCredit)';
+    }
+    
+    return null;
+  }
+
+  /**
+   * Amount of the linked QBO expense: the given line, or every expense line on the transaction
+   * @param {Object} schedule - Schedule with qboTransactionType, qboTransactionId and optional qboLineId
+   * @returns {number} Amount
+   */
+  async getLinkedAmount(schedule) {
+    if (!this.qbo.qbo && !(await this.qbo.initializeFromStoredTokens())) {
+      throw new Error('QuickBooks is not connected - pass amount or authorize it via /auth/quickbooks');
+    }
+    
+    const transaction = await this.qbo.getExpenseTransaction(schedule.qboTransactionType, schedule.qboTransactionId);
+    const lines = this.qbo.extractExpenseLines(transaction, schedule.qboTransactionType)
+      .filter(line => !schedule.qboLineId || String(line.lineId) === schedule.qboLineId);
+    
+    if (lines.length === 0) {
+      throw badRequest(`No expense line found on ${schedule.qboTransactionType} ${schedule.qboTransactionId}${schedule.qboLineId ? ` line ${schedule.qboLineId}` : ''}`);
+    }
+    
+    return lines.reduce((sum, line) => sum + line.amount, 0);
+  }
+
+  /**
+   * Stop a schedule from contributing amortized spend
+   * @param {string} recordId - Airtable record ID
+   * @returns {Object} Updated schedule
+   */
+  async cancel(recordId) {
+    return await this.airtable.updateSpendScheduleStatus(recordId, 'Cancelled');
+  }
+
+  /**
+   * List schedules with their monthly breakdown
+   * @param {Object} filters - { status } (optional)
+   * @returns {Array} Schedules
+   */
+  async list(filters = {}) {
+    const schedules = await this.airtable.getSpendSchedules(filters);
+    return schedules.map(schedule => ({ ...schedule, months: this.monthlyBreakdown(schedule) }));
+  }
+
+  /**
+   * Build a month's amortized spend per source from its cash spend
+   * Cash lines that belong to a scheduled QBO expense are taken out (whichever month they were paid in),
+   * and every active schedule's share of the month is added.
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @param {Array} lines - The month's attributed ad spend lines (from AdSpendSync.fetchAdSpend)
+   * @param {Object} adSpendBySource - The month's cash spend per source
+   * @returns {Object} { amortizedBySource, allocations, deferred }
+   */
+  async getAmortizedSpend(month, year, lines, adSpendBySource) {
+    const schedules = await this.airtable.getSpendSchedules({ status: 'Active' });
+    const amortizedBySource = { ...adSpendBySource };
+    
+    const deferred = [];
+    lines.forEach(line => {
+      const schedule = schedules.find(candidate => this.coversLine(candidate, line));
+      if (!schedule) return;
+      
+      amortizedBySource[line.source] = (amortizedBySource[line.source] || 0) - line.amount;
+      deferred.push({
+        scheduleId: schedule.id,
+        transactionType: line.transactionType,
+        transactionId: line.transactionId,
+        lineId: line.lineId,
+        source: line.source,
+        amount: line.amount
+      });
+    });
+    
+    const allocations = [];
+    schedules.forEach(schedule => {
+      const amount = this.amortize(schedule, month, year);
+      if (amount === 0) return;
+      
+      const source = this.airtable.leadSources.resolve(schedule.leadSource);
+      amortizedBySource[source] = (amortizedBySource[source] || 0) + amount;
+      allocations.push({ scheduleId: schedule.id, name: schedule.name, leadSource: source, amount });
+    });
+    
+    // Drop sources whose cash was fully deferred
+    Object.keys(amortizedBySource).forEach(source => {
+      if (Math.abs(amortizedBySource[source]) < 0.005) {
+        delete amortizedBySource[source];
+      }
+    });
+    
+    return { amortizedBySource, allocations, deferred };
+  }
+
+  /**
+   * Whether a cash line is the QBO expense a schedule amortizes
+   */
+  coversLine(schedule, line) {
+    if (!schedule.qboTransactionId) return false;
+    
+    return schedule.qboTransactionType === line.transactionType
+      && String(schedule.qboTransactionId) === String(line.transactionId)
+      && (!schedule.qboLineId || String(schedule.qboLineId) === String(line.lineId));
+  }
+
+  /**
+   * A schedule's share of one month, prorated by day (start and end dates inclusive)
+   * @param {Object} schedule - { amount, startDate, endDate }
+   * @param {number} month - Month (1-12)
+   * @param {number} year - Year
+   * @returns {number} Amortized amount
+   */
+  amortize(schedule, month, year) {
+    const start = this.parseDate(schedule.startDate);
+    const end = this.parseDate(schedule.endDate);
+    if (!start || !end || end < start) return 0;
+    
+    const overlapStart = Math.max(start, Date.UTC(year, month - 1, 1));
+    const overlapEnd = Math.min(end, Date.UTC(year, month, 0));
+    if (overlapEnd < overlapStart) return 0;
+    
+    const totalDays = (end - start) / DAY_MS + 1;
+    const days = (overlapEnd - overlapStart) / DAY_MS + 1;
+    
+    return (parseFloat(schedule.amount) || 0) * days / totalDays;
+  }
+
+  /**
+   * Amortized amount for every month a schedule covers
+   * @param {Object} schedule - { amount, startDate, endDate }
+   * @returns {Array} [{ period, amount }]
+   */
+  monthlyBreakdown(schedule) {
+    const start = this.parseDate(schedule.startDate);
+    const end = this.parseDate(schedule.endDate);
+    if (!start || !end || end < start) return [];
+    
+    const months = [];
+    const cursor = new Date(start);
+    cursor.setUTCDate(1);
+    while (cursor.getTime() <= end) {
+      const year = cursor.getUTCFullYear();
+      const month = cursor.getUTCMonth() + 1;
+      months.push({
+        period: `${year}-${String(month).padStart(2, '0')}`,
+        amount: this.amortize(schedule, month, year)
+      });
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    
+    return months;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date to a UTC timestamp
+   * @returns {number|null} Timestamp, or null if invalid
+   */
+  parseDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+    
+    const timestamp = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+}
+
+/**
+ * Error returned to the caller as a 400
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = SpendSchedules;
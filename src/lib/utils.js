@@ -190,15 +190,53 @@ class Utils {
    * @param {number} revenue - Total revenue
    * @param {number} investment - Total investment
    * @param {number} decimals - Number of decimal places
-   * @returns {string} Formatted ROI percentage
+   * @returns {number|null} ROI as a percentage (e.g. 123.45), or null when there is no investment
    */
   static calculateROI(revenue, investment, decimals = 2) {
-    if (!investment || investment === 0) return 'N/A';
+    if (!investment || investment === 0) return null;
     
     const roi = ((revenue - investment) / investment) * 100;
+    return Number(roi.toFixed(decimals));
+  }
+
+  /**
+   * Format an ROI from calculateROI for display
+   * @param {number|null} roi - ROI percentage
+   * @param {number} decimals - Number of decimal places
+   * @returns {string} Formatted ROI ("123.45%"), or "N/A" when there is no investment
+   */
+  static formatROI(roi, decimals = 2) {
+    if (roi === null || roi === undefined) return 'N/A';
+    
     return `${roi.toFixed(decimals)}%`;
   }
 
+  /**
+   * Calculate ROAS (Return on Ad Spend)
+   * @param {number} revenue - Revenue attributed to the spend
+   * @param {number} adSpend - Ad spend
+   * @param {number} decimals - Number of decimal places
+   * @returns {number|null} Revenue per dollar of spend (e.g. 3.5), or null when there is no spend
+   */
+  static calculateROAS(revenue, adSpend, decimals = 2) {
+    if (!adSpend || adSpend === 0) return null;
+    
+    return Number((revenue / adSpend).toFixed(decimals));
+  }
+
+  /**
+   * Divide two numbers, for unit costs such as cost per lead
+   * @param {number} value - Numerator
+   * @param {number} count - Denominator
+   * @param {number} decimals - Number of decimal places
+   * @returns {number|null} Rounded result, or null when the denominator is zero
+   */
+  static calculateRatio(value, count, decimals = 2) {
+    if (!count || count === 0) return null;
+    
+    return Number((value / count).toFixed(decimals));
+  }
+
   /**
    * Validate email address
    * @param {string} email - Email to validate
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * Signature schemes a webhook route can accept
+ * - hcp: HouseCall Pro's Api-Signature, an HMAC-SHA256 (hex) of `${Api-Timestamp}.${body}` with HOUSECALL_PRO_WEBHOOK_SECRET
+ * - ghl: requests sent by a Go High Level workflow, carrying GHL_WEBHOOK_SECRET in X-Webhook-Secret or an
+ *   HMAC-SHA256 (hex) of the body with it in X-GHL-Signature
+ * - none: no verification (local development only)
+ */
+const WEBHOOK_AUTH_SCHEMES = ['hcp', 'ghl', 'none'];
+
+// Schemes a route accepts when WEBHOOK_AUTH_<ROUTE> isn't set
+const DEFAULT_ROUTE_SCHEMES = ['hcp', 'ghl'];
+
+/**
+ * Webhook request verification for the HCP/GHL lead webhook routes, and the admin API key check
+ * Each route accepts a configurable set of schemes (WEBHOOK_AUTH_<ROUTE>, e.g. WEBHOOK_AUTH_HCP_WEBHOOK=hcp,ghl);
+ * a request passes when any of them verifies it. Signatures are compared in constant time.
+ */
+class WebhookAuth {
+  /**
+   * @param {Object} options - Secrets and limits (default to the environment)
+   * @param {string} options.hcpSecret - HouseCall Pro webhook signing secret
+   * @param {string} options.ghlSecret - Shared secret configured on the GHL workflow's webhook
+   * @param {string} options.adminKey - Key required by the admin API routes
+   * @param {number} options.toleranceSeconds - Maximum age (and clock skew) of an HCP-signed request
+   */
+  constructor(options = {}) {
+    this.hcpSecret = options.hcpSecret || process.env.HOUSECALL_PRO_WEBHOOK_SECRET;
+    this.ghlSecret = options.ghlSecret || process.env.GHL_WEBHOOK_SECRET;
+    this.adminKey = options.adminKey || process.env.ADMIN_API_KEY;
+    this.toleranceSeconds = options.toleranceSeconds
+      || parseInt(process.env.HCP_WEBHOOK_TOLERANCE_SECONDS)
+      || 300;
+  }
+
+  /**
+   * Schemes a route accepts
+   * @param {string} route - Route name, e.g. 'hcp-webhook' (read from WEBHOOK_AUTH_HCP_WEBHOOK)
+   * @returns {Array} Scheme names
+   */
+  schemesFor(route) {
+    const envName = `WEBHOOK_AUTH_${route.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    if (!process.env[envName]) {
+      return DEFAULT_ROUTE_SCHEMES;
+    }
+    
+    const schemes = process.env[envName].split(',').map(scheme => scheme.trim().toLowerCase()).filter(Boolean);
+    const unknown = schemes.filter(scheme => !WEBHOOK_AUTH_SCHEMES.includes(scheme));
+    if (unknown.length > 0) {
+      throw new Error(`${envName} has unknown scheme(s) ${unknown.join(', ')} - use ${WEBHOOK_AUTH_SCHEMES.join(', ')}`);
+    }
+    
+    return schemes;
+  }
+
+  /**
+   * Verify a webhook request against a route's schemes
+   * @param {string} route - Route name (see schemesFor)
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers (lowercased, as Express provides them)
+   * @returns {Object} { valid, scheme, reason } - scheme is the one that verified the request
+   */
+  verify(route, rawBody, headers) {
+    const schemes = this.schemesFor(route);
+    if (schemes.includes('none')) {
+      return { valid: true, scheme: 'none', reason: null };
+    }
+    
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+    const failures = [];
+    for (const scheme of schemes) {
+      const result = scheme === 'hcp' ? this.verifyHCP(body, headers) : this.verifyGHL(body, headers);
+      if (result.valid) {
+        return { valid: true, scheme, reason: null };
+      }
+      failures.push(`${scheme}: ${result.reason}`);
+    }
+    
+    return { valid: false, scheme: null, reason: failures.join('; ') };
+  }
+
+  /**
+   * Verify a HouseCall Pro signed request (Api-Timestamp and Api-Signature headers)
+   * @param {string} body - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {Object} { valid, reason }
+   */
+  verifyHCP(body, headers) {
+    if (!this.hcpSecret) {
+      return { valid: false, reason: 'HOUSECALL_PRO_WEBHOOK_SECRET is not set' };
+    }
+    
+    const signature = headers['api-signature'];
+    const timestamp = headers['api-timestamp'];
+    if (!signature || !timestamp) {
+      return { valid: false, reason: 'missing Api-Signature or Api-Timestamp header' };
+    }
+    
+    return this.verifyHCPSignature(body, signature, timestamp);
+  }
+
+  /**
+   * Check an HCP signature and its timestamp
+   * @param {string} body - Raw request body
+   * @param {string} signature - Api-Signature header (hex)
+   * @param {string} timestamp - Api-Timestamp header (Unix seconds or milliseconds)
+   * @returns {Object} { valid, reason }
+   */
+  verifyHCPSignature(body, signature, timestamp) {
+    const seconds = Number(timestamp) > 1e12 ? Number(timestamp) / 1000 : Number(timestamp);
+    if (!Number.isFinite(seconds)) {
+      return { valid: false, reason: 'invalid Api-Timestamp' };
+    }
+    if (Math.abs(Date.now() / 1000 - seconds) > this.toleranceSeconds) {
+      return { valid: false, reason: `timestamp outside the ${this.toleranceSeconds}s tolerance` };
+    }
+    
+    const expected = crypto
+      .createHmac('sha256', this.hcpSecret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    
+    return this.safeEqual(signature, expected)
+      ? { valid: true, reason: null }
+      : { valid: false, reason: 'signature mismatch' };
+  }
+
+  /**
+   * Verify a request from a GHL workflow (X-GHL-Signature HMAC, or the shared secret in X-Webhook-Secret)
+   * @param {string} body - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {Object} { valid, reason }
+   */
+  verifyGHL(body, headers) {
+    if (!this.ghlSecret) {
+      return { valid: false, reason: 'GHL_WEBHOOK_SECRET is not set' };
+    }
+    
+    if (headers['x-ghl-signature']) {
+      const expected = crypto
+        .createHmac('sha256', this.ghlSecret)
+        .update(body)
+        .digest('hex');
+      
+      return this.safeEqual(headers['x-ghl-signature'], expected)
+        ? { valid: true, reason: null }
+        : { valid: false, reason: 'signature mismatch' };
+    }
+    
+    if (headers['x-webhook-secret']) {
+      return this.safeEqual(headers['x-webhook-secret'], this.ghlSecret)
+        ? { valid: true, reason: null }
+        : { valid: false, reason: 'shared secret mismatch' };
+    }
+    
+    return { valid: false, reason: 'missing X-GHL-Signature or X-Webhook-Secret header' };
+  }
+
+  /**
+   * Verify a request to the admin API against ADMIN_API_KEY
+   * The key is accepted in an X-Admin-Key header, as a Bearer token, or as the password of HTTP Basic auth
+   * (for clients such as Google Ads scheduled uploads that can only send a username and password).
+   * @param {Object} headers - Request headers (lowercased)
+   * @returns {Object} { valid, reason }
+   */
+  verifyAdminKey(headers) {
+    if (!this.adminKey) {
+      return { valid: false, reason: 'ADMIN_API_KEY is not set' };
+    }
+    
+    let received = headers['x-admin-key'];
+    const authorization = headers['authorization'] || '';
+    if (!received && /^Bearer /i.test(authorization)) {
+      received = authorization.slice(7);
+    }
+    if (!received && /^Basic /i.test(authorization)) {
+      const credentials = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+      received = credentials.slice(credentials.indexOf(':') + 1);
+    }
+    if (!received) {
+      return { valid: false, reason: 'missing X-Admin-Key or Authorization header' };
+    }
+    
+    return this.safeEqual(received, this.adminKey)
+      ? { valid: true, reason: null }
+      : { valid: false, reason: 'admin key mismatch' };
+  }
+
+  /**
+   * Copy of request headers safe to log, with signatures and secrets masked
+   */
+  redactHeaders(headers) {
+    const redacted = { ...headers };
+    ['api-signature', 'x-ghl-signature', 'x-webhook-secret', 'x-admin-key', 'intuit-signature', 'authorization'].forEach(name => {
+      if (redacted[name]) {
+        redacted[name] = '[redacted]';
+      }
+    });
+    
+    return redacted;
+  }
+
+  /**
+   * Constant-time string comparison; unequal lengths fail without comparing
+   */
+  safeEqual(received, expected) {
+    const receivedBuffer = Buffer.from(String(received).trim());
+    const expectedBuffer = Buffer.from(String(expected));
+    if (receivedBuffer.length !== expectedBuffer.length) {
+      return false;
+    }
+    
+    return crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+  }
+}
+
+WebhookAuth.SCHEMES = WEBHOOK_AUTH_SCHEMES;
+
+module.exports = WebhookAuth;